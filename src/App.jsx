@@ -12,6 +12,8 @@ import {
   Button,
   ThemeProvider,
   CssBaseline,
+  ToggleButton,
+  ToggleButtonGroup,
   createTheme
 } from '@mui/material';
 import { Calculate as CalculateIcon, Refresh as RefreshIcon } from '@mui/icons-material';
@@ -20,8 +22,13 @@ import VolumeInput from './components/VolumeInput/VolumeInput';
 import PipesInput from './components/PipesInput/PipesInput';
 import BoxesInput from './components/BoxesInput/BoxesInput';
 import ConfigurationInput from './components/ConfigurationInput/ConfigurationInput';
+import FreightInput from './components/FreightInput/FreightInput';
+import MaxQuantity from './components/MaxQuantity/MaxQuantity';
+import LengthOptimizer from './components/LengthOptimizer/LengthOptimizer';
+import FleetMix from './components/FleetMix/FleetMix';
 import ResultsDisplay from './components/ResultsDisplay/ResultsDisplay';
 import PipeVisualization from './components/Visualization/PipeVisualization';
+import { UNIT_SYSTEMS } from './constants/defaults';
 
 // KuzeyBoru brand colors
 const KUZEYBORU_COLORS = {
@@ -139,7 +146,7 @@ const theme = createTheme({
 
 // Calculator Layout Component
 function CalculatorLayout() {
-  const { calculate, reset, isValid, isCalculating } = useCalculator();
+  const { calculate, reset, isValid, isCalculating, unitSystem, setUnitSystem } = useCalculator();
 
   const handleCalculate = async () => {
     await calculate();
@@ -216,6 +223,20 @@ function CalculatorLayout() {
               </Box>
             </Box>
             <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 0.5 }}>
+              {/* Display units for all inputs and results */}
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={unitSystem}
+                onChange={(_event, value) => value && setUnitSystem(value)}
+                sx={{ mr: 2, alignSelf: 'center' }}
+              >
+                {Object.values(UNIT_SYSTEMS).map(system => (
+                  <ToggleButton key={system.id} value={system.id} sx={{ py: 0.25, px: 1.5 }}>
+                    {system.label}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
               <Typography
                 variant="h6"
                 sx={{
@@ -261,6 +282,7 @@ function CalculatorLayout() {
               <PipesInput />
               <BoxesInput />
               <ConfigurationInput />
+              <FreightInput />
             </Box>
 
             {/* Action Buttons */}
@@ -309,6 +331,13 @@ function CalculatorLayout() {
                 Reset
               </Button>
             </Box>
+
+            {/* Analyses: maximum quantity for a given number of containers, standard lengths, fleet mix */}
+            <Box sx={{ mt: 3 }}>
+              <MaxQuantity />
+              <LengthOptimizer />
+              <FleetMix />
+            </Box>
           </Grid>
 
           {/* Right Column - Results & Visualization */}
@@ -14,15 +14,17 @@ import {
   Collapse
 } from '@mui/material';
 import { Delete as DeleteIcon, ExpandMore as ExpandMoreIcon, ExpandLess as ExpandLessIcon } from '@mui/icons-material';
-import { useCalculator } from '../../context/CalculatorContext';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
 import { getError } from '../../utils/validation';
 
 export default function BoxRow({ box, index }) {
   const { updateBox, removeBox, errors } = useCalculator();
+  const units = useUnits();
   const [expanded, setExpanded] = React.useState(false);
 
-  const handleChange = (field) => (event) => {
-    const value = parseFloat(event.target.value) || 0;
+  // Typed values are stored in the canonical units (see units.js)
+  const handleChange = (field, kind) => (event) => {
+    const value = units.parse(event.target.value, kind);
     updateBox(box.id, { [field]: value });
   };
 
@@ -70,12 +72,12 @@ export default function BoxRow({ box, index }) {
                 fullWidth
                 label="Length"
                 type="number"
-                value={box.length || ''}
-                onChange={handleChange('length')}
+                value={units.input(box.length, 'dimension')}
+                onChange={handleChange('length', 'dimension')}
                 error={!!getError(errors, `${prefix}Length`)}
                 helperText={getError(errors, `${prefix}Length`)}
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
                 }}
                 size="small"
               />
@@ -85,12 +87,12 @@ export default function BoxRow({ box, index }) {
                 fullWidth
                 label="Width"
                 type="number"
-                value={box.width || ''}
-                onChange={handleChange('width')}
+                value={units.input(box.width, 'dimension')}
+                onChange={handleChange('width', 'dimension')}
                 error={!!getError(errors, `${prefix}Width`)}
                 helperText={getError(errors, `${prefix}Width`)}
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
                 }}
                 size="small"
               />
@@ -100,12 +102,12 @@ export default function BoxRow({ box, index }) {
                 fullWidth
                 label="Height"
                 type="number"
-                value={box.height || ''}
-                onChange={handleChange('height')}
+                value={units.input(box.height, 'dimension')}
+                onChange={handleChange('height', 'dimension')}
                 error={!!getError(errors, `${prefix}Height`)}
                 helperText={getError(errors, `${prefix}Height`)}
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
                 }}
                 size="small"
               />
@@ -1,6 +1,6 @@
 /**
  * Configuration Input Component
- * Sets spacing and nesting parameters
+ * Sets spacing, nesting, packing pattern, order consolidation and dunnage parameters
  */
 
 import React from 'react';
@@ -10,20 +10,30 @@ import {
   Typography, 
   TextField, 
   Grid,
-  Tooltip
+  Tooltip,
+  FormControl,
+  Select,
+  MenuItem
 } from '@mui/material';
 import { Info as InfoIcon } from '@mui/icons-material';
-import { useCalculator } from '../../context/CalculatorContext';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
 import { getError } from '../../utils/validation';
+import { PACKING_MODES, CONSOLIDATION_MODES, TELESCOPING_MODES } from '../../constants/defaults';
 
 export default function ConfigurationInput() {
   const { config, updateConfig, errors } = useCalculator();
+  const units = useUnits();
 
-  const handleChange = (field) => (event) => {
-    const value = parseFloat(event.target.value) || 0;
+  // Typed values are stored in the canonical units (see units.js)
+  const handleChange = (field, kind) => (event) => {
+    const value = units.parse(event.target.value, kind);
     updateConfig({ [field]: value });
   };
 
+  const handleSelectChange = (field) => (event) => {
+    updateConfig({ [field]: event.target.value });
+  };
+
   return (
     <Paper elevation={2} sx={{ p: 3, mb: 2 }}>
       <Box display="flex" alignItems="center" mb={2}>
@@ -46,12 +56,12 @@ export default function ConfigurationInput() {
             fullWidth
             type="number"
             inputProps={{ step: '0.1', min: '0' }}
-            value={config.minSpace !== undefined ? config.minSpace : ''}
-            onChange={handleChange('minSpace')}
+            value={config.minSpace !== undefined ? units.input(config.minSpace, 'dimension') || 0 : ''}
+            onChange={handleChange('minSpace', 'dimension')}
             error={!!getError(errors, 'minSpace')}
             helperText={getError(errors, 'minSpace')}
             InputProps={{
-              endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
             }}
             size="small"
           />
@@ -69,12 +79,168 @@ export default function ConfigurationInput() {
             fullWidth
             type="number"
             inputProps={{ step: '0.1', min: '0' }}
-            value={config.allowance !== undefined ? config.allowance : ''}
-            onChange={handleChange('allowance')}
+            value={config.allowance !== undefined ? units.input(config.allowance, 'dimension') || 0 : ''}
+            onChange={handleChange('allowance', 'dimension')}
             error={!!getError(errors, 'allowance')}
             helperText={getError(errors, 'allowance')}
             InputProps={{
-              endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
+            }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <Box display="flex" alignItems="center" mb={1}>
+            <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+              Telescoping
+            </Typography>
+            <Tooltip title="Smaller pipes travel inside larger ones of the same order and drop, to any depth; each piece goes into the tightest pipe with room left">
+              <InfoIcon fontSize="small" color="action" />
+            </Tooltip>
+          </Box>
+          <FormControl fullWidth size="small" error={!!getError(errors, 'telescoping')}>
+            <Select
+              value={config.telescoping || 'none'}
+              onChange={handleSelectChange('telescoping')}
+            >
+              {Object.values(TELESCOPING_MODES).map(mode => (
+                <MenuItem key={mode.id} value={mode.id}>
+                  {mode.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <Box display="flex" alignItems="center" mb={1}>
+            <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+              Packing Pattern
+            </Typography>
+            <Tooltip title="Square stacks pipes directly on top of each other; staggered lets each row sit in the grooves of the row below">
+              <InfoIcon fontSize="small" color="action" />
+            </Tooltip>
+          </Box>
+          <FormControl fullWidth size="small" error={!!getError(errors, 'packingMode')}>
+            <Select
+              value={config.packingMode || 'square'}
+              onChange={handleSelectChange('packingMode')}
+            >
+              {Object.values(PACKING_MODES).map(mode => (
+                <MenuItem key={mode.id} value={mode.id}>
+                  {mode.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <Box display="flex" alignItems="center" mb={1}>
+            <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+              Order Consolidation
+            </Typography>
+            <Tooltip title="Keeping orders together loads each order in as few containers as possible; orders sharing a container get bands of their own">
+              <InfoIcon fontSize="small" color="action" />
+            </Tooltip>
+          </Box>
+          <FormControl fullWidth size="small" error={!!getError(errors, 'consolidation')}>
+            <Select
+              value={config.consolidation || 'mixed'}
+              onChange={handleSelectChange('consolidation')}
+            >
+              {Object.values(CONSOLIDATION_MODES).map(mode => (
+                <MenuItem key={mode.id} value={mode.id}>
+                  {mode.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      {/* Dunnage: timber bearers under the first tier and between tiers */}
+      <Box display="flex" alignItems="center" mt={3} mb={1}>
+        <Typography variant="subtitle1" fontWeight="medium" sx={{ flexGrow: 1 }}>
+          Dunnage and Packaging
+        </Typography>
+        <Tooltip title="Timber bearers go under the first tier and again every N tiers; they take container height and their weight counts against the weight capacity">
+          <InfoIcon fontSize="small" color="action" />
+        </Tooltip>
+      </Box>
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            label="Bearer Height"
+            type="number"
+            inputProps={{ step: '0.5', min: '0' }}
+            value={units.input(config.bearerHeight, 'dimension')}
+            onChange={handleChange('bearerHeight', 'dimension')}
+            error={!!getError(errors, 'bearerHeight')}
+            helperText={getError(errors, 'bearerHeight') || 'Empty = no bearers'}
+            InputProps={{
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
+            }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            label="Tiers Between Bearers"
+            type="number"
+            inputProps={{ step: '1', min: '0' }}
+            value={config.tiersBetweenBearers || ''}
+            onChange={handleChange('tiersBetweenBearers')}
+            error={!!getError(errors, 'tiersBetweenBearers')}
+            helperText={getError(errors, 'tiersBetweenBearers') || 'Empty = under first tier only'}
+            disabled={!(config.bearerHeight > 0)}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            label="Timber Weight"
+            type="number"
+            inputProps={{ step: '10', min: '0' }}
+            value={units.input(config.dunnageWeight, 'weight')}
+            onChange={handleChange('dunnageWeight', 'weight')}
+            error={!!getError(errors, 'dunnageWeight')}
+            helperText={getError(errors, 'dunnageWeight') || 'Per container'}
+            InputProps={{
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('weight')}</span>
+            }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Packaging per Piece"
+            type="number"
+            inputProps={{ step: '0.1', min: '0' }}
+            value={units.input(config.packagingPerPiece, 'weight')}
+            onChange={handleChange('packagingPerPiece', 'weight')}
+            error={!!getError(errors, 'packagingPerPiece')}
+            helperText={getError(errors, 'packagingPerPiece') || 'End caps, bevel protectors; counted in the gross mass'}
+            InputProps={{
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('weight')}</span>
+            }}
+            size="small"
+          />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Packaging per Bundle"
+            type="number"
+            inputProps={{ step: '0.1', min: '0' }}
+            value={units.input(config.packagingPerBundle, 'weight')}
+            onChange={handleChange('packagingPerBundle', 'weight')}
+            error={!!getError(errors, 'packagingPerBundle')}
+            helperText={getError(errors, 'packagingPerBundle') || 'Straps and slings of bundled lines'}
+            InputProps={{
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('weight')}</span>
             }}
             size="small"
           />
@@ -0,0 +1,317 @@
+/**
+ * Fleet Mix Component
+ * Transportation types available for the order (presets, the custom volume and user-defined
+ * types) with availability limits, and the ranked fleet mixes that carry the whole order
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Checkbox,
+  Chip,
+  IconButton,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon, LocalShipping as LocalShippingIcon } from '@mui/icons-material';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import { formatNumberWithCommas, formatPercentage } from '../../utils/calculations';
+import { getError, hasErrors } from '../../utils/validation';
+import { FLEET_OBJECTIVES, CURRENCIES } from '../../constants/defaults';
+
+export default function FleetMix() {
+  const {
+    pipes,
+    fleet,
+    fleetTypes,
+    fleetResults,
+    fleetErrors,
+    updateFleet,
+    calculateFleet,
+    freight,
+    updateFreight,
+    errors,
+    isCalculating
+  } = useCalculator();
+  const units = useUnits();
+
+  if (pipes.length === 0) {
+    return null;
+  }
+
+  const isCustomType = (id) => fleet.customTypes.some(type => type.id === id);
+
+  const updateTypeSettings = (id, updates) => {
+    const current = fleet.types[id] || { enabled: true, available: 0 };
+    updateFleet({ types: { ...fleet.types, [id]: { ...current, ...updates } } });
+  };
+
+  const updateCustomType = (id, updates) => {
+    updateFleet({
+      customTypes: fleet.customTypes.map(type => (type.id === id ? { ...type, ...updates } : type))
+    });
+  };
+
+  const updateRate = (id, updates) => {
+    const current = freight.rates[id] || { amount: 0, currency: freight.quoteCurrency, surcharges: [] };
+    updateFreight({ rates: { ...freight.rates, [id]: { ...current, ...updates } } });
+  };
+
+  const handleAddType = () => {
+    const id = `fleet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    updateFleet({
+      customTypes: [
+        ...fleet.customTypes,
+        { id, label: `Type ${fleet.customTypes.length + 1}`, length: 0, width: 0, height: 0, weightCapacity: 0 }
+      ]
+    });
+    updateRate(id, { amount: 0, currency: freight.quoteCurrency });
+  };
+
+  const handleRemoveType = (id) => {
+    const types = { ...fleet.types };
+    delete types[id];
+    updateFleet({ customTypes: fleet.customTypes.filter(type => type.id !== id), types });
+    const rates = { ...freight.rates };
+    delete rates[id];
+    updateFreight({ rates });
+  };
+
+  const dimensionField = (type, field, kind) => (
+    <TextField
+      type="number"
+      size="small"
+      variant="standard"
+      value={units.input(type[field], kind)}
+      onChange={(event) => updateCustomType(type.id, { [field]: units.parse(event.target.value, kind) })}
+      error={!(type[field] > 0)}
+      inputProps={{ min: '0', step: 'any' }}
+      sx={{ width: 64 }}
+    />
+  );
+
+  const hasInputErrors = hasErrors(fleetErrors);
+  const canCalculate = !hasInputErrors && !isCalculating && fleetTypes.some(type => type.enabled);
+  const money = (quote, cost) => (cost !== null ? `${formatNumberWithCommas(cost)} ${quote.currency}` : '-');
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="h6">
+          Fleet Mix
+        </Typography>
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel id="fleet-objective-label">Rank By</InputLabel>
+          <Select
+            labelId="fleet-objective-label"
+            label="Rank By"
+            value={fleet.objective}
+            onChange={(event) => updateFleet({ objective: event.target.value })}
+          >
+            {Object.values(FLEET_OBJECTIVES).map(objective => (
+              <MenuItem key={objective.id} value={objective.id}>{objective.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Combine transportation types for the whole order. Rates come from the freight rates;
+        available units limit how many of a type the mix may use (0 = no limit).
+      </Typography>
+
+      {/* Transportation types of the mix */}
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox" />
+              <TableCell><strong>Type</strong></TableCell>
+              <TableCell><strong>L × W × H ({units.label('dimension')})</strong></TableCell>
+              <TableCell align="right"><strong>Capacity ({units.label('weight')})</strong></TableCell>
+              <TableCell align="right"><strong>Rate per Unit</strong></TableCell>
+              <TableCell align="right"><strong>Available</strong></TableCell>
+              <TableCell padding="checkbox" />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {fleetTypes.map(type => {
+              const custom = isCustomType(type.id);
+              const rate = freight.rates[type.id];
+              const rateError = getError(errors, `freightRate_${type.id}`);
+              return (
+                <TableRow key={type.id}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      size="small"
+                      checked={type.enabled}
+                      onChange={(event) => updateTypeSettings(type.id, { enabled: event.target.checked })}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {custom ? (
+                      <TextField
+                        size="small"
+                        variant="standard"
+                        value={type.label}
+                        onChange={(event) => updateCustomType(type.id, { label: event.target.value })}
+                        sx={{ width: 120 }}
+                      />
+                    ) : type.label}
+                  </TableCell>
+                  <TableCell>
+                    {custom ? (
+                      <Box display="flex" alignItems="center" gap={0.5}>
+                        {dimensionField(type, 'length', 'dimension')}×
+                        {dimensionField(type, 'width', 'dimension')}×
+                        {dimensionField(type, 'height', 'dimension')}
+                      </Box>
+                    ) : [type.length, type.width, type.height]
+                      .map(size => Math.round(units.display(size, 'dimension')))
+                      .join(' × ')}
+                  </TableCell>
+                  <TableCell align="right">
+                    {custom
+                      ? dimensionField(type, 'weightCapacity', 'weight')
+                      : formatNumberWithCommas(Math.round(units.display(type.weightCapacity, 'weight')))}
+                  </TableCell>
+                  <TableCell align="right">
+                    {custom ? (
+                      <Box display="flex" alignItems="center" justifyContent="flex-end" gap={0.5}>
+                        <TextField
+                          type="number"
+                          size="small"
+                          variant="standard"
+                          value={rate?.amount || ''}
+                          onChange={(event) => updateRate(type.id, { amount: parseFloat(event.target.value) || 0 })}
+                          error={!!rateError}
+                          inputProps={{ min: '0', step: '10' }}
+                          sx={{ width: 80 }}
+                        />
+                        <Select
+                          size="small"
+                          variant="standard"
+                          value={rate?.currency || freight.quoteCurrency}
+                          onChange={(event) => updateRate(type.id, { currency: event.target.value })}
+                        >
+                          {CURRENCIES.map(currency => (
+                            <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                          ))}
+                        </Select>
+                      </Box>
+                    ) : rate?.amount > 0 ? `${formatNumberWithCommas(rate.amount)} ${rate.currency}` : '-'}
+                  </TableCell>
+                  <TableCell align="right">
+                    <TextField
+                      type="number"
+                      size="small"
+                      variant="standard"
+                      value={type.available || ''}
+                      placeholder="0"
+                      onChange={(event) => updateTypeSettings(type.id, { available: Math.max(0, parseInt(event.target.value, 10) || 0) })}
+                      inputProps={{ min: '0', step: '1' }}
+                      sx={{ width: 56 }}
+                    />
+                  </TableCell>
+                  <TableCell padding="checkbox">
+                    {custom && (
+                      <IconButton size="small" color="error" onClick={() => handleRemoveType(type.id)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mt={2}>
+        <Button size="small" startIcon={<AddIcon />} onClick={handleAddType}>
+          Add Transport Type
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<LocalShippingIcon />}
+          onClick={calculateFleet}
+          disabled={!canCalculate}
+        >
+          {isCalculating ? 'Calculating...' : 'Optimize Fleet'}
+        </Button>
+      </Box>
+      {hasInputErrors && (
+        <Typography variant="caption" color="error" display="block" textAlign="right" mt={1}>
+          {Object.values(fleetErrors)[0]}
+        </Typography>
+      )}
+
+      {/* Ranked fleet mixes */}
+      {fleetResults?.fillerLines > 0 && (
+        <Typography variant="body2" color="text.secondary" mt={2}>
+          {fleetResults.fillerLines} optional filler line(s) not included: the mix carries the mandatory quantities only.
+        </Typography>
+      )}
+      {fleetResults && (
+        fleetResults.fleets.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" mt={2}>
+            No mix of the selected transportation types carries the whole order.
+          </Typography>
+        ) : (
+          <TableContainer sx={{ mt: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow sx={{ bgcolor: 'grey.100' }}>
+                  <TableCell><strong>#</strong></TableCell>
+                  <TableCell><strong>Fleet</strong></TableCell>
+                  <TableCell align="right"><strong>Units</strong></TableCell>
+                  <TableCell align="right"><strong>Avg. Fill</strong></TableCell>
+                  <TableCell align="right"><strong>Freight</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {fleetResults.fleets.map((option, index) => (
+                  <TableRow key={option.counts.map(c => `${c.transportationType}:${c.count}`).join('|')} hover selected={index === 0}>
+                    <TableCell>{index + 1}</TableCell>
+                    <TableCell>
+                      <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                        <Typography variant="body2">
+                          {option.counts.map(c => `${c.count} × ${c.label}`).join(' + ')}
+                        </Typography>
+                        {index === 0 && <Chip label="Best" size="small" color="success" />}
+                        {option.overloaded && <Chip label="Axle overload" size="small" color="warning" />}
+                      </Box>
+                    </TableCell>
+                    <TableCell align="right">{option.units}</TableCell>
+                    <TableCell align="right">
+                      <Typography variant="caption" display="block">
+                        {formatPercentage(option.crossSectionFill * 100)} cross-section
+                      </Typography>
+                      {option.weightFill > 0 && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {formatPercentage(option.weightFill * 100)} weight
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{money(option.freightQuote, option.cost)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )
+      )}
+    </Paper>
+  );
+}
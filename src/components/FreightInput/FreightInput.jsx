@@ -0,0 +1,264 @@
+/**
+ * Freight Input Component
+ * Rate table per transportation type, surcharges and locally entered exchange rates
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Grid,
+  Button,
+  IconButton,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { useCalculator } from '../../context/CalculatorContext';
+import { getError } from '../../utils/validation';
+import { TRANSPORTATION_TYPES, CURRENCIES, FREIGHT_ALLOCATION_RULES } from '../../constants/defaults';
+
+export default function FreightInput() {
+  const { freight, updateFreight, volume, errors } = useCalculator();
+
+  const typeId = volume.transportationType || 'custom';
+  const selectedRate = freight.rates[typeId] || { amount: 0, currency: freight.quoteCurrency, surcharges: [] };
+
+  const updateRate = (id, updates) => {
+    const current = freight.rates[id] || { amount: 0, currency: freight.quoteCurrency, surcharges: [] };
+    updateFreight({
+      rates: { ...freight.rates, [id]: { ...current, ...updates } }
+    });
+  };
+
+  const handleRateChange = (id, field) => (event) => {
+    const value = field === 'amount' ? (parseFloat(event.target.value) || 0) : event.target.value;
+    updateRate(id, { [field]: value });
+  };
+
+  const handleAddSurcharge = () => {
+    updateRate(typeId, {
+      surcharges: [
+        ...selectedRate.surcharges,
+        {
+          id: `surcharge-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          label: '',
+          amount: 0,
+          currency: selectedRate.currency,
+          basis: 'perUnit'
+        }
+      ]
+    });
+  };
+
+  const handleSurchargeChange = (surchargeId, field) => (event) => {
+    const value = field === 'amount' ? (parseFloat(event.target.value) || 0) : event.target.value;
+    updateRate(typeId, {
+      surcharges: selectedRate.surcharges.map(s => (s.id === surchargeId ? { ...s, [field]: value } : s))
+    });
+  };
+
+  const handleRemoveSurcharge = (surchargeId) => {
+    updateRate(typeId, {
+      surcharges: selectedRate.surcharges.filter(s => s.id !== surchargeId)
+    });
+  };
+
+  const handleExchangeRateChange = (currency) => (event) => {
+    const value = parseFloat(event.target.value) || 0;
+    updateFreight({ exchangeRates: { ...freight.exchangeRates, [currency]: value } });
+  };
+
+  const baseCurrency = CURRENCIES[0];
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 2 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h6">
+          Freight Rates
+        </Typography>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel id="quote-currency-label">Quote Currency</InputLabel>
+          <Select
+            labelId="quote-currency-label"
+            label="Quote Currency"
+            value={freight.quoteCurrency}
+            onChange={(event) => updateFreight({ quoteCurrency: event.target.value })}
+          >
+            {CURRENCIES.map(currency => (
+              <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {/* Rate table per transportation type */}
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell><strong>Transportation Type</strong></TableCell>
+            <TableCell align="right"><strong>Rate per Unit</strong></TableCell>
+            <TableCell><strong>Currency</strong></TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {Object.values(TRANSPORTATION_TYPES).map(type => {
+            const rate = freight.rates[type.id] || { amount: 0, currency: freight.quoteCurrency };
+            const error = getError(errors, `freightRate_${type.id}`);
+            return (
+              <TableRow key={type.id} selected={type.id === typeId}>
+                <TableCell>{type.label}</TableCell>
+                <TableCell align="right">
+                  <TextField
+                    type="number"
+                    size="small"
+                    value={rate.amount || ''}
+                    onChange={handleRateChange(type.id, 'amount')}
+                    error={!!error}
+                    helperText={error}
+                    inputProps={{ min: '0', step: '10' }}
+                    sx={{ maxWidth: 140 }}
+                  />
+                </TableCell>
+                <TableCell>
+                  <Select
+                    size="small"
+                    value={rate.currency}
+                    onChange={handleRateChange(type.id, 'currency')}
+                  >
+                    {CURRENCIES.map(currency => (
+                      <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                    ))}
+                  </Select>
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      {/* Surcharges for the selected transportation type */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" mt={3} mb={1}>
+        <Typography variant="subtitle2">
+          Surcharges – {TRANSPORTATION_TYPES[typeId]?.label || typeId}
+        </Typography>
+        <Button size="small" startIcon={<AddIcon />} onClick={handleAddSurcharge}>
+          Add Surcharge
+        </Button>
+      </Box>
+      {selectedRate.surcharges.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No surcharges (e.g. BAF, THC, documentation fee).
+        </Typography>
+      ) : (
+        <Grid container spacing={1}>
+          {selectedRate.surcharges.map((surcharge, index) => (
+            <React.Fragment key={surcharge.id}>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Label"
+                  value={surcharge.label}
+                  onChange={handleSurchargeChange(surcharge.id, 'label')}
+                />
+              </Grid>
+              <Grid item xs={6} sm={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Amount"
+                  value={surcharge.amount || ''}
+                  onChange={handleSurchargeChange(surcharge.id, 'amount')}
+                  error={!!getError(errors, `freightSurcharge_${typeId}_${index}`)}
+                />
+              </Grid>
+              <Grid item xs={6} sm={2}>
+                <Select
+                  fullWidth
+                  size="small"
+                  value={surcharge.currency}
+                  onChange={handleSurchargeChange(surcharge.id, 'currency')}
+                >
+                  {CURRENCIES.map(currency => (
+                    <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                  ))}
+                </Select>
+              </Grid>
+              <Grid item xs={10} sm={3}>
+                <Select
+                  fullWidth
+                  size="small"
+                  value={surcharge.basis}
+                  onChange={handleSurchargeChange(surcharge.id, 'basis')}
+                >
+                  <MenuItem value="perUnit">Per unit</MenuItem>
+                  <MenuItem value="perShipment">Per shipment</MenuItem>
+                  <MenuItem value="outOfGauge">Per out-of-gauge unit</MenuItem>
+                </Select>
+              </Grid>
+              <Grid item xs={2} sm={1}>
+                <IconButton size="small" color="error" onClick={() => handleRemoveSurcharge(surcharge.id)}>
+                  <DeleteIcon />
+                </IconButton>
+              </Grid>
+            </React.Fragment>
+          ))}
+        </Grid>
+      )}
+
+      {/* Landed cost: how each container's freight is split over its pipe lines */}
+      <FormControl fullWidth size="small" sx={{ mt: 3 }}>
+        <InputLabel id="allocation-rule-label">Allocate Freight to Pipe Lines</InputLabel>
+        <Select
+          labelId="allocation-rule-label"
+          label="Allocate Freight to Pipe Lines"
+          value={freight.allocationRule}
+          onChange={(event) => updateFreight({ allocationRule: event.target.value })}
+        >
+          {Object.values(FREIGHT_ALLOCATION_RULES).map(rule => (
+            <MenuItem key={rule.id} value={rule.id}>{rule.label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {/* Exchange rates, entered locally */}
+      <Typography variant="subtitle2" mt={3} mb={1}>
+        Exchange Rates (value of 1 unit in {baseCurrency})
+      </Typography>
+      <Grid container spacing={2}>
+        {CURRENCIES.filter(currency => currency !== baseCurrency).map(currency => {
+          const error = getError(errors, `exchangeRate_${currency}`);
+          return (
+            <Grid item xs={12} sm={4} key={currency}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label={`1 ${currency}`}
+                value={freight.exchangeRates[currency] || ''}
+                onChange={handleExchangeRateChange(currency)}
+                error={!!error}
+                helperText={error}
+                inputProps={{ min: '0', step: '0.01' }}
+                InputProps={{
+                  endAdornment: <span style={{ marginLeft: 8 }}>{baseCurrency}</span>
+                }}
+              />
+            </Grid>
+          );
+        })}
+      </Grid>
+    </Paper>
+  );
+}
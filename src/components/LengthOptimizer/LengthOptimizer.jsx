@@ -0,0 +1,203 @@
+/**
+ * Length Optimizer Component
+ * Sweeps the standard length of one pipe line over a range and production step, and
+ * recommends the length that needs the fewest containers for the ordered quantity
+ */
+
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Grid,
+  Button,
+  Chip,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import { formatNumberWithCommas } from '../../utils/calculations';
+import { sweepStandardLengths, MAX_SWEEP_LENGTHS } from '../../utils/standardLengths';
+
+export default function LengthOptimizer() {
+  const { pipes, volume, config, lengthSweep, updateLengthSweep, updatePipe } = useCalculator();
+  const units = useUnits();
+
+  const pipe = pipes.find(p => p.id === lengthSweep.pipeId) || pipes[0];
+  const hasVolume = volume.length > 0 && volume.width > 0 && volume.height > 0;
+  const hasRange = lengthSweep.minLength > 0 && lengthSweep.maxLength >= lengthSweep.minLength && lengthSweep.step > 0;
+
+  const sweep = useMemo(() => {
+    if (!pipe || !hasVolume || !hasRange || !(pipe.externalDiameter > 0)) return null;
+    return sweepStandardLengths(pipe, volume, config, lengthSweep);
+  }, [pipe, volume, config, lengthSweep, hasVolume, hasRange]);
+
+  if (!pipe) {
+    return null;
+  }
+
+  const handleSweepChange = (field) => (event) => {
+    updateLengthSweep({ [field]: units.parse(event.target.value, 'pipeLength') });
+  };
+
+  const hasQuantity = pipe.quantityInMeters > 0;
+  const formatContainers = (count) => (Number.isFinite(count) ? formatNumberWithCommas(count) : '-');
+  const { recommended, current } = sweep || {};
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Standard Length Analysis
+      </Typography>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Compare cut lengths within your production range: pieces per slot along the container,
+        containers for the order and leftover length.
+      </Typography>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel id="length-sweep-pipe-label">Pipe Line</InputLabel>
+            <Select
+              labelId="length-sweep-pipe-label"
+              label="Pipe Line"
+              value={pipe.id}
+              onChange={(event) => updateLengthSweep({ pipeId: event.target.value })}
+            >
+              {pipes.map((p, index) => (
+                <MenuItem key={p.id} value={p.id}>
+                  Pipe {index + 1}{p.externalDiameter > 0 ? ` (Ø${units.formatCompact(p.externalDiameter, 'pipeSize', 3)})` : ''}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={4} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={`From (${units.label('pipeLength')})`}
+            value={units.input(lengthSweep.minLength, 'pipeLength')}
+            onChange={handleSweepChange('minLength')}
+            error={!(lengthSweep.minLength > 0)}
+            inputProps={{ min: '0', step: 'any' }}
+          />
+        </Grid>
+        <Grid item xs={4} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={`To (${units.label('pipeLength')})`}
+            value={units.input(lengthSweep.maxLength, 'pipeLength')}
+            onChange={handleSweepChange('maxLength')}
+            error={!(lengthSweep.maxLength >= lengthSweep.minLength)}
+            inputProps={{ min: '0', step: 'any' }}
+          />
+        </Grid>
+        <Grid item xs={4} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={`Step (${units.label('pipeLength')})`}
+            value={units.input(lengthSweep.step, 'pipeLength')}
+            onChange={handleSweepChange('step')}
+            error={!(lengthSweep.step > 0)}
+            inputProps={{ min: '0', step: 'any' }}
+          />
+        </Grid>
+      </Grid>
+
+      {!hasVolume && (
+        <Typography variant="caption" color="text.secondary" display="block" mt={2}>
+          Enter the volume dimensions to compare standard lengths.
+        </Typography>
+      )}
+      {hasVolume && !hasQuantity && (
+        <Typography variant="caption" color="text.secondary" display="block" mt={2}>
+          Enter the quantity of this pipe line to compare container counts.
+        </Typography>
+      )}
+
+      {/* Recommendation */}
+      {recommended && hasQuantity && (
+        <Box display="flex" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1} mt={2}>
+          <Typography variant="body2">
+            Recommended: <strong>{units.formatCompact(recommended.standardLength, 'pipeLength', 2)}</strong>
+            {' '}— {formatContainers(recommended.containers)} container(s)
+            {current?.fits && current.containers > recommended.containers &&
+              ` (${current.containers - recommended.containers} fewer than at ${units.formatCompact(pipe.standardLength, 'pipeLength', 2)})`}
+            {current && !current.fits && ' (the current length does not fit)'}
+          </Typography>
+          {recommended.standardLength !== pipe.standardLength && (
+            <Button size="small" variant="outlined" onClick={() => updatePipe(pipe.id, { standardLength: recommended.standardLength })}>
+              Use {units.formatCompact(recommended.standardLength, 'pipeLength', 2)}
+            </Button>
+          )}
+        </Box>
+      )}
+
+      {/* One row per candidate length */}
+      {sweep && sweep.entries.length > 0 && (
+        <TableContainer sx={{ mt: 2, maxHeight: 360 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ bgcolor: 'grey.100' }}><strong>Standard Length</strong></TableCell>
+                <TableCell align="right" sx={{ bgcolor: 'grey.100' }}><strong>Per Slot</strong></TableCell>
+                <TableCell align="right" sx={{ bgcolor: 'grey.100' }}><strong>Pipes / Container</strong></TableCell>
+                <TableCell align="right" sx={{ bgcolor: 'grey.100' }}><strong>Containers</strong></TableCell>
+                <TableCell align="right" sx={{ bgcolor: 'grey.100' }}><strong>Leftover</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sweep.entries.map(entry => {
+                const isRecommended = entry === recommended && hasQuantity;
+                return (
+                  <TableRow key={entry.standardLength} hover selected={isRecommended}>
+                    <TableCell>
+                      <Box display="flex" alignItems="center" gap={1}>
+                        {units.formatCompact(entry.standardLength, 'pipeLength', 2)}
+                        {isRecommended && <Chip label="Recommended" size="small" color="success" />}
+                        {entry.standardLength === pipe.standardLength && <Chip label="Current" size="small" variant="outlined" />}
+                      </Box>
+                    </TableCell>
+                    <TableCell align="right">{entry.pipesAlongLength}</TableCell>
+                    <TableCell align="right">
+                      {formatNumberWithCommas(entry.piecesPerContainer)}
+                      {entry.fits && entry.limitingFactor === 'weight' && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          by weight
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{hasQuantity ? formatContainers(entry.containers) : '-'}</TableCell>
+                    <TableCell align="right">
+                      {entry.pipesAlongLength > 0 ? units.format(entry.leftoverLength, 'dimension', 0) : 'Too long'}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      {sweep && sweep.entries.length === MAX_SWEEP_LENGTHS && (
+        <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+          Only the first {MAX_SWEEP_LENGTHS} lengths are compared; use a larger step to cover the whole range.
+        </Typography>
+      )}
+    </Paper>
+  );
+}
@@ -0,0 +1,285 @@
+/**
+ * Max Quantity Component
+ * Reverse calculation: how many meters and tonnes of each pipe line fit in a given
+ * number of containers, shared by mix ratio or by priority
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Grid,
+  Button,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import { formatNumberWithCommas } from '../../utils/calculations';
+import { hasErrors } from '../../utils/validation';
+import { TRANSPORTATION_TYPES, MAX_QUANTITY_RULES, PIPE_COLORS } from '../../constants/defaults';
+
+export default function MaxQuantity() {
+  const {
+    pipes,
+    volume,
+    maxQuantity,
+    maxQuantityResults,
+    updateMaxQuantity,
+    maxQuantityErrors,
+    calculateMaxQuantities,
+    isCalculating
+  } = useCalculator();
+  const units = useUnits();
+
+  if (pipes.length === 0) {
+    return null;
+  }
+
+  const lineSettings = (pipe, index) => ({
+    ratio: 1,
+    priority: index + 1,
+    maxQuantityInMeters: 0,
+    ...maxQuantity.lines[pipe.id]
+  });
+
+  const handleLineChange = (pipe, index, field, kind) => (event) => {
+    const value = kind ? units.parse(event.target.value, kind) : (parseFloat(event.target.value) || 0);
+    updateMaxQuantity({
+      lines: { ...maxQuantity.lines, [pipe.id]: { ...lineSettings(pipe, index), [field]: value } }
+    });
+  };
+
+  // Dimensions must be valid; the quantities are what this mode calculates
+  const hasInputErrors = hasErrors(maxQuantityErrors);
+  const canCalculate = !hasInputErrors && maxQuantity.containerCount > 0 && !isCalculating;
+  const isPriority = maxQuantity.rule === 'priority';
+
+  const pipeLabel = (pipe) => {
+    const index = pipes.findIndex(p => p.id === pipe.id);
+    return `Pipe ${index + 1}: Ø${units.formatCompact(pipe.externalDiameter, 'pipeSize', 3)} × ${units.formatCompact(pipe.standardLength, 'pipeLength', 2)}`;
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, mb: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Maximum Quantity
+      </Typography>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        How much of each pipe line can be shipped in a given number of containers,
+        within cross-section packing and weight capacity.
+      </Typography>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={5}>
+          <FormControl fullWidth size="small">
+            <InputLabel id="max-quantity-type-label">Transportation Type</InputLabel>
+            <Select
+              labelId="max-quantity-type-label"
+              label="Transportation Type"
+              value={maxQuantity.transportationType}
+              onChange={(event) => updateMaxQuantity({ transportationType: event.target.value })}
+              displayEmpty
+            >
+              <MenuItem value="">
+                As selected ({TRANSPORTATION_TYPES[volume.transportationType]?.label || 'Custom'})
+              </MenuItem>
+              {Object.values(TRANSPORTATION_TYPES)
+                .filter(type => type.id !== 'custom')
+                .map(type => (
+                  <MenuItem key={type.id} value={type.id}>{type.label}</MenuItem>
+                ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Containers"
+            value={maxQuantity.containerCount || ''}
+            onChange={(event) => updateMaxQuantity({ containerCount: parseInt(event.target.value, 10) || 0 })}
+            error={!(maxQuantity.containerCount > 0)}
+            helperText={!(maxQuantity.containerCount > 0) ? 'At least 1' : ''}
+            inputProps={{ min: '1', step: '1' }}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <FormControl fullWidth size="small">
+            <InputLabel id="max-quantity-rule-label">Share By</InputLabel>
+            <Select
+              labelId="max-quantity-rule-label"
+              label="Share By"
+              value={maxQuantity.rule}
+              onChange={(event) => updateMaxQuantity({ rule: event.target.value })}
+            >
+              {Object.values(MAX_QUANTITY_RULES).map(rule => (
+                <MenuItem key={rule.id} value={rule.id}>{rule.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      {/* Ratio or priority per pipe line */}
+      <Table size="small" sx={{ mt: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell><strong>Pipe Line</strong></TableCell>
+            {isPriority ? (
+              <>
+                <TableCell align="right"><strong>Priority</strong></TableCell>
+                <TableCell align="right"><strong>Limit ({units.label('length')})</strong></TableCell>
+              </>
+            ) : (
+              <TableCell align="right"><strong>Ratio (by length)</strong></TableCell>
+            )}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {pipes.map((pipe, index) => {
+            const line = lineSettings(pipe, index);
+            return (
+              <TableRow key={pipe.id}>
+                <TableCell>
+                  <Box display="flex" alignItems="center" gap={1}>
+                    <Box sx={{ width: 12, height: 12, borderRadius: '50%', bgcolor: PIPE_COLORS[index % PIPE_COLORS.length] }} />
+                    <Typography variant="body2">{pipeLabel(pipe)}</Typography>
+                  </Box>
+                </TableCell>
+                {isPriority ? (
+                  <>
+                    <TableCell align="right">
+                      <TextField
+                        type="number"
+                        size="small"
+                        value={line.priority || ''}
+                        onChange={handleLineChange(pipe, index, 'priority')}
+                        helperText={index === 0 ? '1 = filled first' : ''}
+                        inputProps={{ min: '1', step: '1' }}
+                        sx={{ maxWidth: 110 }}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <TextField
+                        type="number"
+                        size="small"
+                        value={units.input(line.maxQuantityInMeters, 'length')}
+                        onChange={handleLineChange(pipe, index, 'maxQuantityInMeters', 'length')}
+                        placeholder="No limit"
+                        inputProps={{ min: '0', step: '1' }}
+                        sx={{ maxWidth: 130 }}
+                      />
+                    </TableCell>
+                  </>
+                ) : (
+                  <TableCell align="right">
+                    <TextField
+                      type="number"
+                      size="small"
+                      value={line.ratio}
+                      onChange={handleLineChange(pipe, index, 'ratio')}
+                      helperText={index === 0 ? '0 = not shipped' : ''}
+                      inputProps={{ min: '0', step: '0.5' }}
+                      sx={{ maxWidth: 110 }}
+                    />
+                  </TableCell>
+                )}
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      <Box display="flex" justifyContent="center" mt={2}>
+        <Button
+          variant="outlined"
+          startIcon={<SearchIcon />}
+          onClick={calculateMaxQuantities}
+          disabled={!canCalculate}
+        >
+          {isCalculating ? 'Calculating...' : 'Find Maximum Quantity'}
+        </Button>
+      </Box>
+      {hasInputErrors && (
+        <Typography variant="caption" color="error" display="block" textAlign="center" mt={1}>
+          {Object.values(maxQuantityErrors)[0]}
+        </Typography>
+      )}
+
+      {/* Maximum quantity per pipe line */}
+      {maxQuantityResults && (
+        <TableContainer sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            {formatNumberWithCommas(maxQuantityResults.containerCount)} × {TRANSPORTATION_TYPES[maxQuantityResults.volume.transportationType]?.label || 'Custom'}
+            {' '}— {maxQuantityResults.containersUsed} used,
+            {' '}{units.format(maxQuantityResults.volume.weightCapacity, 'weight', 0)} capacity each
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow sx={{ bgcolor: 'grey.100' }}>
+                <TableCell><strong>Pipe Line</strong></TableCell>
+                <TableCell align="right"><strong>Pieces</strong></TableCell>
+                <TableCell align="right"><strong>Length</strong></TableCell>
+                <TableCell align="right"><strong>Weight</strong></TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {maxQuantityResults.lines.map(line => {
+                const pipe = pipes.find(p => p.id === line.pipeId);
+                return (
+                  <TableRow key={line.pipeId} hover>
+                    <TableCell>{pipe ? pipeLabel(pipe) : line.pipeId}</TableCell>
+                    <TableCell align="right">{formatNumberWithCommas(line.pieces)}</TableCell>
+                    <TableCell align="right">{units.format(line.quantityInMeters, 'length', 1)}</TableCell>
+                    <TableCell align="right">{units.format(line.weight / 1000, 'tonnage', 2)}</TableCell>
+                  </TableRow>
+                );
+              })}
+
+              {/* Totals Row */}
+              <TableRow sx={{ bgcolor: 'primary.light' }}>
+                <TableCell>
+                  <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
+                    TOTAL
+                  </Typography>
+                </TableCell>
+                <TableCell align="right">
+                  <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
+                    {formatNumberWithCommas(maxQuantityResults.totalPipes)}
+                  </Typography>
+                </TableCell>
+                <TableCell align="right">
+                  <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
+                    {units.format(maxQuantityResults.totalQuantityInMeters, 'length', 1)}
+                  </Typography>
+                </TableCell>
+                <TableCell align="right">
+                  <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
+                    {units.format(maxQuantityResults.totalWeight / 1000, 'tonnage', 2)}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+          {maxQuantityResults.totalPipes === 0 && (
+            <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+              Not a single piece fits; check the pipe length and weight against the container.
+            </Typography>
+          )}
+        </TableContainer>
+      )}
+    </Paper>
+  );
+}
@@ -11,18 +11,65 @@ import {
   TextField,
   Grid,
   IconButton,
-  Collapse
+  Collapse,
+  MenuItem
 } from '@mui/material';
 import { Delete as DeleteIcon, ExpandMore as ExpandMoreIcon, ExpandLess as ExpandLessIcon } from '@mui/icons-material';
-import { useCalculator } from '../../context/CalculatorContext';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import { getError } from '../../utils/validation';
+import { BUNDLE_SHAPES, PIPE_MATERIALS, STACK_LIMIT_MODES, PIPE_PRIORITIES } from '../../constants/defaults';
+import { PIPE_STANDARDS } from '../../constants/pipeStandards';
+import {
+  getCatalogSizes,
+  getCatalogWalls,
+  lookupCatalogPipe,
+  checkWeightPerMeter,
+  roundWeight
+} from '../../utils/pipeCatalog';
+import { materialStackHeight } from '../../utils/stacking';
 
 export default function PipeRow({ pipe, index }) {
-  const { updatePipe, removePipe } = useCalculator();
+  const { updatePipe, removePipe, errors } = useCalculator();
+  const units = useUnits();
   const [expanded, setExpanded] = React.useState(true);
 
-  const handleChange = (field) => (event) => {
-    const value = parseFloat(event.target.value) || 0;
-    updatePipe(pipe.id, { [field]: value });
+  // Weight per meter follows the theoretical value until the user enters their own
+  const withTheoreticalWeight = (updates) => {
+    const before = checkWeightPerMeter(pipe);
+    const after = checkWeightPerMeter({ ...pipe, ...updates });
+    const following = !(pipe.weightPerMeter > 0) ||
+      (before && pipe.weightPerMeter === roundWeight(before.theoretical));
+    return after && following
+      ? { ...updates, weightPerMeter: roundWeight(after.theoretical) }
+      : updates;
+  };
+
+  // Typed values are stored in the canonical units (see units.js); kind picks the unit
+  const handleChange = (field, kind) => (event) => {
+    const value = units.parse(event.target.value, kind);
+    const updates = { [field]: value };
+    updatePipe(pipe.id, field === 'externalDiameter' || field === 'wallThickness'
+      ? withTheoreticalWeight(updates)
+      : updates);
+  };
+
+  const handleSelectChange = (field) => (event) => {
+    const updates = { [field]: event.target.value };
+    updatePipe(pipe.id, field === 'material' ? withTheoreticalWeight(updates) : updates);
+  };
+
+  // Catalog pick: choosing a standard or size resets the picks below it,
+  // choosing a schedule/wall fills OD, wall thickness and weight per meter
+  const handleCatalogChange = (field) => (event) => {
+    const value = event.target.value;
+    if (field === 'catalogStandard') {
+      updatePipe(pipe.id, { catalogStandard: value, catalogSize: '', catalogWall: '' });
+    } else if (field === 'catalogSize') {
+      updatePipe(pipe.id, { catalogSize: value, catalogWall: '' });
+    } else {
+      const dimensions = lookupCatalogPipe(pipe.catalogStandard, pipe.catalogSize, value, pipe.material);
+      updatePipe(pipe.id, { catalogWall: value, ...dimensions });
+    }
   };
 
   const handleRemove = () => {
@@ -35,6 +82,30 @@ export default function PipeRow({ pipe, index }) {
     ? Math.ceil(pipe.quantityInMeters / (pipe.standardLength / 1000))
     : 0;
 
+  const filler = pipe.priority === 'filler';
+  const bundled = pipe.bundleShape && pipe.bundleShape !== 'none';
+  const numberOfBundles = bundled && pipe.piecesPerBundle > 0
+    ? Math.ceil(numberOfPipes / pipe.piecesPerBundle)
+    : 0;
+  const fieldError = (field) => getError(errors, `pipe${index}${field}`);
+
+  // Entered weight per meter against the theoretical one of the material
+  const weightCheck = checkWeightPerMeter(pipe);
+  let weightHelper = '';
+  if (weightCheck && pipe.weightPerMeter > 0 && pipe.weightPerMeter !== roundWeight(weightCheck.theoretical)) {
+    const percent = (weightCheck.deviation * 100).toFixed(1);
+    weightHelper = `Theoretical ${units.format(weightCheck.theoretical, 'linearWeight')} (${weightCheck.deviation > 0 ? '+' : ''}${percent}%)`;
+  } else if (weightCheck) {
+    weightHelper = 'Theoretical value';
+  }
+
+  // Stack height the material and SDR allow (0 = no limit)
+  const stackLimit = pipe.stackLimit || 'none';
+  const derivedStackHeight = materialStackHeight(pipe);
+  const stackHelper = stackLimit === 'auto'
+    ? (derivedStackHeight > 0 ? `Up to ${units.formatCompact(derivedStackHeight, 'pipeLength', 2)}` : 'No limit for this material and SDR')
+    : '';
+
   return (
     <Paper
       elevation={1}
@@ -51,7 +122,7 @@ export default function PipeRow({ pipe, index }) {
           </Typography>
           {pipe.externalDiameter > 0 && (
             <Typography variant="body2" color="text.secondary">
-              ({pipe.externalDiameter} mm)
+              ({units.formatCompact(pipe.externalDiameter, 'pipeSize', 3)})
             </Typography>
           )}
           {numberOfPipes > 0 && (
@@ -59,6 +130,21 @@ export default function PipeRow({ pipe, index }) {
               {numberOfPipes} pieces
             </Typography>
           )}
+          {filler && (
+            <Typography variant="body2" color="secondary">
+              Optional filler
+            </Typography>
+          )}
+          {pipe.order && (
+            <Typography variant="body2" color="text.secondary">
+              Order {pipe.order}
+            </Typography>
+          )}
+          {fieldError('DoorOpening') && (
+            <Typography variant="body2" color="error">
+              {fieldError('DoorOpening')}
+            </Typography>
+          )}
         </Box>
         <Box>
           <IconButton
@@ -80,44 +166,146 @@ export default function PipeRow({ pipe, index }) {
       <Collapse in={expanded}>
         <Box mt={2}>
           <Grid container spacing={2}>
-            {/* Row 1: Diameters */}
+            {/* Row 0: Standards catalog */}
+            <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                fullWidth
+                label="Standard"
+                value={pipe.catalogStandard || ''}
+                onChange={handleCatalogChange('catalogStandard')}
+                helperText="Optional – fills the fields below"
+                size="small"
+              >
+                <MenuItem value="">Manual entry</MenuItem>
+                {Object.values(PIPE_STANDARDS).map(standard => (
+                  <MenuItem key={standard.id} value={standard.id}>{standard.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
             <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                fullWidth
+                label="Nominal Size"
+                value={pipe.catalogSize || ''}
+                onChange={handleCatalogChange('catalogSize')}
+                disabled={!pipe.catalogStandard}
+                size="small"
+              >
+                {getCatalogSizes(pipe.catalogStandard).map(size => (
+                  <MenuItem key={size.id} value={size.id}>{size.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                fullWidth
+                label="Schedule / Wall"
+                value={pipe.catalogWall || ''}
+                onChange={handleCatalogChange('catalogWall')}
+                disabled={!pipe.catalogSize}
+                size="small"
+              >
+                {getCatalogWalls(pipe.catalogStandard, pipe.catalogSize).map(wall => (
+                  <MenuItem key={wall.id} value={wall.id}>{wall.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+
+            {/* Priority, order / consignee and drop of the line */}
+            <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                fullWidth
+                label="Priority"
+                value={pipe.priority || 'mandatory'}
+                onChange={handleSelectChange('priority')}
+                helperText={filler ? 'Fills leftover space, up to the quantity' : ''}
+                size="small"
+              >
+                {Object.values(PIPE_PRIORITIES).map(priority => (
+                  <MenuItem key={priority.id} value={priority.id}>{priority.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={5}>
+              <TextField
+                fullWidth
+                label="Order / Consignee"
+                value={pipe.order || ''}
+                onChange={(event) => updatePipe(pipe.id, { order: event.target.value })}
+                helperText="Optional – see Order Consolidation"
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <TextField
+                fullWidth
+                label="Drop"
+                type="number"
+                value={pipe.dropSequence || ''}
+                onChange={handleChange('dropSequence')}
+                error={!!fieldError('DropSequence')}
+                helperText={fieldError('DropSequence') || '1 = unloaded first'}
+                inputProps={{ min: '1', step: '1' }}
+                size="small"
+              />
+            </Grid>
+
+            {/* Row 1: Material and diameters */}
+            <Grid item xs={12} sm={3}>
+              <TextField
+                select
+                fullWidth
+                label="Material"
+                value={pipe.material || 'carbonSteel'}
+                onChange={handleSelectChange('material')}
+                size="small"
+              >
+                {Object.values(PIPE_MATERIALS).map(material => (
+                  <MenuItem key={material.id} value={material.id}>{material.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={3}>
               <TextField
                 fullWidth
                 label="External Diameter"
                 type="number"
-                value={pipe.externalDiameter || ''}
-                onChange={handleChange('externalDiameter')}
+                value={units.input(pipe.externalDiameter, 'pipeSize')}
+                onChange={handleChange('externalDiameter', 'pipeSize')}
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>mm</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeSize')}</span>
                 }}
                 size="small"
               />
             </Grid>
-            <Grid item xs={12} sm={4}>
+            <Grid item xs={12} sm={3}>
               <TextField
                 fullWidth
                 label="Wall Thickness/Et Kalınlığı"
                 type="number"
-                value={pipe.wallThickness || ''}
-                onChange={handleChange('wallThickness')}
+                value={units.input(pipe.wallThickness, 'pipeSize')}
+                onChange={handleChange('wallThickness', 'pipeSize')}
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>mm</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeSize')}</span>
                 }}
                 size="small"
               />
             </Grid>
-            <Grid item xs={12} sm={4}>
+            <Grid item xs={12} sm={3}>
               <TextField
                 fullWidth
                 label="Internal Diameter/İç Çap"
                 type="number"
                 value={pipe.externalDiameter && pipe.wallThickness
-                  ? (pipe.externalDiameter - 2 * pipe.wallThickness).toFixed(2)
+                  ? units.display(pipe.externalDiameter - 2 * pipe.wallThickness, 'pipeSize').toFixed(2)
                   : ''}
                 disabled
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>mm</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeSize')}</span>
                 }}
                 size="small"
                 helperText="Auto-calculated"
@@ -130,11 +318,11 @@ export default function PipeRow({ pipe, index }) {
                 fullWidth
                 label="Standard Length"
                 type="number"
-                value={pipe.standardLength || ''}
-                onChange={handleChange('standardLength')}
+                value={units.input(pipe.standardLength, 'pipeLength')}
+                onChange={handleChange('standardLength', 'pipeLength')}
                 helperText="Single pipe length"
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>mm</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeLength')}</span>
                 }}
                 size="small"
               />
@@ -142,13 +330,13 @@ export default function PipeRow({ pipe, index }) {
             <Grid item xs={12} sm={4}>
               <TextField
                 fullWidth
-                label="Quantity (Total Length)"
+                label={filler ? 'Max Quantity (Total Length)' : 'Quantity (Total Length)'}
                 type="number"
-                value={pipe.quantityInMeters || ''}
-                onChange={handleChange('quantityInMeters')}
-                helperText="Total length required"
+                value={units.input(pipe.quantityInMeters, 'length')}
+                onChange={handleChange('quantityInMeters', 'length')}
+                helperText={filler ? 'Most that may be added' : 'Total length required'}
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>m</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('length')}</span>
                 }}
                 size="small"
               />
@@ -158,14 +346,167 @@ export default function PipeRow({ pipe, index }) {
                 fullWidth
                 label="Weight per Meter"
                 type="number"
-                value={pipe.weightPerMeter || ''}
-                onChange={handleChange('weightPerMeter')}
+                value={units.input(pipe.weightPerMeter, 'linearWeight')}
+                onChange={handleChange('weightPerMeter', 'linearWeight')}
+                error={!!fieldError('WeightPerMeter')}
+                helperText={fieldError('WeightPerMeter') || weightHelper}
+                FormHelperTextProps={{
+                  sx: weightCheck?.flagged && !fieldError('WeightPerMeter') ? { color: 'warning.main' } : undefined
+                }}
+                InputProps={{
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('linearWeight')}</span>
+                }}
+                size="small"
+              />
+            </Grid>
+
+            {/* Row 3: Socket (bell) end */}
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Socket Diameter"
+                type="number"
+                value={units.input(pipe.socketDiameter, 'pipeSize')}
+                onChange={handleChange('socketDiameter', 'pipeSize')}
+                error={!!fieldError('SocketDiameter')}
+                helperText={fieldError('SocketDiameter') || 'Empty for plain ends'}
+                InputProps={{
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeSize')}</span>
+                }}
+                size="small"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Socket Length"
+                type="number"
+                value={units.input(pipe.socketLength, 'pipeSize')}
+                onChange={handleChange('socketLength', 'pipeSize')}
+                error={!!fieldError('SocketLength')}
+                helperText={fieldError('SocketLength') || 'Included in the standard length'}
+                disabled={!(pipe.socketDiameter > 0)}
                 InputProps={{
-                  endAdornment: <span style={{ marginLeft: 8 }}>kg/m</span>
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeSize')}</span>
                 }}
                 size="small"
               />
             </Grid>
+
+            {/* Row 4: Strapped bundles */}
+            <Grid item xs={12} sm={bundled ? 3 : 4}>
+              <TextField
+                select
+                fullWidth
+                label="Bundling"
+                value={pipe.bundleShape || 'none'}
+                onChange={handleSelectChange('bundleShape')}
+                error={!!fieldError('BundleShape')}
+                size="small"
+              >
+                {Object.values(BUNDLE_SHAPES).map(shape => (
+                  <MenuItem key={shape.id} value={shape.id}>
+                    {shape.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {bundled && (
+              <>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    label="Pieces per Bundle"
+                    type="number"
+                    value={pipe.piecesPerBundle || ''}
+                    onChange={handleChange('piecesPerBundle')}
+                    error={!!fieldError('PiecesPerBundle')}
+                    helperText={fieldError('PiecesPerBundle')}
+                    inputProps={{ min: '1', step: '1' }}
+                    size="small"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    label="Strap Allowance"
+                    type="number"
+                    value={units.input(pipe.strapAllowance, 'pipeSize')}
+                    onChange={handleChange('strapAllowance', 'pipeSize')}
+                    error={!!fieldError('StrapAllowance')}
+                    helperText={fieldError('StrapAllowance') || 'Per side'}
+                    InputProps={{
+                      endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeSize')}</span>
+                    }}
+                    size="small"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    fullWidth
+                    label="Max Bundle Weight"
+                    type="number"
+                    value={units.input(pipe.maxBundleWeight, 'weight')}
+                    onChange={handleChange('maxBundleWeight', 'weight')}
+                    error={!!fieldError('MaxBundleWeight')}
+                    helperText={fieldError('MaxBundleWeight') || 'Empty = no limit'}
+                    InputProps={{
+                      endAdornment: <span style={{ marginLeft: 8 }}>{units.label('weight')}</span>
+                    }}
+                    size="small"
+                  />
+                </Grid>
+              </>
+            )}
+
+            {/* Row 5: Stack-crush limit */}
+            <Grid item xs={12} sm={6}>
+              <TextField
+                select
+                fullWidth
+                label="Stack Limit"
+                value={stackLimit}
+                onChange={handleSelectChange('stackLimit')}
+                helperText={stackHelper}
+                size="small"
+              >
+                {Object.values(STACK_LIMIT_MODES).map(mode => (
+                  <MenuItem key={mode.id} value={mode.id}>{mode.label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {stackLimit === 'tiers' && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  label="Max Tiers"
+                  type="number"
+                  value={pipe.maxTiers || ''}
+                  onChange={handleChange('maxTiers')}
+                  error={!!fieldError('MaxTiers')}
+                  helperText={fieldError('MaxTiers') || 'Rows of this pipe stacked on each other'}
+                  inputProps={{ min: '1', step: '1' }}
+                  size="small"
+                />
+              </Grid>
+            )}
+            {stackLimit === 'height' && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  label="Max Stack Height"
+                  type="number"
+                  value={units.input(pipe.maxStackHeight, 'pipeLength')}
+                  onChange={handleChange('maxStackHeight', 'pipeLength')}
+                  error={!!fieldError('MaxStackHeight')}
+                  helperText={fieldError('MaxStackHeight') || 'Bottom of the lowest tier to top of the highest'}
+                  InputProps={{
+                    endAdornment: <span style={{ marginLeft: 8 }}>{units.label('pipeLength')}</span>
+                  }}
+                  size="small"
+                />
+              </Grid>
+            )}
           </Grid>
 
           {/* Summary info */}
@@ -175,7 +516,10 @@ export default function PipeRow({ pipe, index }) {
                 <strong>{numberOfPipes}</strong> pipes x{' '}
                 <strong>{(pipe.standardLength / 1000).toFixed(1)}m</strong> ={' '}
                 <strong>{pipe.quantityInMeters}m</strong> total |{' '}
-                Weight: <strong>{(pipe.quantityInMeters * pipe.weightPerMeter).toFixed(1)} kg</strong>
+                Weight: <strong>{units.format(pipe.quantityInMeters * pipe.weightPerMeter, 'weight', 1)}</strong>
+                {numberOfBundles > 0 && (
+                  <> | <strong>{numberOfBundles}</strong> bundles of up to {pipe.piecesPerBundle}</>
+                )}
               </Typography>
             </Box>
           )}
@@ -0,0 +1,107 @@
+/**
+ * Axle Load Table Component
+ * Table showing centre of gravity and axle-group loads for each planned truck
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip
+} from '@mui/material';
+import { useUnits } from '../../context/CalculatorContext';
+
+export default function AxleLoadTable({ containerPlan, transportationType }) {
+  const units = useUnits();
+  const balancedLoads = (containerPlan || []).filter(container => container.loadBalance);
+
+  if (balancedLoads.length === 0) {
+    return null;
+  }
+
+  // All loads use the same vehicle, so the first one gives the axle group columns
+  const axleColumns = balancedLoads[0].loadBalance.axleGroups;
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2}>
+        <Typography variant="h6">
+          Axle Loads
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Tare plus cargo per axle group; centre of gravity measured from the front wall and from the centre line
+        </Typography>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow sx={{ bgcolor: 'grey.100' }}>
+              <TableCell><strong>{transportationType || 'Vehicle'}</strong></TableCell>
+              <TableCell align="right"><strong>CoG (long. / lat.)</strong></TableCell>
+              {axleColumns.map(group => (
+                <TableCell key={group.id} align="right"><strong>{group.label}</strong></TableCell>
+              ))}
+              <TableCell align="center"><strong>Status</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {balancedLoads.map(container => {
+              const balance = container.loadBalance;
+              const ok = !balance.overloaded && !balance.liftOff && !balance.lateralImbalance;
+
+              return (
+                <TableRow key={container.containerNumber} hover>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">
+                      {transportationType || 'Vehicle'} {container.containerNumber}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Typography variant="body2">
+                      {units.format(balance.centerOfGravity.longitudinal, 'dimension', 0)}
+                    </Typography>
+                    <Typography
+                      variant="caption"
+                      color={balance.lateralImbalance ? 'error' : 'text.secondary'}
+                    >
+                      {balance.lateralOffset >= 0 ? '+' : ''}{units.format(balance.lateralOffset, 'dimension', 1)}
+                    </Typography>
+                  </TableCell>
+                  {balance.axleGroups.map(group => (
+                    <TableCell key={group.id} align="right">
+                      <Typography
+                        variant="body2"
+                        color={group.overloaded || group.totalLoad < 0 ? 'error' : 'text.primary'}
+                        fontWeight={group.overloaded ? 'bold' : 'normal'}
+                      >
+                        {units.format(group.totalLoad, 'weight', 0)}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        of {units.format(group.maxLoad, 'weight', 0)}
+                      </Typography>
+                    </TableCell>
+                  ))}
+                  <TableCell align="center">
+                    <Chip
+                      size="small"
+                      label={ok ? 'OK' : balance.overloaded ? 'Overload' : balance.liftOff ? 'Lift-off' : 'Off-centre'}
+                      color={ok ? 'success' : 'error'}
+                      variant={ok ? 'outlined' : 'filled'}
+                    />
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
@@ -1,13 +1,16 @@
 /**
  * Container Table Component
- * Table showing breakdown of pipes per container with weights
+ * Table showing breakdown of pipes per container with weights and leftover capacity;
+ * out-of-gauge units show their overhang and over-height, and consolidated bookings the
+ * orders in each container
  */
 
-import React, { useMemo } from 'react';
+import React from 'react';
 import {
   Box,
   Paper,
   Typography,
+  Chip,
   Table,
   TableBody,
   TableCell,
@@ -15,152 +18,23 @@ import {
   TableHead,
   TableRow
 } from '@mui/material';
-import { formatNumberWithCommas } from '../../utils/calculations';
+import { formatNumberWithCommas, formatPercentage } from '../../utils/calculations';
+import { describeSlotSegments } from '../../utils/lengthPlanning';
+import { useUnits } from '../../context/CalculatorContext';
 
-export default function ContainerTable({ pipeResults, volumesNeeded, volume }) {
-  // Calculate container breakdown
-  const containerBreakdown = useMemo(() => {
-    if (!pipeResults || pipeResults.length === 0 || !volumesNeeded) {
-      return [];
-    }
+export default function ContainerTable({ volumesNeeded }) {
+  const units = useUnits();
 
-    const totalContainers = volumesNeeded.total || 1;
-    const containers = [];
+  // Per-container plan from the mixed-load packer
+  const containerBreakdown = volumesNeeded?.containerPlan || [];
 
-    // Sort pipes by external diameter (largest first) for nesting logic
-    const sortedPipes = [...pipeResults]
-      .filter(p => p.numberOfPipes > 0)
-      .sort((a, b) => b.externalDiameter - a.externalDiameter);
-
-    if (sortedPipes.length === 0) return [];
-
-    const largestPipe = sortedPipes[0];
-
-    // Check which smaller pipes can nest inside the largest
-    const nestingCandidates = sortedPipes.slice(1).filter(
-      p => p.externalDiameter <= largestPipe.internalDiameter
-    );
-
-    // Track remaining pipes to distribute
-    const remainingPipes = {};
-    sortedPipes.forEach(p => {
-      remainingPipes[p.id] = p.numberOfPipes;
-    });
-
-    for (let i = 0; i < totalContainers; i++) {
-      const containerPipes = [];
-      let containerWeight = 0;
-      let totalPipesInContainer = 0;
-
-      // Calculate large pipes for this container
-      const largePipesPerContainer = largestPipe.pipesPerContainer || 0;
-      const largePipesInThis = Math.min(remainingPipes[largestPipe.id] || 0, largePipesPerContainer);
-
-      if (largePipesInThis > 0) {
-        const weightForLarge = largePipesInThis * largestPipe.standardLengthM * largestPipe.weightPerMeter;
-        containerPipes.push({
-          diameterMm: largestPipe.externalDiameterMm,
-          count: largePipesInThis,
-          weight: weightForLarge,
-          nested: false
-        });
-        containerWeight += weightForLarge;
-        totalPipesInContainer += largePipesInThis;
-        remainingPipes[largestPipe.id] -= largePipesInThis;
-      }
-
-      // Calculate nested pipes (one per large pipe)
-      for (const smallPipe of nestingCandidates) {
-        const nestedCount = Math.min(remainingPipes[smallPipe.id] || 0, largePipesInThis);
-        if (nestedCount > 0) {
-          const weightForNested = nestedCount * smallPipe.standardLengthM * smallPipe.weightPerMeter;
-          containerPipes.push({
-            diameterMm: smallPipe.externalDiameterMm,
-            count: nestedCount,
-            weight: weightForNested,
-            nested: true
-          });
-          containerWeight += weightForNested;
-          totalPipesInContainer += nestedCount;
-          remainingPipes[smallPipe.id] -= nestedCount;
-        }
-      }
-
-      // Calculate standalone small pipes (in remaining space)
-      // These go beside/above large pipes, or fill the entire container if no large pipes
-      for (const smallPipe of sortedPipes.slice(1)) {
-        if ((remainingPipes[smallPipe.id] || 0) <= 0) continue;
-
-        const smallDiameter = smallPipe.externalDiameter;
-        let standaloneCapacity = 0;
-
-        if (largePipesInThis > 0) {
-          // Calculate space around large pipes
-          const usedRows = Math.ceil(largePipesInThis / (largestPipe.pipesPerRow || 1));
-          const usedHeightByLarge = usedRows * largestPipe.externalDiameter;
-          const usedWidthByLarge = Math.min(largePipesInThis, largestPipe.pipesPerRow || 1) * largestPipe.externalDiameter;
-          const remainingWidthOnSide = (volume?.width || 0) - usedWidthByLarge;
-          const remainingHeightOnTop = (volume?.height || 0) - usedHeightByLarge;
-
-          // Side space capacity (right of large pipes, full height)
-          const sideColumns = Math.floor(remainingWidthOnSide / smallDiameter);
-          const sideRows = Math.floor((volume?.height || 0) / smallDiameter);
-          const sideCapacity = Math.max(0, sideColumns * sideRows);
-
-          // Top space capacity (above large pipes, only in the width used by large pipes)
-          const topColumns = Math.floor(usedWidthByLarge / smallDiameter);
-          const topRows = Math.floor(remainingHeightOnTop / smallDiameter);
-          const topCapacity = Math.max(0, topColumns * topRows);
-
-          standaloneCapacity = (sideCapacity + topCapacity) * (largestPipe.pipesAlongLength || 1);
-        } else {
-          // No large pipes in this container - small pipes can use entire container
-          const smallPipesPerRow = Math.floor((volume?.width || 0) / smallDiameter);
-          const smallPipesPerColumn = Math.floor((volume?.height || 0) / smallDiameter);
-          const smallPipesAlongLength = Math.floor((volume?.length || 0) / (smallPipe.standardLengthCm || 1));
-          standaloneCapacity = smallPipesPerRow * smallPipesPerColumn * smallPipesAlongLength;
-        }
-
-        const standaloneCount = Math.min(remainingPipes[smallPipe.id] || 0, standaloneCapacity);
-
-        if (standaloneCount > 0) {
-          // Check if we already have this pipe type (from nesting)
-          const existingEntry = containerPipes.find(p => p.diameterMm === smallPipe.externalDiameterMm && !p.nested);
-          const weightForStandalone = standaloneCount * smallPipe.standardLengthM * smallPipe.weightPerMeter;
-
-          if (existingEntry) {
-            existingEntry.count += standaloneCount;
-            existingEntry.weight += weightForStandalone;
-          } else {
-            containerPipes.push({
-              diameterMm: smallPipe.externalDiameterMm,
-              count: standaloneCount,
-              weight: weightForStandalone,
-              nested: false,
-              standalone: true
-            });
-          }
-          containerWeight += weightForStandalone;
-          totalPipesInContainer += standaloneCount;
-          remainingPipes[smallPipe.id] -= standaloneCount;
-        }
-      }
-
-      containers.push({
-        containerNumber: i + 1,
-        pipes: containerPipes,
-        totalPipes: totalPipesInContainer,
-        totalWeight: containerWeight
-      });
-    }
-
-    return containers;
-  }, [pipeResults, volumesNeeded, volume]);
-
-  if (!containerBreakdown || containerBreakdown.length === 0) {
+  if (containerBreakdown.length === 0) {
     return null;
   }
 
+  // Orders column only for consolidated bookings
+  const showOrders = containerBreakdown.some(container => container.orders?.some(o => o.order));
+
   // Calculate grand totals
   const grandTotals = containerBreakdown.reduce((acc, container) => ({
     totalPipes: acc.totalPipes + container.totalPipes,
@@ -179,9 +53,11 @@ export default function ContainerTable({ pipeResults, volumesNeeded, volume }) {
           <TableHead>
             <TableRow sx={{ bgcolor: 'grey.100' }}>
               <TableCell><strong>Container</strong></TableCell>
+              {showOrders && <TableCell><strong>Orders</strong></TableCell>}
               <TableCell><strong>Pipe Breakdown</strong></TableCell>
               <TableCell align="right"><strong>Total Pipes</strong></TableCell>
               <TableCell align="right"><strong>Total Weight</strong></TableCell>
+              <TableCell align="right"><strong>Leftover</strong></TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
@@ -191,13 +67,52 @@ export default function ContainerTable({ pipeResults, volumesNeeded, volume }) {
                   <Typography variant="body2" fontWeight="medium">
                     Container {container.containerNumber}
                   </Typography>
+                  {container.outOfGauge && (
+                    <>
+                      <Chip label="Out of gauge" size="small" color="warning" sx={{ mt: 0.5 }} />
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {[
+                          container.outOfGauge.overhang > 0 && `${units.format(container.outOfGauge.overhang, 'dimension', 0)} overhang each end`,
+                          container.outOfGauge.overHeight > 0 && `${units.format(container.outOfGauge.overHeight, 'dimension', 0)} over-height`
+                        ].filter(Boolean).join(', ')}
+                      </Typography>
+                    </>
+                  )}
                 </TableCell>
+                {showOrders && (
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                      {container.orders.map(order => (
+                        <Typography key={order.order} variant="caption">
+                          <strong>{order.order || 'No order'}</strong>: {order.pieces} pcs, {units.format(order.weight, 'weight', 0)}
+                        </Typography>
+                      ))}
+                      {container.orderBoundaries?.length > 0 && (
+                        <Typography variant="caption" color="text.secondary">
+                          Separated at {container.orderBoundaries
+                            .map(boundary => units.format(boundary.y, 'dimension', 0))
+                            .join(', ')} from the floor
+                        </Typography>
+                      )}
+                    </Box>
+                  </TableCell>
+                )}
                 <TableCell>
                   <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
                     {container.pipes.map((pipe, idx) => (
                       <Typography key={idx} variant="caption" color="text.secondary">
-                        {pipe.nested ? '↳ ' : ''}{pipe.count}× Ø{pipe.diameterMm}mm
-                        {pipe.nested ? ' (nested)' : pipe.standalone ? ' (beside)' : ''}
+                        {pipe.count}× Ø{units.formatCompact(pipe.diameterMm, 'pipeSize', 3)} × {units.format(pipe.standardLengthM, 'length', 1)}
+                        {' '}({showOrders && pipe.order ? `${pipe.order}, ` : ''}{units.format(pipe.weight, 'weight', 0)}
+                        {pipe.packingPattern === 'staggered' ? ', staggered' : ''}
+                        {pipe.bundles > 0 ? `, ${pipe.bundles} bundle${pipe.bundles !== 1 ? 's' : ''}` : ''}
+                        {pipe.nested > 0 ? `, ${pipe.nested} telescoped` : ''}
+                        {pipe.filler ? ', filler' : ''})
+                      </Typography>
+                    ))}
+                    {container.lengthCombinations?.map((combination, idx) => (
+                      <Typography key={`combo-${idx}`} variant="caption" color="text.secondary">
+                        ↔ {combination.slots} slot{combination.slots !== 1 ? 's' : ''}: {describeSlotSegments(combination, units)}
+                        {' '}(Ø{units.formatCompact(combination.diameterMm, 'pipeSize', 3)}, {units.format(combination.leftoverLength / 100, 'length')} spare)
                       </Typography>
                     ))}
                     {container.pipes.length === 0 && (
@@ -211,10 +126,43 @@ export default function ContainerTable({ pipeResults, volumesNeeded, volume }) {
                   <Typography variant="body2">
                     {formatNumberWithCommas(container.totalPipes)}
                   </Typography>
+                  {container.totalBundles > 0 && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      in {container.totalBundles} bundle{container.totalBundles !== 1 ? 's' : ''}
+                    </Typography>
+                  )}
+                  {container.fillerPipes > 0 && (
+                    <Typography variant="caption" display="block" color="secondary.main">
+                      incl. {formatNumberWithCommas(container.fillerPipes)} filler
+                    </Typography>
+                  )}
                 </TableCell>
                 <TableCell align="right">
                   <Typography variant="body2">
-                    {formatNumberWithCommas(Math.round(container.totalWeight))} kg
+                    {units.format(container.totalWeight, 'weight', 0)}
+                  </Typography>
+                  {container.dunnageWeight > 0 && (
+                    <Typography variant="caption" color="text.secondary">
+                      incl. {units.format(container.dunnageWeight, 'weight', 0)} dunnage
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell align="right">
+                  <Typography variant="caption" display="block" color="text.secondary">
+                    {units.format(container.remainingHeight, 'dimension', 1)} free height
+                  </Typography>
+                  {container.bearers?.length > 0 && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      {container.bearers.length} bearer layer{container.bearers.length !== 1 ? 's' : ''}
+                    </Typography>
+                  )}
+                  {container.remainingWeight !== null && (
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      {units.format(container.remainingWeight, 'weight', 0)} headroom
+                    </Typography>
+                  )}
+                  <Typography variant="caption" display="block" color="text.secondary">
+                    {formatPercentage(container.crossSectionFill * 100)} cross-section
                   </Typography>
                 </TableCell>
               </TableRow>
@@ -232,6 +180,7 @@ export default function ContainerTable({ pipeResults, volumesNeeded, volume }) {
                   {containerBreakdown.length} container(s)
                 </Typography>
               </TableCell>
+              {showOrders && <TableCell />}
               <TableCell align="right">
                 <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
                   {formatNumberWithCommas(grandTotals.totalPipes)}
@@ -239,7 +188,12 @@ export default function ContainerTable({ pipeResults, volumesNeeded, volume }) {
               </TableCell>
               <TableCell align="right">
                 <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
-                  {formatNumberWithCommas(Math.round(grandTotals.totalWeight))} kg
+                  {units.format(grandTotals.totalWeight, 'weight', 0)}
+                </Typography>
+              </TableCell>
+              <TableCell align="right">
+                <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
+                  -
                 </Typography>
               </TableCell>
             </TableRow>
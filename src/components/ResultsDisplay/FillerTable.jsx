@@ -0,0 +1,81 @@
+/**
+ * Filler Table Component
+ * Optional filler lines loaded into the space and weight left by the mandatory lines
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { formatNumberWithCommas } from '../../utils/calculations';
+import { useUnits } from '../../context/CalculatorContext';
+
+export default function FillerTable({ fillerAdded }) {
+  const units = useUnits();
+
+  if (!fillerAdded || fillerAdded.length === 0) {
+    return null;
+  }
+
+  const totals = fillerAdded.reduce((acc, filler) => ({
+    pieces: acc.pieces + filler.pieces,
+    meters: acc.meters + filler.meters,
+    weight: acc.weight + filler.weight
+  }), { pieces: 0, meters: 0, weight: 0 });
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2}>
+        <Typography variant="h6">
+          Filler Added
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Optional lines loaded into the space and weight left after the mandatory quantities, without extra units
+        </Typography>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow sx={{ bgcolor: 'grey.100' }}>
+              <TableCell><strong>Type</strong></TableCell>
+              <TableCell align="right"><strong>Added</strong></TableCell>
+              <TableCell align="right"><strong>Maximum</strong></TableCell>
+              <TableCell align="right"><strong>Length</strong></TableCell>
+              <TableCell align="right"><strong>Weight</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {fillerAdded.map(filler => (
+              <TableRow key={filler.pipeId} hover>
+                <TableCell>
+                  <Typography variant="body2" fontWeight="medium">
+                    Ø{units.formatCompact(filler.diameterMm, 'pipeSize', 3)} × {units.formatCompact(filler.standardLengthM, 'length', 2)}
+                  </Typography>
+                </TableCell>
+                <TableCell align="right">{formatNumberWithCommas(filler.pieces)} pcs</TableCell>
+                <TableCell align="right">{formatNumberWithCommas(filler.maxPieces)} pcs</TableCell>
+                <TableCell align="right">{units.format(filler.meters, 'length', 1)}</TableCell>
+                <TableCell align="right">{units.format(filler.weight, 'weight', 0)}</TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell><strong>Total</strong></TableCell>
+              <TableCell align="right"><strong>{formatNumberWithCommas(totals.pieces)} pcs</strong></TableCell>
+              <TableCell />
+              <TableCell align="right"><strong>{units.format(totals.meters, 'length', 1)}</strong></TableCell>
+              <TableCell align="right"><strong>{units.format(totals.weight, 'weight', 0)}</strong></TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
@@ -0,0 +1,105 @@
+/**
+ * Final Unit Alternatives Component
+ * The default plan next to plans where the last, partially filled unit goes in another
+ * transportation type, with fill rates and freight
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { formatNumberWithCommas, formatPercentage } from '../../utils/calculations';
+
+export default function FinalUnitAlternatives({ volumesNeeded, transportationType, freightQuote }) {
+  const containerPlan = volumesNeeded?.containerPlan || [];
+  const alternatives = volumesNeeded?.finalUnitAlternatives || [];
+
+  if (containerPlan.length === 0 || alternatives.length === 0) {
+    return null;
+  }
+
+  const last = containerPlan[containerPlan.length - 1];
+  const fullUnits = containerPlan.length - 1;
+  const money = (quote) => (quote ? `${formatNumberWithCommas(quote.total)} ${quote.currency}` : '-');
+
+  // Cheapest option when freight rates are entered
+  const quotes = [freightQuote, ...alternatives.map(a => a.freightQuote)].filter(Boolean);
+  const cheapest = quotes.length > 0 ? Math.min(...quotes.map(q => q.total)) : null;
+  const isCheapest = (quote) => quote && cheapest !== null && quotes.length > 1 && quote.total <= cheapest + 1e-9;
+
+  const describePlan = (units, label) => [
+    fullUnits > 0 ? `${fullUnits} × ${transportationType}` : null,
+    `${units} × ${label}`
+  ].filter(Boolean).join(' + ');
+
+  const rows = [
+    {
+      key: 'default',
+      plan: `${containerPlan.length} × ${transportationType}`,
+      isDefault: true,
+      crossSectionFill: last.crossSectionFill,
+      weightFill: last.weightFill,
+      freightQuote
+    },
+    ...alternatives.map(alternative => ({
+      key: alternative.transportationType,
+      plan: describePlan(alternative.units, alternative.label),
+      crossSectionFill: alternative.crossSectionFill,
+      weightFill: alternative.weightFill,
+      overloaded: alternative.overloaded,
+      freightQuote: alternative.freightQuote
+    }))
+  ];
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2}>
+        <Typography variant="h6">
+          Final Unit Alternatives
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Container {last.containerNumber} carries {formatNumberWithCommas(last.totalPipes)} pipes;
+          fill rates are those of the final unit(s) only
+        </Typography>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow sx={{ bgcolor: 'grey.100' }}>
+              <TableCell><strong>Plan</strong></TableCell>
+              <TableCell align="right"><strong>Cross-Section Fill</strong></TableCell>
+              <TableCell align="right"><strong>Weight Fill</strong></TableCell>
+              <TableCell align="right"><strong>Freight</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(row => (
+              <TableRow key={row.key} hover>
+                <TableCell>
+                  <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                    <Typography variant="body2">{row.plan}</Typography>
+                    {row.isDefault && <Chip label="Default" size="small" variant="outlined" />}
+                    {isCheapest(row.freightQuote) && <Chip label="Cheapest" size="small" color="success" />}
+                    {row.overloaded && <Chip label="Axle overload" size="small" color="warning" />}
+                  </Box>
+                </TableCell>
+                <TableCell align="right">{formatPercentage(row.crossSectionFill * 100)}</TableCell>
+                <TableCell align="right">{row.weightFill > 0 ? formatPercentage(row.weightFill * 100) : '-'}</TableCell>
+                <TableCell align="right">{money(row.freightQuote)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
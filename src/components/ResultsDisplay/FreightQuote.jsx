@@ -0,0 +1,112 @@
+/**
+ * Freight Quote Component
+ * Freight cost for the planned containers/trucks: lines, total, per tonne and per meter
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { formatNumberWithCommas } from '../../utils/calculations';
+import { useUnits } from '../../context/CalculatorContext';
+
+export default function FreightQuote({ freightQuote }) {
+  const units = useUnits();
+
+  if (!freightQuote) {
+    return null;
+  }
+
+  const { currency, lines, total, costPerTonne, costPerMeter } = freightQuote;
+  const money = (amount) => `${formatNumberWithCommas(amount)} ${currency}`;
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2}>
+        <Typography variant="h6">
+          Freight Quote
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          {freightQuote.units} unit{freightQuote.units !== 1 ? 's' : ''} from the container plan, converted to {currency} with the entered exchange rates
+        </Typography>
+      </Box>
+
+      <Grid container spacing={2} sx={{ px: 2, pb: 2 }}>
+        <Grid item xs={12} sm={4}>
+          <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Total Freight
+            </Typography>
+            <Typography variant="h6" fontWeight="bold">
+              {money(total)}
+            </Typography>
+          </Paper>
+        </Grid>
+        <Grid item xs={6} sm={4}>
+          <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Per {units.system === 'imperial' ? 'Short Ton' : 'Tonne'}
+            </Typography>
+            <Typography variant="h6" fontWeight="bold">
+              {money(units.displayRate(costPerTonne, 'tonnage'))}
+            </Typography>
+          </Paper>
+        </Grid>
+        <Grid item xs={6} sm={4}>
+          <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Per {units.system === 'imperial' ? 'Foot' : 'Meter'}
+            </Typography>
+            <Typography variant="h6" fontWeight="bold">
+              {money(units.displayRate(costPerMeter, 'length'))}
+            </Typography>
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow sx={{ bgcolor: 'grey.100' }}>
+              <TableCell><strong>Item</strong></TableCell>
+              <TableCell align="right"><strong>Qty</strong></TableCell>
+              <TableCell align="right"><strong>Unit Price</strong></TableCell>
+              <TableCell align="right"><strong>Amount</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {lines.map((line, index) => (
+              <TableRow key={index} hover>
+                <TableCell>{line.label}</TableCell>
+                <TableCell align="right">{line.quantity}</TableCell>
+                <TableCell align="right">{money(line.unitAmount)}</TableCell>
+                <TableCell align="right">{money(line.amount)}</TableCell>
+              </TableRow>
+            ))}
+            <TableRow sx={{ bgcolor: 'primary.light' }}>
+              <TableCell colSpan={3}>
+                <Typography variant="body2" fontWeight="bold">
+                  Total
+                </Typography>
+              </TableCell>
+              <TableCell align="right">
+                <Typography variant="body2" fontWeight="bold">
+                  {money(total)}
+                </Typography>
+              </TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * Length Combinations Table Component
+ * Table showing slots that combine different standard lengths end-to-end
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { formatNumberWithCommas } from '../../utils/calculations';
+import { describeSlotSegments } from '../../utils/lengthPlanning';
+import { useUnits } from '../../context/CalculatorContext';
+
+export default function LengthCombinationsTable({ lengthCombinations }) {
+  const units = useUnits();
+
+  if (!lengthCombinations || lengthCombinations.length === 0) {
+    return null;
+  }
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2}>
+        <Typography variant="h6">
+          Length Combinations
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Pieces of the same diameter laid end-to-end in one slot along the container length
+        </Typography>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow sx={{ bgcolor: 'grey.100' }}>
+              <TableCell><strong>Type</strong></TableCell>
+              <TableCell><strong>Combination</strong></TableCell>
+              <TableCell align="right"><strong>Slots</strong></TableCell>
+              <TableCell align="right"><strong>Used Length</strong></TableCell>
+              <TableCell align="right"><strong>Spare</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {lengthCombinations.map((combination, index) => (
+              <TableRow key={index} hover>
+                <TableCell>
+                  <Typography variant="body2" fontWeight="medium">
+                    {units.formatCompact(combination.diameterMm, 'pipeSize', 3)}
+                  </Typography>
+                </TableCell>
+                <TableCell>{describeSlotSegments(combination, units)}</TableCell>
+                <TableCell align="right">
+                  {formatNumberWithCommas(combination.slots)}
+                </TableCell>
+                <TableCell align="right">
+                  {units.format(combination.usedLength / 100, 'length')}
+                </TableCell>
+                <TableCell align="right">
+                  {units.format(combination.leftoverLength / 100, 'length')}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
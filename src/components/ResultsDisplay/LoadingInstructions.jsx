@@ -0,0 +1,144 @@
+/**
+ * Loading Instructions Component
+ * Numbered stuffing sequence per container (tier, position, load and cumulative weight),
+ * with print / CSV export of all containers
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Print as PrintIcon, Download as DownloadIcon } from '@mui/icons-material';
+import { useUnits } from '../../context/CalculatorContext';
+import {
+  buildLoadingProcedure,
+  describeLoadingStep,
+  instructionsToCsv,
+  instructionsToHtml
+} from '../../utils/loadingInstructions';
+
+export default function LoadingInstructions({ results }) {
+  const units = useUnits();
+  const [activeContainer, setActiveContainer] = React.useState(0);
+
+  const procedures = React.useMemo(() => buildLoadingProcedure(results), [results]);
+
+  // Back to the first container whenever a new plan comes in
+  React.useEffect(() => {
+    setActiveContainer(0);
+  }, [procedures]);
+
+  if (procedures.length === 0) {
+    return null;
+  }
+
+  const pipeResults = results.pipeResults || [];
+  const procedure = procedures[activeContainer] || procedures[0];
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+    printWindow.document.write(instructionsToHtml(procedures, pipeResults, units, results.transportationType));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const handleCsv = () => {
+    const blob = new Blob([instructionsToCsv(procedures, pipeResults, units)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'loading-instructions.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2} display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1}>
+        <Box>
+          <Typography variant="h6">
+            Loading Instructions
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            Tier by tier from the floor, across each tier from the left wall; pieces go to the front wall first
+          </Typography>
+        </Box>
+        <Box display="flex" gap={1} alignItems="center">
+          {procedures.length > 1 && (
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel id="loading-container-label">Container</InputLabel>
+              <Select
+                labelId="loading-container-label"
+                label="Container"
+                value={activeContainer}
+                onChange={(event) => setActiveContainer(event.target.value)}
+              >
+                {procedures.map((entry, index) => (
+                  <MenuItem key={entry.containerNumber} value={index}>
+                    Container {entry.containerNumber}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <Button size="small" variant="outlined" startIcon={<PrintIcon />} onClick={handlePrint}>
+            Print
+          </Button>
+          <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={handleCsv}>
+            CSV
+          </Button>
+        </Box>
+      </Box>
+
+      <TableContainer sx={{ maxHeight: 480 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ bgcolor: 'grey.100' }}><strong>Step</strong></TableCell>
+              <TableCell sx={{ bgcolor: 'grey.100' }}><strong>Tier</strong></TableCell>
+              <TableCell sx={{ bgcolor: 'grey.100' }}><strong>Position</strong></TableCell>
+              <TableCell sx={{ bgcolor: 'grey.100' }}><strong>Load</strong></TableCell>
+              <TableCell sx={{ bgcolor: 'grey.100' }} align="right"><strong>Weight</strong></TableCell>
+              <TableCell sx={{ bgcolor: 'grey.100' }} align="right"><strong>Cumulative</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {procedure.steps.map(step => (
+              <TableRow key={step.step} hover>
+                <TableCell>{step.step}</TableCell>
+                <TableCell>{step.tier ?? '-'}</TableCell>
+                <TableCell>
+                  {step.kind === 'bearer'
+                    ? `at ${units.formatCompact(step.y, 'dimension', 1)}`
+                    : `${step.column} (${units.formatCompact(step.x, 'dimension', 1)} from left)`}
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color={step.kind === 'bearer' ? 'text.secondary' : 'text.primary'}>
+                    {describeLoadingStep(step, pipeResults, units)}
+                  </Typography>
+                </TableCell>
+                <TableCell align="right">{units.format(step.weight, 'weight', 0)}</TableCell>
+                <TableCell align="right">{units.format(step.cumulativeWeight, 'weight', 0)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
@@ -16,12 +16,18 @@ import {
   TableRow
 } from '@mui/material';
 import { formatNumber, formatNumberWithCommas } from '../../utils/calculations';
+import { useUnits } from '../../context/CalculatorContext';
+
+export default function PipeResultsTable({ pipeResults, freightQuote }) {
+  const units = useUnits();
 
-export default function PipeResultsTable({ pipeResults }) {
   if (!pipeResults || pipeResults.length === 0) {
     return null;
   }
 
+  // Landed-cost freight per pipe line, when a freight quote was calculated
+  const allocation = freightQuote?.allocation;
+
   // Calculate totals
   const totals = pipeResults.reduce((acc, pipe) => ({
     numberOfPipes: acc.numberOfPipes + pipe.numberOfPipes,
@@ -48,6 +54,9 @@ export default function PipeResultsTable({ pipeResults }) {
               <TableCell align="right"><strong>Weight</strong></TableCell>
               <TableCell align="right"><strong>Volume</strong></TableCell>
               <TableCell align="center"><strong>Packing</strong></TableCell>
+              {allocation && (
+                <TableCell align="right"><strong>Freight ({freightQuote.currency})</strong></TableCell>
+              )}
             </TableRow>
           </TableHead>
           <TableBody>
@@ -56,38 +65,79 @@ export default function PipeResultsTable({ pipeResults }) {
                 <TableCell>
                   <Box>
                     <Typography variant="body2" fontWeight="medium">
-                      {result.externalDiameterMm} mm
+                      {units.formatCompact(result.externalDiameterMm, 'pipeSize', 3)}
                     </Typography>
                     <Typography variant="caption" color="text.secondary">
-                      Int: {result.internalDiameterMm} mm
+                      Int: {units.formatCompact(result.internalDiameterMm, 'pipeSize', 3)}
                     </Typography>
+                    {result.socketDiameterMm > 0 && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Socket: {units.formatCompact(result.socketDiameterMm, 'pipeSize', 3)} × {units.formatCompact(result.socketLengthCm * 10, 'pipeSize', 2)}
+                      </Typography>
+                    )}
                   </Box>
                 </TableCell>
                 <TableCell align="right">
-                  {formatNumber(result.standardLengthM, 1)} m
+                  {units.format(result.standardLengthM, 'length', 1)}
                 </TableCell>
                 <TableCell align="right">
                   {formatNumberWithCommas(result.numberOfPipes)}
                 </TableCell>
                 <TableCell align="right">
-                  {formatNumberWithCommas(result.quantityInMeters)} m
+                  {units.formatCompact(result.quantityInMeters, 'length')}
                 </TableCell>
                 <TableCell align="right">
-                  {formatNumberWithCommas(result.totalWeight)} kg
+                  {units.formatCompact(result.totalWeight, 'weight')}
+                  {result.weightCheck?.flagged && (
+                    <Typography variant="caption" color="warning.main" display="block">
+                      {units.format(result.weightPerMeter, 'linearWeight')} vs {units.format(result.weightCheck.theoretical, 'linearWeight')} theoretical
+                    </Typography>
+                  )}
                 </TableCell>
                 <TableCell align="right">
-                  {formatNumber(result.volumeM3)} m³
+                  {units.format(result.volumeM3, 'volume')}
                 </TableCell>
                 <TableCell align="center">
-                  <Box>
+                  {result.bundle ? (
+                    <Box>
+                      <Typography variant="body2">
+                        ({result.pipesPerRow}×{result.pipesPerColumn} bundles)×{result.pipesAlongLength}={result.pipesPerContainer}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {result.bundle.count} {result.bundle.shape} bundles × {result.bundle.piecesPerBundle} pcs
+                        {result.bundle.lastBundlePieces < result.bundle.piecesPerBundle && ` (last ${result.bundle.lastBundlePieces})`}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {units.format(result.bundle.weight, 'weight', 0)} per bundle
+                      </Typography>
+                    </Box>
+                  ) : (
+                    <Box>
+                      {result.packingPattern === 'staggered' ? (
+                        <Typography variant="body2">
+                          ({result.pipesPerColumn} rows of {result.pipesPerRow}/{result.pipesPerOffsetRow})×{result.pipesAlongLength}={result.pipesPerContainer}
+                        </Typography>
+                      ) : (
+                        <Typography variant="body2">
+                          ({result.pipesPerRow}×{result.pipesPerColumn})×{result.pipesAlongLength}={result.pipesPerContainer}
+                        </Typography>
+                      )}
+                      <Typography variant="caption" color="text.secondary">
+                        {result.packingPattern === 'staggered' ? 'staggered, ' : 'square, '}per container
+                      </Typography>
+                    </Box>
+                  )}
+                </TableCell>
+                {allocation && (
+                  <TableCell align="right">
                     <Typography variant="body2">
-                      ({result.pipesPerRow}×{result.pipesPerColumn})×{result.pipesAlongLength}={result.pipesPerContainer}
+                      {formatNumberWithCommas(units.displayRate(allocation[result.id]?.perTonne, 'tonnage'))} /{units.label('tonnage')}
                     </Typography>
                     <Typography variant="caption" color="text.secondary">
-                      per container
+                      {formatNumber(units.displayRate(allocation[result.id]?.perMeter, 'length'))} /{units.label('length')}
                     </Typography>
-                  </Box>
-                </TableCell>
+                  </TableCell>
+                )}
               </TableRow>
             ))}
 
@@ -110,17 +160,17 @@ export default function PipeResultsTable({ pipeResults }) {
               </TableCell>
               <TableCell align="right">
                 <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
-                  {formatNumberWithCommas(totals.quantityInMeters)} m
+                  {units.formatCompact(totals.quantityInMeters, 'length')}
                 </Typography>
               </TableCell>
               <TableCell align="right">
                 <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
-                  {formatNumberWithCommas(totals.totalWeight)} kg
+                  {units.formatCompact(totals.totalWeight, 'weight')}
                 </Typography>
               </TableCell>
               <TableCell align="right">
                 <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
-                  {formatNumber(totals.volumeM3)} m³
+                  {units.format(totals.volumeM3, 'volume')}
                 </Typography>
               </TableCell>
               <TableCell align="center">
@@ -128,6 +178,16 @@ export default function PipeResultsTable({ pipeResults }) {
                   -
                 </Typography>
               </TableCell>
+              {allocation && (
+                <TableCell align="right">
+                  <Typography variant="body2" fontWeight="bold" color="primary.contrastText">
+                    {formatNumberWithCommas(units.displayRate(freightQuote.costPerTonne, 'tonnage'))} /{units.label('tonnage')}
+                  </Typography>
+                  <Typography variant="caption" color="primary.contrastText">
+                    {formatNumber(units.displayRate(freightQuote.costPerMeter, 'length'))} /{units.label('length')}
+                  </Typography>
+                </TableCell>
+              )}
             </TableRow>
           </TableBody>
         </Table>
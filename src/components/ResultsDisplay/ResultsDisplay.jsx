@@ -12,13 +12,22 @@ import {
   Alert,
   CircularProgress
 } from '@mui/material';
-import { useCalculator } from '../../context/CalculatorContext';
-import { formatNumber, formatNumberWithCommas } from '../../utils/calculations';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import { formatNumberWithCommas, getRecommendations } from '../../utils/calculations';
 import PipeResultsTable from './PipeResultsTable';
 import ContainerTable from './ContainerTable';
+import LengthCombinationsTable from './LengthCombinationsTable';
+import AxleLoadTable from './AxleLoadTable';
+import FreightQuote from './FreightQuote';
+import FinalUnitAlternatives from './FinalUnitAlternatives';
+import VgmDeclaration from './VgmDeclaration';
+import LoadingInstructions from './LoadingInstructions';
+import FillerTable from './FillerTable';
+import TelescopingTable from './TelescopingTable';
 
 export default function ResultsDisplay() {
-  const { results, isCalculating, volume } = useCalculator();
+  const { results, isCalculating } = useCalculator();
+  const units = useUnits();
 
   if (isCalculating) {
     return (
@@ -58,6 +67,7 @@ export default function ResultsDisplay() {
   }
 
   const { volumesNeeded } = results;
+  const recommendations = getRecommendations(results, units);
 
   return (
     <Box>
@@ -78,7 +88,7 @@ export default function ResultsDisplay() {
               Total Pipe Volume
             </Typography>
             <Typography variant="h4" fontWeight="bold">
-              {formatNumber(results.totalVolume)} m³
+              {units.format(results.totalVolume, 'volume')}
             </Typography>
             <Typography variant="caption" sx={{ opacity: 0.8 }}>
               Space pipes occupy
@@ -101,10 +111,12 @@ export default function ResultsDisplay() {
               Total Weight
             </Typography>
             <Typography variant="h4" fontWeight="bold">
-              {formatNumberWithCommas(results.totalWeight)} kg
+              {units.format(results.totalWeight, 'weight', 0)}
             </Typography>
             <Typography variant="caption" sx={{ opacity: 0.8 }}>
-              All pipes combined
+              {results.dunnageWeight > 0
+                ? `All pipes, plus ${units.format(results.dunnageWeight, 'weight', 0)} dunnage`
+                : 'All pipes combined'}
             </Typography>
           </Paper>
         </Grid>
@@ -154,7 +166,7 @@ export default function ResultsDisplay() {
               Total Length
             </Typography>
             <Typography variant="h6" fontWeight="bold">
-              {formatNumberWithCommas(results.totalLength)} m
+              {units.format(results.totalLength, 'length', 0)}
             </Typography>
           </Paper>
         </Grid>
@@ -164,7 +176,7 @@ export default function ResultsDisplay() {
               Container Volume
             </Typography>
             <Typography variant="h6" fontWeight="bold">
-              {formatNumber(results.containerVolumeM3)} m³
+              {units.format(results.containerVolumeM3, 'volume')}
             </Typography>
           </Paper>
         </Grid>
@@ -174,20 +186,58 @@ export default function ResultsDisplay() {
               Weight Capacity
             </Typography>
             <Typography variant="h6" fontWeight="bold">
-              {formatNumberWithCommas(results.weightCapacity)} kg
+              {units.format(results.weightCapacity, 'weight', 0)}
             </Typography>
           </Paper>
         </Grid>
       </Grid>
 
+      {/* Recommendations and warnings */}
+      {recommendations.length > 0 && (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mb: 3 }}>
+          {recommendations.map((recommendation, index) => (
+            <Alert key={index} severity={recommendation.type}>
+              {recommendation.message}
+            </Alert>
+          ))}
+        </Box>
+      )}
+
       {/* Pipe Results Table */}
-      <PipeResultsTable pipeResults={results.pipeResults} />
+      <PipeResultsTable pipeResults={results.pipeResults} freightQuote={results.freightQuote} />
+
+      {/* Mixed-length slots along the container length */}
+      <LengthCombinationsTable lengthCombinations={volumesNeeded?.lengthCombinations} />
 
       {/* Container Details Table */}
-      <ContainerTable
-        pipeResults={results.pipeResults}
+      <ContainerTable volumesNeeded={volumesNeeded} />
+
+      {/* Pieces travelling inside larger ones */}
+      <TelescopingTable telescoping={volumesNeeded?.telescoping} pipeResults={results.pipeResults} />
+
+      {/* Optional lines loaded into the gaps */}
+      <FillerTable fillerAdded={volumesNeeded?.fillerAdded} />
+
+      {/* Axle loads for road vehicles */}
+      <AxleLoadTable
+        containerPlan={volumesNeeded?.containerPlan}
+        transportationType={results.transportationType}
+      />
+
+      {/* Gross mass per unit and the VGM declaration */}
+      <VgmDeclaration results={results} />
+
+      {/* Stuffing sequence per container */}
+      <LoadingInstructions results={results} />
+
+      {/* Freight cost for the planned units */}
+      <FreightQuote freightQuote={results.freightQuote} />
+
+      {/* The final unit in another transportation type */}
+      <FinalUnitAlternatives
         volumesNeeded={volumesNeeded}
-        volume={volume}
+        transportationType={results.transportationType}
+        freightQuote={results.freightQuote}
       />
     </Box>
   );
@@ -0,0 +1,85 @@
+/**
+ * Telescoping Table Component
+ * Pieces travelling inside larger ones over the whole plan, host by host, with the
+ * longest chains
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { formatNumberWithCommas } from '../../utils/calculations';
+import { useUnits } from '../../context/CalculatorContext';
+
+export default function TelescopingTable({ telescoping, pipeResults }) {
+  const units = useUnits();
+
+  if (!telescoping || telescoping.nestedPieces === 0) {
+    return null;
+  }
+
+  const pipesById = Object.fromEntries((pipeResults || []).map(p => [p.id, p]));
+  const describe = (pipeId) => {
+    const pipe = pipesById[pipeId];
+    return pipe
+      ? `Ø${units.formatCompact(pipe.externalDiameterMm, 'pipeSize', 3)} × ${units.formatCompact(pipe.standardLengthM, 'length', 2)}`
+      : pipeId;
+  };
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2}>
+        <Typography variant="h6">
+          Telescoping
+        </Typography>
+        <Typography variant="caption" color="text.secondary" display="block">
+          {formatNumberWithCommas(telescoping.nestedPieces)} pieces travel inside larger ones, {telescoping.levels} level{telescoping.levels !== 1 ? 's' : ''} deep; they are nested before loading
+        </Typography>
+        {telescoping.chains.slice(0, 3).map(chain => (
+          <Typography key={chain.join('>')} variant="caption" color="text.secondary" display="block">
+            {chain.map(pipeId => `Ø${units.formatCompact(pipesById[pipeId]?.externalDiameterMm, 'pipeSize', 3)}`).join(' ⊃ ')}
+          </Typography>
+        ))}
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow sx={{ bgcolor: 'grey.100' }}>
+              <TableCell><strong>Pipe</strong></TableCell>
+              <TableCell><strong>Inside</strong></TableCell>
+              <TableCell align="right"><strong>Pieces</strong></TableCell>
+              <TableCell align="right"><strong>Weight</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {telescoping.pairs.map(pair => {
+              const pipe = pipesById[pair.pipeId];
+              return (
+                <TableRow key={`${pair.pipeId}-${pair.hostId}`} hover>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">
+                      {describe(pair.pipeId)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{describe(pair.hostId)}</TableCell>
+                  <TableCell align="right">{formatNumberWithCommas(pair.pieces)} pcs</TableCell>
+                  <TableCell align="right">
+                    {pipe ? units.format(pair.pieces * pipe.standardLengthM * pipe.weightPerMeter, 'weight', 0) : '-'}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
@@ -0,0 +1,169 @@
+/**
+ * VGM Declaration Component
+ * Gross mass of every planned unit (cargo, dunnage, packaging and tare) against its
+ * maximum gross weight, with the declaration details and print / CSV export
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Grid,
+  Button,
+  Chip,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Print as PrintIcon, Download as DownloadIcon } from '@mui/icons-material';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import { buildVgmDeclaration, vgmToCsv, vgmToHtml } from '../../utils/vgm';
+import { VGM_METHODS } from '../../constants/defaults';
+
+export default function VgmDeclaration({ results }) {
+  const { vgm, updateVgm } = useCalculator();
+  const units = useUnits();
+
+  const containerPlan = results?.volumesNeeded?.containerPlan || [];
+  if (containerPlan.length === 0 || !containerPlan[0].grossMass) {
+    return null;
+  }
+
+  const handleChange = (field) => (event) => {
+    updateVgm({ [field]: event.target.value });
+  };
+
+  const handleContainerIdChange = (containerNumber) => (event) => {
+    updateVgm({ containerIds: { ...vgm.containerIds, [containerNumber]: event.target.value.toUpperCase() } });
+  };
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+    printWindow.document.write(vgmToHtml(buildVgmDeclaration(results, vgm)));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const handleCsv = () => {
+    const declaration = buildVgmDeclaration(results, vgm);
+    const blob = new Blob([vgmToCsv(declaration)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `vgm-${vgm.bookingReference || declaration.date}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const weight = (value) => units.format(value, 'weight', 0);
+
+  return (
+    <Paper elevation={1} sx={{ mt: 2 }}>
+      <Box p={2} display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1}>
+        <Box>
+          <Typography variant="h6">
+            Verified Gross Mass
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            Cargo, dunnage, packaging and tare per unit; the declaration is issued in kg
+          </Typography>
+        </Box>
+        <Box display="flex" gap={1}>
+          <Button size="small" variant="outlined" startIcon={<PrintIcon />} onClick={handlePrint}>
+            Print
+          </Button>
+          <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={handleCsv}>
+            CSV
+          </Button>
+        </Box>
+      </Box>
+
+      {/* Declaration details */}
+      <Grid container spacing={2} px={2} pb={2}>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField fullWidth size="small" label="Shipper" value={vgm.shipper} onChange={handleChange('shipper')} />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField fullWidth size="small" label="Booking Reference" value={vgm.bookingReference} onChange={handleChange('bookingReference')} />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField fullWidth size="small" label="Authorized Signatory" value={vgm.signatory} onChange={handleChange('signatory')} />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel id="vgm-method-label">Method</InputLabel>
+            <Select labelId="vgm-method-label" label="Method" value={vgm.method} onChange={handleChange('method')}>
+              {Object.values(VGM_METHODS).map(method => (
+                <MenuItem key={method.id} value={method.id}>{method.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow sx={{ bgcolor: 'grey.100' }}>
+              <TableCell><strong>Unit</strong></TableCell>
+              <TableCell><strong>Container Number</strong></TableCell>
+              <TableCell align="right"><strong>Cargo</strong></TableCell>
+              <TableCell align="right"><strong>Dunnage</strong></TableCell>
+              <TableCell align="right"><strong>Packaging</strong></TableCell>
+              <TableCell align="right"><strong>Tare</strong></TableCell>
+              <TableCell align="right"><strong>VGM</strong></TableCell>
+              <TableCell align="right"><strong>Max Gross</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {containerPlan.map(container => {
+              const gross = container.grossMass;
+              return (
+                <TableRow key={container.containerNumber} hover>
+                  <TableCell>{container.containerNumber}</TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      variant="standard"
+                      placeholder="ABCU1234567"
+                      value={vgm.containerIds[container.containerNumber] || ''}
+                      onChange={handleContainerIdChange(container.containerNumber)}
+                      inputProps={{ maxLength: 11 }}
+                      sx={{ width: 120 }}
+                    />
+                  </TableCell>
+                  <TableCell align="right">{weight(gross.cargoWeight)}</TableCell>
+                  <TableCell align="right">{weight(gross.dunnageWeight)}</TableCell>
+                  <TableCell align="right">{weight(gross.packagingWeight)}</TableCell>
+                  <TableCell align="right">{weight(gross.tareWeight)}</TableCell>
+                  <TableCell align="right">
+                    <Typography variant="body2" fontWeight="bold">{weight(gross.grossMass)}</Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    {gross.maxGrossWeight > 0 ? (
+                      <Box display="flex" alignItems="center" justifyContent="flex-end" gap={1}>
+                        {weight(gross.maxGrossWeight)}
+                        {gross.overweight && <Chip label="Overweight" size="small" color="error" />}
+                      </Box>
+                    ) : '-'}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
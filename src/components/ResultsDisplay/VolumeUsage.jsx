@@ -11,9 +11,11 @@ import {
   LinearProgress,
   Grid
 } from '@mui/material';
-import { formatNumber, formatPercentage } from '../../utils/calculations';
+import { formatPercentage } from '../../utils/calculations';
+import { useUnits } from '../../context/CalculatorContext';
 
 export default function VolumeUsage({ volumeUsage }) {
+  const units = useUnits();
   const getColor = (percentage) => {
     if (percentage < 50) return 'success';
     if (percentage < 80) return 'info';
@@ -36,7 +38,7 @@ export default function VolumeUsage({ volumeUsage }) {
                 Total Volume
               </Typography>
               <Typography variant="h6">
-                {formatNumber(volumeUsage.totalVolume)} cm³
+                {units.format(volumeUsage.totalVolume, 'smallVolume')}
               </Typography>
             </Box>
           </Grid>
@@ -46,7 +48,7 @@ export default function VolumeUsage({ volumeUsage }) {
                 Used Volume
               </Typography>
               <Typography variant="h6" color={color}>
-                {formatNumber(volumeUsage.usedVolume)} cm³
+                {units.format(volumeUsage.usedVolume, 'smallVolume')}
               </Typography>
             </Box>
           </Grid>
@@ -56,7 +58,7 @@ export default function VolumeUsage({ volumeUsage }) {
                 Remaining Volume
               </Typography>
               <Typography variant="h6">
-                {formatNumber(volumeUsage.remainingVolume)} cm³
+                {units.format(volumeUsage.remainingVolume, 'smallVolume')}
               </Typography>
             </Box>
           </Grid>
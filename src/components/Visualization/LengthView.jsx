@@ -0,0 +1,161 @@
+/**
+ * Length View Component
+ * Renders the side view of one planned container (LENGTH x HEIGHT plane)
+ *
+ * Shows the pieces laid end-to-end from the front wall (left) and the bearer layers.
+ * Socket pipes show their socket at the front or back end of each piece, alternating
+ * row by row (head-to-tail). Out-of-gauge cargo is drawn past the ends and above the top.
+ */
+
+import { useRef, useEffect, useState, useCallback } from 'react';
+import { Box, Typography } from '@mui/material';
+import { BRAND_COLORS } from '../../constants/defaults';
+import { useUnits } from '../../context/CalculatorContext';
+
+// Padding around the visualization
+const PADDING = 30;
+
+export default function LengthView({ container, volume, pipeTypes, colors }) {
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const [availableWidth, setAvailableWidth] = useState(600);
+  const units = useUnits();
+
+  // Observe container size changes
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+
+    const resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.contentRect.width > 0) {
+          setAvailableWidth(entry.contentRect.width);
+        }
+      }
+    });
+
+    resizeObserver.observe(element);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  const drawCanvas = useCallback(() => {
+    if (!canvasRef.current || !container || !volume?.length || !volume?.height) return;
+
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+
+    // Fit the container length, and any overhang at both ends, to the available width
+    const overhangCm = container.outOfGauge?.overhang || 0;
+    const scale = Math.max(0.05, (availableWidth - PADDING * 2) / (volume.length + 2 * overhangCm));
+    const length = volume.length * scale;
+    const height = volume.height * scale;
+    const overhang = overhangCm * scale;
+    const overHeight = (container.outOfGauge?.overHeight || 0) * scale;
+
+    canvas.width = length + 2 * overhang + PADDING * 2;
+    canvas.height = height + overHeight + PADDING * 2;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.translate(overhang, overHeight);
+
+    // Container outline and floor
+    ctx.strokeStyle = BRAND_COLORS?.primary || '#4C5C65';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(PADDING, PADDING, length, height);
+    ctx.fillStyle = BRAND_COLORS?.primary || '#4C5C65';
+    ctx.fillRect(PADDING - 3, PADDING + height, length + 6, 4);
+
+    // Timber bearer layers - FLIPPED Y axis (bottom-up)
+    (container.bearers || []).forEach(bearer => {
+      ctx.fillStyle = '#B7895A';
+      ctx.fillRect(
+        PADDING,
+        PADDING + height - (bearer.y + bearer.height) * scale,
+        length,
+        bearer.height * scale
+      );
+    });
+
+    // Pieces of every slot; slots of one row overlap in this view
+    container.slots.forEach(slot => {
+      const pipeType = pipeTypes[slot.pipeId];
+      const color = colors[slot.pipeId] || '#2196f3';
+      const socketLength = slot.socketEnd ? (pipeType?.socketLengthCm || 0) : 0;
+      const socketHeight = slot.socketEnd ? (pipeType?.socketDiameter || 0) : 0;
+      // Bundles show their strapped height, loose pipes their barrel
+      const barrelHeight = slot.bundled ? slot.height : slot.radius * 2;
+
+      slot.segments.forEach(segment => {
+        for (let i = 0; i < segment.count; i++) {
+          const start = segment.offset + i * segment.lengthCm;
+          const canvasX = PADDING + start * scale;
+          const pieceLength = segment.lengthCm * scale;
+
+          ctx.fillStyle = color;
+          ctx.globalAlpha = 0.35;
+          ctx.fillRect(canvasX, PADDING + height - (slot.y + barrelHeight / 2) * scale, pieceLength, barrelHeight * scale);
+          ctx.globalAlpha = 1;
+          ctx.strokeStyle = '#333';
+          ctx.lineWidth = 0.5;
+          ctx.strokeRect(canvasX, PADDING + height - (slot.y + barrelHeight / 2) * scale, pieceLength, barrelHeight * scale);
+
+          if (socketLength > 0 && socketHeight > 0) {
+            const socketX = slot.socketEnd === 'front'
+              ? start
+              : start + segment.lengthCm - socketLength;
+            ctx.fillStyle = color;
+            ctx.fillRect(
+              PADDING + socketX * scale,
+              PADDING + height - (slot.y + socketHeight / 2) * scale,
+              socketLength * scale,
+              socketHeight * scale
+            );
+          }
+        }
+      });
+    });
+
+    // Dimension labels
+    ctx.fillStyle = BRAND_COLORS?.primary || '#4C5C65';
+    ctx.font = 'bold 11px Montserrat, Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(units.formatCompact(volume.length, 'dimension', 1), PADDING + length / 2, height + PADDING * 2 - 6);
+    ctx.textAlign = 'left';
+    ctx.fillText('Front', PADDING, PADDING - 8);
+    ctx.textAlign = 'right';
+    ctx.fillText('Back', PADDING + length, PADDING - 8);
+    ctx.restore();
+  }, [container, volume, pipeTypes, colors, availableWidth, units]);
+
+  // Redraw when dependencies change
+  useEffect(() => {
+    drawCanvas();
+  }, [drawCanvas]);
+
+  if (!container) return null;
+
+  return (
+    <Box mt={3}>
+      <Typography variant="subtitle2" gutterBottom sx={{ fontWeight: 600, color: 'text.primary' }}>
+        Length View
+      </Typography>
+      <Box
+        ref={containerRef}
+        sx={{
+          width: '100%',
+          border: '1px solid',
+          borderColor: 'divider',
+          borderRadius: 2,
+          overflow: 'hidden',
+          bgcolor: '#fafafa',
+          display: 'flex',
+          justifyContent: 'center'
+        }}
+      >
+        <canvas ref={canvasRef} style={{ display: 'block' }} />
+      </Box>
+    </Box>
+  );
+}
@@ -5,6 +5,8 @@
  * Shows how pipes are arranged when viewed from the end (WIDTH x HEIGHT plane)
  * Pipes extend along the LENGTH direction (into the screen)
  * Pipes are stacked from BOTTOM-LEFT going UP (gaps appear at top)
+ * Socket pipes show their socket ring: solid at the front end, dashed at the back
+ * Multi-drop loads show the drop of every slot (unloading order) and outline blocked drops
  */
 
 import { useRef, useEffect, useMemo, useState, useCallback } from 'react';
@@ -18,7 +20,8 @@ import {
   Tab
 } from '@mui/material';
 import { PIPE_COLORS, BRAND_COLORS } from '../../constants/defaults';
-import { useCalculator } from '../../context/CalculatorContext';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import LengthView from './LengthView';
 
 // Padding around the visualization
 const PADDING = 40;
@@ -27,416 +30,138 @@ const MAX_SCALE = 5;
 
 export default function PipeVisualization() {
   const { results, volume, config } = useCalculator();
+  const units = useUnits();
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
   const [containerSize, setContainerSize] = useState({ width: 400, height: 350 });
   const [activeContainer, setActiveContainer] = useState(0);
 
-  // Calculate total containers needed and pipes per container
-  // Uses the actual volumesNeeded from results for accuracy
-  const containerInfo = useMemo(() => {
-    if (!results || !results.pipeResults || results.pipeResults.length === 0 || !volume) {
-      return { totalContainers: 0, pipesPerContainer: 0, totalPipes: 0 };
-    }
-
-    // Sort pipes by external diameter (largest first)
-    const sortedPipes = [...results.pipeResults]
-      .filter(p => p.numberOfPipes > 0)
-      .sort((a, b) => b.externalDiameter - a.externalDiameter);
-
-    if (sortedPipes.length === 0) {
-      return { totalContainers: 0, pipesPerContainer: 0, totalPipes: 0 };
-    }
-
-    // Total pipes count
-    const totalPipesNeeded = sortedPipes.reduce((sum, p) => sum + p.numberOfPipes, 0);
-
-    // Get largest pipe info for pipesPerContainer
-    const largestPipe = sortedPipes[0];
-    const largePipesPerContainer = largestPipe.pipesPerContainer;
-
-    // Use the actual volumesNeeded from results (calculated by the calculation engine)
-    // This ensures consistency between the visualization and the results display
-    const totalContainers = results.volumesNeeded?.total || 1;
-
-    return {
-      totalContainers,
-      pipesPerContainer: largePipesPerContainer,
-      totalPipes: totalPipesNeeded
-    };
-  }, [results, volume]);
-
-  // Calculate actual pipes per container (for tab labels)
-  const getPipesForContainer = useCallback((containerIndex) => {
-    if (!results || !results.pipeResults || results.pipeResults.length === 0 || !volume) {
-      return 0;
-    }
-
-    const sortedPipes = [...results.pipeResults]
-      .filter(p => p.numberOfPipes > 0)
-      .sort((a, b) => b.externalDiameter - a.externalDiameter);
-
-    if (sortedPipes.length === 0) return 0;
-
-    const largestPipe = sortedPipes[0];
-    const largePipesPerContainer = largestPipe.pipesPerContainer || 0;
-
-    // Nesting candidates
-    const nestingCandidates = sortedPipes.slice(1).filter(
-      p => p.externalDiameter <= largestPipe.internalDiameter
-    );
-
-    // Track remaining pipes
-    const remainingPipes = {};
-    sortedPipes.forEach(p => {
-      remainingPipes[p.id] = p.numberOfPipes;
-    });
-
-    // Calculate standalone capacity helper
-    const getStandaloneCapacity = (smallPipe, largePipesInContainer) => {
-      const smallDiameter = smallPipe.externalDiameter;
-
-      if (largePipesInContainer > 0) {
-        const usedRows = Math.ceil(largePipesInContainer / (largestPipe.pipesPerRow || 1));
-        const usedHeightByLarge = usedRows * largestPipe.externalDiameter;
-        const usedWidthByLarge = Math.min(largePipesInContainer, largestPipe.pipesPerRow || 1) * largestPipe.externalDiameter;
-        const remainingWidthOnSide = (volume?.width || 0) - usedWidthByLarge;
-        const remainingHeightOnTop = (volume?.height || 0) - usedHeightByLarge;
-
-        const sideColumns = Math.floor(remainingWidthOnSide / smallDiameter);
-        const sideRows = Math.floor((volume?.height || 0) / smallDiameter);
-        const sideCapacity = Math.max(0, sideColumns * sideRows);
-
-        const topColumns = Math.floor(usedWidthByLarge / smallDiameter);
-        const topRows = Math.floor(remainingHeightOnTop / smallDiameter);
-        const topCapacity = Math.max(0, topColumns * topRows);
-
-        return (sideCapacity + topCapacity) * (largestPipe.pipesAlongLength || 1);
-      } else {
-        // No large pipes - small pipes use entire container
-        const smallPipesPerRow = Math.floor((volume?.width || 0) / smallDiameter);
-        const smallPipesPerColumn = Math.floor((volume?.height || 0) / smallDiameter);
-        const smallPipesAlongLength = Math.floor((volume?.length || 0) / (smallPipe.standardLengthCm || 1));
-        return smallPipesPerRow * smallPipesPerColumn * smallPipesAlongLength;
-      }
-    };
-
-    // Skip to the requested container
-    for (let i = 0; i < containerIndex; i++) {
-      const largePipesInPrev = Math.min(remainingPipes[largestPipe.id] || 0, largePipesPerContainer);
-      remainingPipes[largestPipe.id] -= largePipesInPrev;
-
-      // Nested pipes
-      for (const smallPipe of nestingCandidates) {
-        const nestedCount = Math.min(remainingPipes[smallPipe.id] || 0, largePipesInPrev);
-        remainingPipes[smallPipe.id] -= nestedCount;
-      }
-
-      // Standalone small pipes
-      for (const smallPipe of sortedPipes.slice(1)) {
-        const standaloneCapacity = getStandaloneCapacity(smallPipe, largePipesInPrev);
-        const standaloneCount = Math.min(remainingPipes[smallPipe.id] || 0, standaloneCapacity);
-        remainingPipes[smallPipe.id] -= standaloneCount;
-      }
-    }
-
-    // Calculate pipes for the requested container
-    let totalPipes = 0;
-    const largePipesInThis = Math.min(remainingPipes[largestPipe.id] || 0, largePipesPerContainer);
-    totalPipes += largePipesInThis;
+  // Per-container plan from the mixed-load packer
+  // The drawing, tab labels and ContainerTable all read the same plan
+  const containerPlan = useMemo(
+    () => results?.volumesNeeded?.containerPlan || [],
+    [results]
+  );
 
-    // Nested pipes
-    for (const smallPipe of nestingCandidates) {
-      const nestedCount = Math.min(remainingPipes[smallPipe.id] || 0, largePipesInThis);
-      totalPipes += nestedCount;
-      remainingPipes[smallPipe.id] -= nestedCount;
-    }
+  const containerInfo = useMemo(() => ({
+    totalContainers: containerPlan.length,
+    totalPipes: containerPlan.reduce((sum, c) => sum + c.totalPipes, 0)
+  }), [containerPlan]);
 
-    // Standalone small pipes
-    for (const smallPipe of sortedPipes.slice(1)) {
-      const standaloneCapacity = getStandaloneCapacity(smallPipe, largePipesInThis);
-      const standaloneCount = Math.min(remainingPipes[smallPipe.id] || 0, standaloneCapacity);
-      totalPipes += standaloneCount;
-    }
+  // Pieces loaded in a container (for tab labels)
+  const getPipesForContainer = useCallback(
+    (containerIndex) => containerPlan[containerIndex]?.totalPipes || 0,
+    [containerPlan]
+  );
 
-    return totalPipes;
-  }, [results, volume]);
+  // Go back to the first container whenever a new plan comes in
+  useEffect(() => {
+    setActiveContainer(0);
+  }, [containerPlan]);
 
-  // Generate arrangement for the active container with NESTING support
-  // Properly distributes pipes across containers, nesting where possible
+  // Generate arrangement for the active container from its planned slots
   const arrangement = useMemo(() => {
     if (!results || !results.pipeResults || results.pipeResults.length === 0) {
       return null;
     }
 
-    // Get minimum space between pipes (in cm)
-    const minSpace = config?.minSpace || 0;
+    const container = containerPlan[activeContainer];
+    if (!container) return null;
 
-    // Sort pipes by external diameter (largest first)
+    // Assign color indices in the same order as the legend
     const sortedPipes = [...results.pipeResults]
-      .filter(p => p.numberOfPipes > 0)
       .sort((a, b) => b.externalDiameter - a.externalDiameter);
-
-    if (sortedPipes.length === 0) return null;
-
-    // Assign color indices based on sorted order
+    const pipeTypes = {};
     const colorIndices = {};
+    const colors = {};
     sortedPipes.forEach((p, idx) => {
+      pipeTypes[p.id] = p;
       colorIndices[p.id] = idx;
+      colors[p.id] = PIPE_COLORS[idx % PIPE_COLORS.length];
     });
 
-    // Track how many of each pipe we've placed in THIS container
-    const pipeCounts = {};
-    sortedPipes.forEach(p => {
-      pipeCounts[p.id] = { count: 0, colorIndex: colorIndices[p.id] };
-    });
+    // Unloading order: drop numbers are shown when the unit serves several drops
+    const dropAccess = container.dropAccess || { drops: [], blocked: [] };
+    const multiDrop = dropAccess.drops.length > 1;
+    const blockedSlots = new Set(dropAccess.blocked.map(entry => entry.slotIndex));
 
     const items = [];
-
-    // Get the largest pipe type
-    const largestPipe = sortedPipes[0];
-    const outerDiameter = largestPipe.externalDiameter;
-    const outerRadius = outerDiameter / 2;
-    // Effective diameter includes spacing
-    const effectiveLargeDiameter = outerDiameter + minSpace;
-    const largePipesPerRow = largestPipe.pipesPerRow;
-    const largePipesPerColumn = largestPipe.pipesPerColumn;
-    const largePipesPerCrossSection = largePipesPerRow * largePipesPerColumn;
-    // Use the full pipesPerContainer which includes pipes along length
-    const largePipesPerContainer = largestPipe.pipesPerContainer || largePipesPerCrossSection;
-
-    // Find smaller pipes that can nest inside the largest pipe
-    const nestingCandidates = sortedPipes.slice(1).filter(
-      p => p.externalDiameter <= largestPipe.internalDiameter
-    );
-
-    // Calculate how many large pipes go in this container
-    const largeStartIdx = activeContainer * largePipesPerContainer;
-    const largeEndIdx = Math.min(largeStartIdx + largePipesPerContainer, largestPipe.numberOfPipes);
-    const largePipesInThisContainer = Math.max(0, largeEndIdx - largeStartIdx);
-
-    // Calculate how many large pipes were placed in previous containers
-    const totalLargePipesBefore = Math.min(activeContainer * largePipesPerContainer, largestPipe.numberOfPipes);
-
-    // For each nesting candidate, calculate how many should be nested in this container
-    const nestedPipesForThisContainer = {};
-    for (const candidate of nestingCandidates) {
-      // Total small pipes that can be nested = min(total small pipes, total large pipes)
-      const totalNestable = Math.min(candidate.numberOfPipes, largestPipe.numberOfPipes);
-
-      // How many were nested in previous containers
-      const nestedBefore = Math.min(totalNestable, totalLargePipesBefore);
-
-      // How many can be nested in this container
-      const nestableInThis = Math.min(totalNestable - nestedBefore, largePipesInThisContainer);
-
-      nestedPipesForThisContainer[candidate.id] = nestableInThis;
-    }
-
-    // Place large pipes in grid and nest smaller pipes inside
-    // For visualization, we only show the cross-section (pipes per row × pipes per column)
-    // The actual count includes pipes along the length, but we visualize only cross-section
-    let nestedCounters = {};
-    nestingCandidates.forEach(c => { nestedCounters[c.id] = 0; });
-
-    // For visualization, show only cross-section pipes (max = pipesPerCrossSection)
-    const pipesToVisualize = Math.min(largePipesInThisContainer, largePipesPerCrossSection);
-
-    for (let i = 0; i < pipesToVisualize; i++) {
-      const col = i % largePipesPerRow;
-      const row = Math.floor(i / largePipesPerRow);
-
-      // Position pipes with spacing between them
-      const x = outerRadius + col * effectiveLargeDiameter;
-      const y = outerRadius + row * effectiveLargeDiameter;
-
-      // Create outer pipe item
-      const outerItem = {
-        x,
-        y,
-        radius: outerRadius,
-        diameter: outerDiameter,
-        pipeId: largestPipe.id,
-        pipeType: largestPipe,
-        color: PIPE_COLORS[colorIndices[largestPipe.id] % PIPE_COLORS.length],
-        nestedPipes: []
-      };
-
-      // Nest smaller pipes inside (one of each type that fits, if available)
-      let availableInternalDiameter = largestPipe.internalDiameter;
-
-      for (const candidate of nestingCandidates) {
-        if (nestedCounters[candidate.id] < nestedPipesForThisContainer[candidate.id] &&
-            candidate.externalDiameter <= availableInternalDiameter) {
-
-          outerItem.nestedPipes.push({
-            pipeId: candidate.id,
-            pipeType: candidate,
-            externalDiameter: candidate.externalDiameter,
-            internalDiameter: candidate.internalDiameter,
-            color: PIPE_COLORS[colorIndices[candidate.id] % PIPE_COLORS.length]
-          });
-
-          pipeCounts[candidate.id].count++;
-          nestedCounters[candidate.id]++;
-
-          // Reduce available space for further nesting (concentric)
-          availableInternalDiameter = candidate.internalDiameter;
-        }
+    const bundles = [];
+    container.slots.forEach((slot, slotIndex) => {
+      const pipeType = pipeTypes[slot.pipeId];
+      const color = PIPE_COLORS[colorIndices[slot.pipeId] % PIPE_COLORS.length];
+
+      // Telescoped pieces: the chain inside the front piece of the slot, outermost first
+      const nestedPipes = [];
+      for (let nested = slot.segments[0]?.nested; nested?.length > 0; nested = nested[0].nested) {
+        const pipeId = nested[0].pipeId;
+        nestedPipes.push({ ...pipeTypes[pipeId], pipeId, color: PIPE_COLORS[colorIndices[pipeId] % PIPE_COLORS.length] });
       }
 
-      items.push(outerItem);
-      pipeCounts[largestPipe.id].count++;
-    }
-
-    // Calculate remaining spaces for standalone small pipes
-    // Space 1: Side space (remaining width beside large pipes)
-    // Space 2: Top space (remaining height above large pipes)
-    const visualizedLargeRows = Math.ceil(pipesToVisualize / largePipesPerRow);
-    // Account for spacing when calculating used space
-    const usedHeightByLarge = visualizedLargeRows * effectiveLargeDiameter - minSpace;
-    const usedWidthByLarge = Math.min(pipesToVisualize, largePipesPerRow) * effectiveLargeDiameter - minSpace;
-
-    const remainingWidthOnSide = volume.width - usedWidthByLarge - minSpace;
-    const remainingHeightOnTop = volume.height - usedHeightByLarge - minSpace;
-
-    // Calculate how many small pipes were nested/standalone in previous containers
-    // Track remaining small pipes for this container
-    const smallPipeRemaining = {};
-    for (const smallPipe of sortedPipes.slice(1)) {
-      let remaining = smallPipe.numberOfPipes;
-
-      // Subtract nested pipes from previous containers
-      const canNest = smallPipe.externalDiameter <= largestPipe.internalDiameter;
-      if (canNest) {
-        const nestedBefore = Math.min(remaining, totalLargePipesBefore);
-        remaining -= nestedBefore;
-        // Also subtract nested in this container
-        const nestedInThis = nestedPipesForThisContainer[smallPipe.id] || 0;
-        remaining -= nestedInThis;
-      }
-
-      // Subtract standalone pipes from previous containers
-      for (let prevContainer = 0; prevContainer < activeContainer; prevContainer++) {
-        const prevLargeStart = prevContainer * largePipesPerContainer;
-        const prevLargeEnd = Math.min(prevLargeStart + largePipesPerContainer, largestPipe.numberOfPipes);
-        const prevLargePipes = Math.max(0, prevLargeEnd - prevLargeStart);
-
-        // Calculate standalone capacity for previous container
-        const prevRows = Math.ceil(Math.min(prevLargePipes, largePipesPerCrossSection) / largePipesPerRow);
-        const prevUsedHeight = prevRows * outerDiameter;
-        const prevUsedWidth = Math.min(Math.min(prevLargePipes, largePipesPerCrossSection), largePipesPerRow) * outerDiameter;
-
-        const prevSideCols = Math.floor((volume.width - prevUsedWidth) / smallPipe.externalDiameter);
-        const prevSideRows = Math.floor(volume.height / smallPipe.externalDiameter);
-        const prevTopCols = Math.floor(prevUsedWidth / smallPipe.externalDiameter);
-        const prevTopRows = Math.floor((volume.height - prevUsedHeight) / smallPipe.externalDiameter);
+      const item = {
+        x: slot.x,
+        y: slot.y,
+        radius: slot.radius,
+        diameter: slot.radius * 2,
+        pipeId: slot.pipeId,
+        pipeType,
+        pieces: slot.pieces,
+        color,
+        socketEnd: slot.socketEnd || null,
+        socketRadius: slot.socketEnd ? (pipeType?.socketDiameter || 0) / 2 : 0,
+        drop: multiDrop ? slot.drop || 1 : null,
+        blocked: blockedSlots.has(slotIndex),
+        nestedPipes
+      };
 
-        const prevStandaloneCapacity = (prevSideCols * prevSideRows + prevTopCols * prevTopRows);
-        remaining -= Math.min(remaining, prevStandaloneCapacity);
+      if (!slot.bundled || !pipeType?.bundle) {
+        items.push(item);
+        return;
       }
 
-      smallPipeRemaining[smallPipe.id] = Math.max(0, remaining);
-    }
+      // Strapped bundle: its outline plus the pieces of the bundle nearest the door
+      bundles.push({
+        x: slot.x,
+        y: slot.y,
+        width: slot.width,
+        height: slot.height,
+        color,
+        drop: item.drop,
+        blocked: item.blocked
+      });
+      const front = slot.segments[0];
+      const piecesInBundle = Math.min(pipeType.bundle.positions.length, Math.ceil(front.pieces / front.count));
+      pipeType.bundle.positions.slice(0, piecesInBundle).forEach(position => {
+        items.push({ ...item, x: slot.x + position.dx, y: slot.y + position.dy, drop: null });
+      });
+    });
 
-    // Place standalone small pipes for this container
-    for (const smallPipe of sortedPipes.slice(1)) {
-      const smallDiameter = smallPipe.externalDiameter;
-      const smallRadius = smallDiameter / 2;
-      // Effective diameter for small pipes includes spacing
-      const effectiveSmallDiameter = smallDiameter + minSpace;
-
-      const standalonePipesAvailable = smallPipeRemaining[smallPipe.id] || 0;
-      if (standalonePipesAvailable <= 0) continue;
-
-      // Calculate capacity in side space (columns beside large pipes, full height)
-      const sideColumns = Math.floor((remainingWidthOnSide + minSpace) / effectiveSmallDiameter);
-      const sideRows = Math.floor((volume.height + minSpace) / effectiveSmallDiameter);
-      const sideCapacity = sideColumns * sideRows;
-
-      // Calculate capacity in top space (above large pipes, only in the width used by large)
-      const topColumns = Math.floor((usedWidthByLarge + minSpace) / effectiveSmallDiameter);
-      const topRows = Math.floor((remainingHeightOnTop + minSpace) / effectiveSmallDiameter);
-      const topCapacity = topColumns * topRows;
-
-      // Total standalone capacity for cross-section view
-      const standaloneCapacityInView = sideCapacity + topCapacity;
-
-      if (standaloneCapacityInView <= 0) continue;
-
-      // How many to place in this view (limited by capacity and available)
-      const standalonePipesInThis = Math.min(standalonePipesAvailable, standaloneCapacityInView);
-
-      let placed = 0;
-
-      // First, fill the side space (right of large pipes)
-      if (sideColumns > 0 && sideRows > 0) {
-        for (let row = 0; row < sideRows && placed < standalonePipesInThis; row++) {
-          for (let col = 0; col < sideColumns && placed < standalonePipesInThis; col++) {
-            // Add spacing from large pipes area and between small pipes
-            const x = usedWidthByLarge + minSpace + smallRadius + col * effectiveSmallDiameter;
-            const y = smallRadius + row * effectiveSmallDiameter;
-
-            if (x + smallRadius > volume.width || y + smallRadius > volume.height) continue;
-
-            items.push({
-              x: x,
-              y: y,
-              radius: smallRadius,
-              diameter: smallDiameter,
-              pipeId: smallPipe.id,
-              pipeType: smallPipe,
-              color: PIPE_COLORS[colorIndices[smallPipe.id] % PIPE_COLORS.length],
-              nestedPipes: []
-            });
-
-            pipeCounts[smallPipe.id].count++;
-            placed++;
-          }
-        }
-      }
+    if (items.length === 0) return null;
 
-      // Then, fill the top space (above large pipes, full width)
-      if (topColumns > 0 && topRows > 0 && placed < standalonePipesInThis) {
-        for (let row = 0; row < topRows && placed < standalonePipesInThis; row++) {
-          for (let col = 0; col < topColumns && placed < standalonePipesInThis; col++) {
-            // Add spacing from large pipes area and between small pipes
-            const x = smallRadius + col * effectiveSmallDiameter;
-            const y = usedHeightByLarge + minSpace + smallRadius + row * effectiveSmallDiameter;
-
-            if (x + smallRadius > volume.width || y + smallRadius > volume.height) continue;
-
-            // Skip if this position overlaps with the side space we already filled
-            if (x >= usedWidthByLarge + minSpace) continue;
-
-            items.push({
-              x: x,
-              y: y,
-              radius: smallRadius,
-              diameter: smallDiameter,
-              pipeId: smallPipe.id,
-              pipeType: smallPipe,
-              color: PIPE_COLORS[colorIndices[smallPipe.id] % PIPE_COLORS.length],
-              nestedPipes: []
-            });
-
-            pipeCounts[smallPipe.id].count++;
-            placed++;
-          }
-        }
-      }
-    }
+    const pipeCounts = {};
+    container.pipes.forEach(entry => {
+      pipeCounts[entry.pipeId] = {
+        count: (pipeCounts[entry.pipeId]?.count || 0) + entry.count,
+        nested: (pipeCounts[entry.pipeId]?.nested || 0) + (entry.nested || 0)
+      };
+    });
 
-    if (items.length === 0) return null;
+    const staggered = container.pipes.some(entry => entry.packingPattern === 'staggered');
 
     return {
+      container,
+      pipeTypes,
+      colors,
       items,
-      pipeCounts: Object.fromEntries(
-        Object.entries(pipeCounts).map(([id, data]) => [id, { count: data.count }])
-      ),
-      minSpace // Include minSpace so we can display it in the legend
+      bundles,
+      bearers: container.bearers || [],
+      dropAccess,
+      multiDrop,
+      pipeCounts,
+      staggered,
+      minSpace: config?.minSpace || 0 // Include minSpace so we can display it in the legend
     };
-  }, [results, activeContainer, volume, config]);
+  }, [results, containerPlan, activeContainer, config]);
 
   // Calculate auto-fit scale
   const scale = useMemo(() => {
@@ -482,14 +207,18 @@ export default function PipeVisualization() {
 
     const width = volume.width * scale;
     const height = volume.height * scale;
+    // Out-of-gauge cargo above the unit gets room on top of the drawing
+    const overHeight = (arrangement.container.outOfGauge?.overHeight || 0) * scale;
 
     // Set canvas size
     canvas.width = width + PADDING * 2;
-    canvas.height = height + PADDING * 2;
+    canvas.height = height + overHeight + PADDING * 2;
 
     // Clear canvas
     ctx.fillStyle = '#ffffff';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.translate(0, overHeight);
 
     // Draw container outline
     ctx.strokeStyle = BRAND_COLORS?.primary || '#4C5C65';
@@ -520,6 +249,34 @@ export default function PipeVisualization() {
       ctx.stroke();
     }
 
+    // Draw timber bearer layers - FLIPPED Y axis (bottom-up)
+    arrangement.bearers.forEach(bearer => {
+      ctx.fillStyle = '#B7895A';
+      ctx.fillRect(
+        PADDING,
+        PADDING + height - (bearer.y + bearer.height) * scale,
+        width,
+        bearer.height * scale
+      );
+    });
+
+    // Draw strapped bundle outlines - FLIPPED Y axis (bottom-up)
+    arrangement.bundles.forEach(bundle => {
+      ctx.save();
+      ctx.setLineDash([4, 3]);
+      ctx.strokeStyle = bundle.color;
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = bundle.blocked ? '#d32f2f' : bundle.color;
+      ctx.lineWidth = bundle.blocked ? 2.5 : 1.5;
+      ctx.strokeRect(
+        PADDING + (bundle.x - bundle.width / 2) * scale,
+        PADDING + height - (bundle.y + bundle.height / 2) * scale,
+        bundle.width * scale,
+        bundle.height * scale
+      );
+      ctx.restore();
+    });
+
     // Draw pipes - FLIPPED Y axis (bottom-up)
     // Using realistic wall thickness representation (colored rings)
     if (arrangement.items) {
@@ -563,6 +320,29 @@ export default function PipeVisualization() {
         ctx.lineWidth = Math.max(0.5, scale * 0.08);
         ctx.stroke();
 
+        // Draw socket ring: solid when the socket faces the viewer, dashed at the far end
+        if (item.socketRadius > item.radius) {
+          ctx.save();
+          if (item.socketEnd === 'back') {
+            ctx.setLineDash([4, 3]);
+          }
+          ctx.beginPath();
+          ctx.arc(canvasX, canvasY, item.socketRadius * scale, 0, Math.PI * 2);
+          ctx.strokeStyle = item.color || '#2196f3';
+          ctx.lineWidth = Math.max(1.5, scale * 0.3);
+          ctx.stroke();
+          ctx.restore();
+        }
+
+        // Blocked drop: red outline
+        if (item.blocked) {
+          ctx.beginPath();
+          ctx.arc(canvasX, canvasY, outerR, 0, Math.PI * 2);
+          ctx.strokeStyle = '#d32f2f';
+          ctx.lineWidth = Math.max(2, scale * 0.4);
+          ctx.stroke();
+        }
+
         // Draw nested pipes (as colored rings inside)
         if (item.nestedPipes && item.nestedPipes.length > 0) {
           item.nestedPipes.forEach(nestedPipe => {
@@ -596,22 +376,39 @@ export default function PipeVisualization() {
       });
     }
 
+    // Drop numbers (unloading order) in the middle of each slot
+    if (arrangement.multiDrop) {
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      [...arrangement.items, ...arrangement.bundles]
+        .filter(entry => entry.drop !== null)
+        .forEach(entry => {
+          const size = (entry.radius ?? Math.min(entry.width, entry.height) / 2) * scale;
+          if (size < 5) return;
+          ctx.font = `bold ${Math.min(14, Math.max(8, size))}px Montserrat, Arial`;
+          ctx.fillStyle = entry.blocked ? '#d32f2f' : '#333';
+          ctx.fillText(String(entry.drop), PADDING + entry.x * scale, PADDING + height - entry.y * scale);
+        });
+      ctx.textBaseline = 'alphabetic';
+    }
+
     // Draw dimension labels
     ctx.fillStyle = BRAND_COLORS?.primary || '#4C5C65';
     ctx.font = `bold ${Math.max(11, Math.min(14, scale * 1.5))}px Montserrat, Arial`;
     ctx.textAlign = 'center';
 
     // Width label (bottom)
-    ctx.fillText(`${volume.width} cm`, PADDING + width / 2, canvas.height - 8);
+    ctx.fillText(units.formatCompact(volume.width, 'dimension', 1), PADDING + width / 2, height + PADDING * 2 - 8);
 
     // Height label (left side, rotated)
     ctx.save();
     ctx.translate(12, PADDING + height / 2);
     ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`${volume.height} cm`, 0, 0);
+    ctx.fillText(units.formatCompact(volume.height, 'dimension', 1), 0, 0);
+    ctx.restore();
     ctx.restore();
 
-  }, [arrangement, volume, scale]);
+  }, [arrangement, volume, scale, units]);
 
   // Redraw when dependencies change
   useEffect(() => {
@@ -796,11 +593,56 @@ export default function PipeVisualization() {
       {/* Volume info */}
       <Box display="flex" justifyContent="space-between" alignItems="center" mt={2} flexWrap="wrap" gap={1}>
         <Typography variant="body2" color="text.secondary">
-          Grid: 10cm
+          Grid: {units.formatCompact(10, 'dimension')}
         </Typography>
+        {arrangement?.staggered && (
+          <Chip
+            label="Staggered rows"
+            size="small"
+            color="secondary"
+            variant="outlined"
+            sx={{ fontWeight: 500 }}
+          />
+        )}
+        {arrangement?.bearers.length > 0 && (
+          <Chip
+            label={`Dunnage: ${arrangement.bearers.length} bearer layer${arrangement.bearers.length !== 1 ? 's' : ''}`}
+            size="small"
+            color="secondary"
+            variant="outlined"
+            sx={{ fontWeight: 500 }}
+          />
+        )}
+        {arrangement?.bundles.length > 0 && (
+          <Chip
+            label={`${arrangement.bundles.length} strapped bundle${arrangement.bundles.length !== 1 ? 's' : ''}`}
+            size="small"
+            color="secondary"
+            variant="outlined"
+            sx={{ fontWeight: 500 }}
+          />
+        )}
+        {arrangement?.items.some(item => item.socketEnd) && (
+          <Chip
+            label="Sockets head-to-tail"
+            size="small"
+            color="secondary"
+            variant="outlined"
+            sx={{ fontWeight: 500 }}
+          />
+        )}
+        {arrangement?.multiDrop && (
+          <Chip
+            label={`Unloading: ${arrangement.dropAccess.drops.map(drop => `drop ${drop}`).join(' → ')}`}
+            size="small"
+            color="secondary"
+            variant="outlined"
+            sx={{ fontWeight: 500 }}
+          />
+        )}
         {arrangement?.minSpace > 0 && (
           <Chip
-            label={`Spacing: ${arrangement.minSpace} cm`}
+            label={`Spacing: ${units.formatCompact(arrangement.minSpace, 'dimension')}`}
             size="small"
             color="secondary"
             variant="outlined"
@@ -808,10 +650,26 @@ export default function PipeVisualization() {
           />
         )}
         <Typography variant="body2" color="text.secondary">
-          Volume: {volume.width}cm (W) × {volume.height}cm (H) × {volume.length}cm (L)
+          Volume: {units.formatCompact(volume.width, 'dimension', 1)} (W) × {units.formatCompact(volume.height, 'dimension', 1)} (H) × {units.formatCompact(volume.length, 'dimension', 1)} (L)
         </Typography>
       </Box>
 
+      {/* Drops that cannot be reached on top or at the door end */}
+      {arrangement.dropAccess.blocked.length > 0 && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          Drop {[...new Set(arrangement.dropAccess.blocked.map(entry => entry.drop))].sort((a, b) => a - b).join(', ')} is
+          blocked by cargo of a later drop (outlined in red).
+        </Alert>
+      )}
+
+      {/* Side view of the same container */}
+      <LengthView
+        container={arrangement.container}
+        volume={volume}
+        pipeTypes={arrangement.pipeTypes}
+        colors={arrangement.colors}
+      />
+
       {/* Legend */}
       {results.pipeResults.length > 0 && (
         <Box mt={2}>
@@ -824,15 +682,12 @@ export default function PipeVisualization() {
               .map((pipeResult, index) => {
                 const color = PIPE_COLORS[index % PIPE_COLORS.length];
                 const inContainer = arrangement.pipeCounts[pipeResult.id]?.count || 0;
+                // Pieces of this type telescoped into others in this container
+                const nestedCount = arrangement.pipeCounts[pipeResult.id]?.nested || 0;
 
-                // Check if any of this pipe type is nested in this container
-                const nestedCount = arrangement.items.reduce((count, item) => {
-                  return count + (item.nestedPipes?.filter(np => np.pipeId === pipeResult.id).length || 0);
-                }, 0);
-
-                let label = `Ø${pipeResult.externalDiameter}cm × ${pipeResult.standardLengthM}m`;
-                if (nestedCount > 0 && index > 0) {
-                  label += ` (${nestedCount} nested)`;
+                let label = `Ø${units.formatCompact(pipeResult.externalDiameterMm, 'pipeSize', 3)} × ${units.formatCompact(pipeResult.standardLengthM, 'length')}`;
+                if (nestedCount > 0) {
+                  label += ` (${inContainer}, ${nestedCount} nested)`;
                 } else if (inContainer > 0) {
                   label += ` (${inContainer})`;
                 }
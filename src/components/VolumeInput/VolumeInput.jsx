@@ -1,6 +1,8 @@
 /**
  * Volume Input Component
- * Collects transportation type, volume dimensions and weight capacity
+ * Collects transportation type, volume dimensions, weight capacity, tare and max gross
+ * of the custom volume and, for open tops, flat racks, platforms and the custom volume,
+ * the out-of-gauge allowances
  */
 
 import React from 'react';
@@ -15,11 +17,13 @@ import {
   Select,
   MenuItem
 } from '@mui/material';
-import { useCalculator } from '../../context/CalculatorContext';
-import { TRANSPORTATION_TYPES } from '../../constants/defaults';
+import { useCalculator, useUnits } from '../../context/CalculatorContext';
+import { getError } from '../../utils/validation';
+import { TRANSPORTATION_TYPES, LOADING_METHODS } from '../../constants/defaults';
 
 export default function VolumeInput() {
-  const { volume, updateVolume } = useCalculator();
+  const { volume, updateVolume, errors } = useCalculator();
+  const units = useUnits();
 
   const handleTransportationChange = (event) => {
     const typeId = event.target.value;
@@ -31,17 +35,26 @@ export default function VolumeInput() {
         length: selectedType.length,
         width: selectedType.width,
         height: selectedType.height,
-        weightCapacity: selectedType.weightCapacity
+        weightCapacity: selectedType.weightCapacity,
+        tareWeight: selectedType.tareWeight,
+        maxGrossWeight: selectedType.maxGrossWeight,
+        overhang: selectedType.maxOverhang,
+        overHeight: selectedType.maxOverHeight
       });
     }
   };
 
-  const handleChange = (field) => (event) => {
-    const value = parseFloat(event.target.value) || 0;
+  // Typed values are stored in the canonical units (see units.js)
+  const handleChange = (field, kind) => (event) => {
+    const value = units.parse(event.target.value, kind);
     updateVolume({ [field]: value });
   };
 
   const isPreset = volume.transportationType && volume.transportationType !== 'custom';
+  const preset = isPreset ? TRANSPORTATION_TYPES[volume.transportationType] : null;
+  const vehicle = preset?.vehicle;
+  // Presets allow out-of-gauge loading up to their limits; the custom volume as entered
+  const allowsOutOfGauge = !preset || preset.maxOverhang > 0 || preset.maxOverHeight > 0;
 
   return (
     <Paper elevation={2} sx={{ p: 3, mb: 2 }}>
@@ -62,7 +75,9 @@ export default function VolumeInput() {
               {Object.entries(TRANSPORTATION_TYPES).map(([key, type]) => (
                 <MenuItem key={key} value={key}>
                   {type.label}
-                  {key !== 'custom' && ` (${type.length}x${type.width}x${type.height} cm)`}
+                  {key !== 'custom' && ` (${[type.length, type.width, type.height]
+                    .map(size => Math.round(units.display(size, 'dimension')))
+                    .join('x')} ${units.label('dimension')})`}
                 </MenuItem>
               ))}
             </Select>
@@ -75,11 +90,11 @@ export default function VolumeInput() {
             fullWidth
             label="Length"
             type="number"
-            value={volume.length || ''}
-            onChange={handleChange('length')}
+            value={units.input(volume.length, 'dimension')}
+            onChange={handleChange('length', 'dimension')}
             InputProps={{
               readOnly: isPreset,
-              endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
             }}
             sx={isPreset ? {
               '& .MuiInputBase-root': {
@@ -93,11 +108,11 @@ export default function VolumeInput() {
             fullWidth
             label="Width"
             type="number"
-            value={volume.width || ''}
-            onChange={handleChange('width')}
+            value={units.input(volume.width, 'dimension')}
+            onChange={handleChange('width', 'dimension')}
             InputProps={{
               readOnly: isPreset,
-              endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
             }}
             sx={isPreset ? {
               '& .MuiInputBase-root': {
@@ -111,11 +126,11 @@ export default function VolumeInput() {
             fullWidth
             label="Height"
             type="number"
-            value={volume.height || ''}
-            onChange={handleChange('height')}
+            value={units.input(volume.height, 'dimension')}
+            onChange={handleChange('height', 'dimension')}
             InputProps={{
               readOnly: isPreset,
-              endAdornment: <span style={{ marginLeft: 8 }}>cm</span>
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
             }}
             sx={isPreset ? {
               '& .MuiInputBase-root': {
@@ -129,11 +144,11 @@ export default function VolumeInput() {
             fullWidth
             label="Max Weight Capacity"
             type="number"
-            value={volume.weightCapacity || ''}
-            onChange={handleChange('weightCapacity')}
+            value={units.input(volume.weightCapacity, 'weight')}
+            onChange={handleChange('weightCapacity', 'weight')}
             InputProps={{
               readOnly: isPreset,
-              endAdornment: <span style={{ marginLeft: 8 }}>kg</span>
+              endAdornment: <span style={{ marginLeft: 8 }}>{units.label('weight')}</span>
             }}
             sx={isPreset ? {
               '& .MuiInputBase-root': {
@@ -142,13 +157,121 @@ export default function VolumeInput() {
             } : {}}
           />
         </Grid>
+
+        {/* Tare and max gross of the custom volume, for the gross mass (presets show theirs below) */}
+        {!isPreset && (
+          <>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Tare Weight"
+                type="number"
+                value={units.input(volume.tareWeight, 'weight')}
+                onChange={handleChange('tareWeight', 'weight')}
+                error={!!getError(errors, 'volumeTareWeight')}
+                helperText={getError(errors, 'volumeTareWeight') || 'Empty unit'}
+                InputProps={{
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('weight')}</span>
+                }}
+                inputProps={{ min: '0', step: 'any' }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Max Gross Weight"
+                type="number"
+                value={units.input(volume.maxGrossWeight, 'weight')}
+                onChange={handleChange('maxGrossWeight', 'weight')}
+                error={!!getError(errors, 'volumeMaxGrossWeight')}
+                helperText={getError(errors, 'volumeMaxGrossWeight') || 'Empty = not checked'}
+                InputProps={{
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('weight')}</span>
+                }}
+                inputProps={{ min: '0', step: 'any' }}
+              />
+            </Grid>
+          </>
+        )}
+
+        {/* Out-of-gauge allowances */}
+        {allowsOutOfGauge && (
+          <>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Overhang per End"
+                type="number"
+                value={units.input(volume.overhang, 'dimension')}
+                onChange={handleChange('overhang', 'dimension')}
+                disabled={preset && !(preset.maxOverhang > 0)}
+                error={!!getError(errors, 'volumeOverhang')}
+                helperText={getError(errors, 'volumeOverhang') ||
+                  (preset ? `Up to ${units.format(preset.maxOverhang, 'dimension', 0)}` : 'Empty = no overhang')}
+                InputProps={{
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
+                }}
+                inputProps={{ min: '0', step: 'any' }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Over-Height"
+                type="number"
+                value={units.input(volume.overHeight, 'dimension')}
+                onChange={handleChange('overHeight', 'dimension')}
+                disabled={preset && !(preset.maxOverHeight > 0)}
+                error={!!getError(errors, 'volumeOverHeight')}
+                helperText={getError(errors, 'volumeOverHeight') ||
+                  (preset ? `Up to ${units.format(preset.maxOverHeight, 'dimension', 0)}` : 'Empty = no over-height')}
+                InputProps={{
+                  endAdornment: <span style={{ marginLeft: 8 }}>{units.label('dimension')}</span>
+                }}
+                inputProps={{ min: '0', step: 'any' }}
+              />
+            </Grid>
+          </>
+        )}
       </Grid>
 
       {/* Volume info */}
       {volume.length > 0 && volume.width > 0 && volume.height > 0 && (
         <Box mt={2}>
           <Typography variant="body2" color="text.secondary">
-            Container Volume: {((volume.length * volume.width * volume.height) / 1000000).toFixed(2)} m³
+            Container Volume: {units.format((volume.length * volume.width * volume.height) / 1000000, 'volume')}
+          </Typography>
+        </Box>
+      )}
+
+      {/* Loading, door opening and weights of the preset */}
+      {preset && (
+        <Box mt={1}>
+          <Typography variant="body2" color="text.secondary">
+            {LOADING_METHODS[preset.loading]?.label}
+            {preset.loading === 'door' && ` (door ${[preset.doorWidth, preset.doorHeight]
+              .map(size => Math.round(units.display(size, 'dimension')))
+              .join('x')} ${units.label('dimension')})`}
+            {' · '}tare {units.format(preset.tareWeight, 'weight', 0)}
+            {' · '}max gross {units.format(preset.maxGrossWeight, 'weight', 0)}
+            {' · '}max payload {units.format(preset.maxPayload, 'weight', 0)}
+          </Typography>
+        </Box>
+      )}
+
+      {/* Vehicle model used for axle loads */}
+      {vehicle && (
+        <Box mt={1}>
+          <Typography variant="body2" color="text.secondary">
+            Axle model (from deck front):{' '}
+            {vehicle.kingpinPosition !== undefined && `kingpin ${units.format(vehicle.kingpinPosition, 'dimension', 0)}, `}
+            {vehicle.axleGroups
+              .map(group => `${group.label.toLowerCase()} ${units.format(group.position, 'dimension', 0)} (max ${units.format(group.maxLoad, 'weight', 0)})`)
+              .join(', ')}
           </Typography>
         </Box>
       )}
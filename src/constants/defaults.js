@@ -1,6 +1,119 @@
 export const DEFAULT_CONFIG = {
   minSpace: 0,
-  allowance: 0
+  allowance: 0,
+  // Every piece travels loose unless smaller lines are set to telescope (see TELESCOPING_MODES)
+  telescoping: 'none',
+  packingMode: 'square',
+  // Orders in one booking: packed together or kept together (see CONSOLIDATION_MODES)
+  consolidation: 'mixed',
+  // Dunnage: timber bearers under the first tier and every N tiers (0 = first tier only)
+  bearerHeight: 0,        // cm, 0 = no bearers
+  tiersBetweenBearers: 0,
+  dunnageWeight: 0,       // kg of timber per container
+  // Packaging travelling with the pipes, counted in the gross mass (see vgm.js)
+  packagingPerPiece: 0,   // kg per piece (end caps, bevel protectors)
+  packagingPerBundle: 0   // kg per bundle (straps, lifting slings)
+};
+
+// Cross-section packing patterns
+// square: pipes sit directly on top of each other
+// staggered: each row sits in the grooves of the row below (hexagonal nest)
+// best: whichever of the two fits more pipes for each pipe type
+export const PACKING_MODES = {
+  square: { id: 'square', label: 'Square grid' },
+  staggered: { id: 'staggered', label: 'Staggered (hexagonal)' },
+  best: { id: 'best', label: 'Best of both' }
+};
+
+// Telescoping of smaller pipe lines into larger ones (see nesting.js)
+// none: every piece is shipped loose
+// nested: pieces travel inside larger ones, to any depth (e.g. 508 ⊃ 406 ⊃ 323 ⊃ 219)
+export const TELESCOPING_MODES = {
+  none: { id: 'none', label: 'Loose (no telescoping)' },
+  nested: { id: 'nested', label: 'Telescope (multi-level)' }
+};
+
+// Consolidation of several orders (consignees) in one booking
+// mixed: all lines share containers for the fewest units
+// byOrder: each order is loaded in as few containers as possible; orders sharing a
+// container lie in bands of their own, separated by a bearer layer if bearers are used
+export const CONSOLIDATION_MODES = {
+  mixed: { id: 'mixed', label: 'Mix orders' },
+  byOrder: { id: 'byOrder', label: 'Keep orders together' }
+};
+
+// Strapped bundle shapes for small-diameter pipe lines (see bundles.js)
+// none: pipes are shipped loose
+export const BUNDLE_SHAPES = {
+  none: { id: 'none', label: 'Loose (no bundles)' },
+  hexagonal: { id: 'hexagonal', label: 'Hexagonal bundle' },
+  square: { id: 'square', label: 'Square bundle' }
+};
+
+// Pipe materials with density in kg/m³ for the theoretical weight per meter (see pipeCatalog.js)
+// stackHeights: maximum stack height in mm by SDR (OD / wall), the first row with
+// sdr <= maxSdr applies; 0 = no limit (see stacking.js)
+export const PIPE_MATERIALS = {
+  carbonSteel: {
+    id: 'carbonSteel',
+    label: 'Carbon steel',
+    density: 7850,
+    stackHeights: [{ maxSdr: 100, height: 0 }, { maxSdr: Infinity, height: 2000 }]
+  },
+  stainless: {
+    id: 'stainless',
+    label: 'Stainless steel',
+    density: 7930,
+    stackHeights: [{ maxSdr: 100, height: 0 }, { maxSdr: Infinity, height: 2000 }]
+  },
+  ductileIron: { id: 'ductileIron', label: 'Ductile iron', density: 7050, stackHeights: [] },
+  hdpe: {
+    id: 'hdpe',
+    label: 'HDPE',
+    density: 950,
+    stackHeights: [
+      { maxSdr: 11, height: 2000 },
+      { maxSdr: 17, height: 1500 },
+      { maxSdr: 26, height: 1200 },
+      { maxSdr: Infinity, height: 1000 }
+    ]
+  },
+  pvc: {
+    id: 'pvc',
+    label: 'PVC',
+    density: 1400,
+    stackHeights: [
+      { maxSdr: 21, height: 1500 },
+      { maxSdr: 33, height: 1200 },
+      { maxSdr: Infinity, height: 1000 }
+    ]
+  },
+  grp: { id: 'grp', label: 'GRP', density: 1900, stackHeights: [{ maxSdr: Infinity, height: 2500 }] }
+};
+
+// Priority of a pipe line
+// mandatory: the confirmed quantity is always loaded
+// filler: optional stock; its quantity is a maximum, loaded into the space and weight
+// left by the mandatory lines without opening another unit (see packing.js)
+export const PIPE_PRIORITIES = {
+  mandatory: { id: 'mandatory', label: 'Mandatory' },
+  filler: { id: 'filler', label: 'Optional filler' }
+};
+
+// Stack-crush limit of a pipe line (see stacking.js)
+// auto: stack height from the material and SDR (PIPE_MATERIALS); tiers: maxTiers entered;
+// height: maxStackHeight entered; none: stacked up to the roof
+export const STACK_LIMIT_MODES = {
+  auto: { id: 'auto', label: 'From material and SDR' },
+  tiers: { id: 'tiers', label: 'Maximum tiers' },
+  height: { id: 'height', label: 'Maximum stack height' },
+  none: { id: 'none', label: 'No limit' }
+};
+
+// Unit systems for inputs and results; the engine always works in metric (see units.js)
+export const UNIT_SYSTEMS = {
+  metric: { id: 'metric', label: 'Metric' },
+  imperial: { id: 'imperial', label: 'Imperial' }
 };
 
 // KuzeyBoru Brand Colors
@@ -14,23 +127,205 @@ export const BRAND_COLORS = {
   textSecondary: '#7E7E7E' // Secondary text
 };
 
+// Tractor with a tri-axle semi-trailer, shared by the road presets
+// Positions in cm from the front wall of the load deck, loads in kg
+const SEMI_TRAILER = {
+  kingpinPosition: 120,
+  maxLateralOffset: 10,
+  axleGroups: [
+    { id: 'steer', label: 'Steer axle', unit: 'tractor', position: -190, tareLoad: 5500, maxLoad: 7500 },
+    { id: 'drive', label: 'Drive axle', unit: 'tractor', position: 180, tareLoad: 4000, maxLoad: 11500 },
+    { id: 'trailer', label: 'Trailer axles', unit: 'trailer', position: 1030, tareLoad: 3500, maxLoad: 24000 }
+  ]
+};
+
 // Transportation type presets with dimensions in cm and weight in kg
+// length/width/height: inside dimensions (for platforms and flat racks the usable deck and stowage height)
+// loading: 'door' (through the end doors, doorWidth × doorHeight), 'top' (crane, through the
+// roof or onto an open deck) or 'side' (forklift from the side, e.g. curtainsiders)
+// tareWeight: empty unit; maxGrossWeight: unit plus cargo; maxPayload: maxGrossWeight − tareWeight
+// maxOverhang: out-of-gauge length allowed beyond each end; maxOverHeight: allowed above the
+// stowage height (open tops, flat racks and platforms only, see outOfGauge.js)
+// weightCapacity: cargo weight planned per unit, the payload or the usual road limit if lower
 export const TRANSPORTATION_TYPES = {
+  containerDV20: {
+    id: 'containerDV20',
+    label: 'Container 20ft DV',
+    length: 590,
+    width: 235,
+    height: 239,
+    loading: 'door',
+    doorWidth: 234,
+    doorHeight: 228,
+    tareWeight: 2230,
+    maxGrossWeight: 30480,
+    maxPayload: 28250,
+    maxOverhang: 0,
+    maxOverHeight: 0,
+    weightCapacity: 21700
+  },
+  containerDV40: {
+    id: 'containerDV40',
+    label: 'Container 40ft DV',
+    length: 1203,
+    width: 235,
+    height: 239,
+    loading: 'door',
+    doorWidth: 234,
+    doorHeight: 228,
+    tareWeight: 3750,
+    maxGrossWeight: 30480,
+    maxPayload: 26730,
+    maxOverhang: 0,
+    maxOverHeight: 0,
+    weightCapacity: 23000
+  },
   containerHC40: {
     id: 'containerHC40',
     label: 'Container HC 40ft',
     length: 1200,
     width: 235,
     height: 265,
+    loading: 'door',
+    doorWidth: 234,
+    doorHeight: 258,
+    tareWeight: 3900,
+    maxGrossWeight: 30480,
+    maxPayload: 26580,
+    maxOverhang: 0,
+    maxOverHeight: 0,
     weightCapacity: 23000
   },
+  containerHC45: {
+    id: 'containerHC45',
+    label: 'Container HC 45ft',
+    length: 1355,
+    width: 235,
+    height: 269,
+    loading: 'door',
+    doorWidth: 234,
+    doorHeight: 258,
+    tareWeight: 4800,
+    maxGrossWeight: 32500,
+    maxPayload: 27700,
+    maxOverhang: 0,
+    maxOverHeight: 0,
+    weightCapacity: 23000
+  },
+  openTop40: {
+    id: 'openTop40',
+    label: 'Open Top 40ft',
+    length: 1203,
+    width: 234,
+    height: 235,
+    loading: 'top',
+    doorWidth: 234,
+    doorHeight: 227,
+    tareWeight: 3850,
+    maxGrossWeight: 32500,
+    maxPayload: 28650,
+    maxOverhang: 0,
+    maxOverHeight: 60,
+    weightCapacity: 23000
+  },
+  flatRack40: {
+    id: 'flatRack40',
+    label: 'Flat Rack 40ft',
+    length: 1208,
+    width: 212,
+    height: 195,
+    loading: 'top',
+    doorWidth: 0,
+    doorHeight: 0,
+    tareWeight: 5000,
+    maxGrossWeight: 45000,
+    maxPayload: 40000,
+    maxOverhang: 100,
+    maxOverHeight: 120,
+    weightCapacity: 40000
+  },
+  platform40: {
+    id: 'platform40',
+    label: 'Platform 40ft',
+    length: 1219,
+    width: 244,
+    height: 240,
+    loading: 'top',
+    doorWidth: 0,
+    doorHeight: 0,
+    tareWeight: 5700,
+    maxGrossWeight: 45000,
+    maxPayload: 39300,
+    maxOverhang: 100,
+    maxOverHeight: 120,
+    weightCapacity: 39300
+  },
   truck: {
     id: 'truck',
     label: 'Truck',
     length: 1350,
     width: 245,
     height: 300,
-    weightCapacity: 23000
+    loading: 'side',
+    doorWidth: 0,
+    doorHeight: 0,
+    tareWeight: 13000,
+    maxGrossWeight: 40000,
+    maxPayload: 27000,
+    maxOverhang: 0,
+    maxOverHeight: 0,
+    weightCapacity: 23000,
+    vehicle: SEMI_TRAILER
+  },
+  megaTrailer: {
+    id: 'megaTrailer',
+    label: 'Mega Trailer',
+    length: 1360,
+    width: 248,
+    height: 300,
+    loading: 'side',
+    doorWidth: 248,
+    doorHeight: 300,
+    tareWeight: 14500,
+    maxGrossWeight: 40000,
+    maxPayload: 25500,
+    maxOverhang: 0,
+    maxOverHeight: 0,
+    weightCapacity: 24000,
+    vehicle: SEMI_TRAILER
+  },
+  tautliner: {
+    id: 'tautliner',
+    label: 'Tautliner',
+    length: 1360,
+    width: 248,
+    height: 270,
+    loading: 'side',
+    doorWidth: 248,
+    doorHeight: 270,
+    tareWeight: 14000,
+    maxGrossWeight: 40000,
+    maxPayload: 26000,
+    maxOverhang: 0,
+    maxOverHeight: 0,
+    weightCapacity: 24000,
+    vehicle: SEMI_TRAILER
+  },
+  railWagon: {
+    id: 'railWagon',
+    label: 'Rail Wagon (stake flat)',
+    length: 1850,
+    width: 265,
+    height: 250,
+    loading: 'top',
+    doorWidth: 0,
+    doorHeight: 0,
+    tareWeight: 25000,
+    maxGrossWeight: 90000,
+    maxPayload: 65000,
+    maxOverhang: 0,
+    maxOverHeight: 0,
+    weightCapacity: 60000
   },
   custom: {
     id: 'custom',
@@ -38,16 +333,124 @@ export const TRANSPORTATION_TYPES = {
     length: 0,
     width: 0,
     height: 0,
+    loading: 'side',
+    doorWidth: 0,
+    doorHeight: 0,
+    tareWeight: 0,
+    maxGrossWeight: 0,
+    maxPayload: 0,
+    maxOverhang: 0,
+    maxOverHeight: 0,
     weightCapacity: 0
   }
 };
 
+// How a transportation type is loaded (see TRANSPORTATION_TYPES)
+export const LOADING_METHODS = {
+  door: { id: 'door', label: 'Through the end doors' },
+  top: { id: 'top', label: 'From the top' },
+  side: { id: 'side', label: 'From the side' }
+};
+
+// Rules for sharing the capacity of a given number of containers over the pipe lines
+// (see calculateMaxPipeQuantities in optimization.js)
+// ratio: lines keep their mix ratio in meters
+// priority: lines are filled one after the other, lowest priority number first
+export const MAX_QUANTITY_RULES = {
+  ratio: { id: 'ratio', label: 'Mix ratio (by meters)' },
+  priority: { id: 'priority', label: 'Priority order' }
+};
+
+// Maximum quantity mode; transportationType '' uses the type selected in the volume input
+// Lines are keyed by pipe id: { ratio, priority, maxQuantityInMeters (m, 0 = no limit) }
+export const DEFAULT_MAX_QUANTITY = {
+  transportationType: '',
+  containerCount: 1,
+  rule: 'ratio',
+  lines: {}
+};
+
+// Standard-length sweep of one pipe line (see standardLengths.js); lengths in mm
+// pipeId '' uses the first pipe line
+export const DEFAULT_LENGTH_SWEEP = {
+  pipeId: '',
+  minLength: 5800,
+  maxLength: 12000,
+  step: 100
+};
+
+// Ranking of fleet mixes (see planFleet in fleet.js); the other criterion breaks ties
+export const FLEET_OBJECTIVES = {
+  cost: { id: 'cost', label: 'Lowest freight cost' },
+  units: { id: 'units', label: 'Fewest units' }
+};
+
+// Fleet-mix settings
+// types: per transportation type id { enabled, available (units, 0 = no limit) }
+// customTypes: user-defined types { id, label, length, width, height (cm), weightCapacity (kg) };
+// their freight rates are kept with the others in freight.rates
+export const DEFAULT_FLEET = {
+  objective: 'cost',
+  types: {},
+  customTypes: []
+};
+
+// SOLAS methods for the Verified Gross Mass of a packed container (see vgm.js)
+// method1: the packed container is weighed; method2: contents are weighed and added to the tare
+export const VGM_METHODS = {
+  method1: { id: 'method1', label: 'Method 1 (weighed packed container)' },
+  method2: { id: 'method2', label: 'Method 2 (weighed contents plus tare)' }
+};
+
+// VGM declaration details; containerIds: container number (ISO 6346) per planned container
+export const DEFAULT_VGM = {
+  method: 'method2',
+  shipper: '',
+  signatory: '',
+  bookingReference: '',
+  containerIds: {}
+};
+
+// Currencies for freight quotes
+// Exchange rates are entered locally by the user: value of 1 unit in the base currency (USD)
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'TRY'];
+
+// Rules for splitting each container's freight over the pipe lines it carries
+export const FREIGHT_ALLOCATION_RULES = {
+  weight: { id: 'weight', label: 'By weight' },
+  area: { id: 'area', label: 'By occupied cross-section area' },
+  volume: { id: 'volume', label: 'By bounding volume' }
+};
+
+export const DEFAULT_FREIGHT = {
+  quoteCurrency: 'USD',
+  allocationRule: 'weight',
+  exchangeRates: {
+    USD: 1,
+    EUR: 1.08,
+    GBP: 1.27,
+    TRY: 0.03
+  },
+  // Flat rate per container/truck and surcharges, keyed by transportation type
+  // Surcharge basis: 'perUnit' (every container/truck), 'perShipment' (once) or
+  // 'outOfGauge' (every unit loaded out of gauge, see outOfGauge.js)
+  rates: Object.fromEntries(
+    Object.keys(TRANSPORTATION_TYPES).map(id => [id, { amount: 0, currency: 'USD', surcharges: [] }])
+  )
+};
+
 export const DEFAULT_VOLUME = {
   transportationType: 'custom',
   length: 0,
   width: 0,
   height: 0,
-  weightCapacity: 0
+  weightCapacity: 0,
+  // Empty unit and maximum gross weight in kg, taken from the preset (see vgm.js)
+  tareWeight: 0,
+  maxGrossWeight: 0,
+  // Out-of-gauge allowances in cm, taken from the preset (see outOfGauge.js)
+  overhang: 0,
+  overHeight: 0
 };
 
 export const PIPE_COLORS = [
@@ -0,0 +1,113 @@
+/**
+ * Pipe Standards Catalog
+ * Built-in, offline dimension tables of common steel pipe series
+ *
+ * Each size lists its outside diameter and the wall thicknesses available in the series,
+ * keyed by schedule (ASME B36.10) or by the thickness itself (EN and API series).
+ * All dimensions in mm.
+ */
+
+// Common EN 10219 (cold-formed) / EN 10210 (hot-finished) circular hollow section walls
+const EN_WALLS = {
+  small: [2.0, 2.3, 2.6, 3.2, 4.0],
+  medium: [2.0, 2.5, 3.0, 3.2, 4.0, 5.0, 6.0],
+  large: [3.0, 3.2, 4.0, 5.0, 6.0, 6.3, 8.0, 10.0],
+  heavy: [4.0, 5.0, 6.0, 6.3, 8.0, 10.0, 12.5, 16.0],
+  xl: [6.3, 8.0, 10.0, 12.5, 16.0, 20.0]
+};
+
+// Common API 5L line pipe walls
+const API_WALLS = {
+  small: [2.77, 3.91, 5.54, 7.14],
+  medium: [4.78, 5.56, 6.35, 7.14, 7.92, 8.74, 11.13],
+  large: [5.56, 6.35, 7.14, 7.92, 8.74, 9.53, 11.13, 12.70, 14.27],
+  xl: [6.35, 7.92, 9.53, 11.13, 12.70, 14.27, 15.88, 17.48, 19.05, 25.40]
+};
+
+const walls = (thicknesses) => thicknesses.map(t => ({ id: String(t), label: `${t.toFixed(2)} mm`, thickness: t }));
+// Numbered schedules read "Sch 40"; weight classes (STD, XS, XXS) keep their name
+const schedules = (entries) => Object.entries(entries).map(([schedule, t]) => ({
+  id: schedule,
+  label: `${/^\d+$/.test(schedule) ? `Sch ${schedule}` : schedule} – ${t.toFixed(2)} mm`,
+  thickness: t
+}));
+
+export const PIPE_STANDARDS = {
+  en10219: {
+    id: 'en10219',
+    label: 'EN 10219 / EN 10210',
+    sizes: [
+      { id: '21.3', label: '21.3', od: 21.3, walls: walls(EN_WALLS.small) },
+      { id: '26.9', label: '26.9', od: 26.9, walls: walls(EN_WALLS.small) },
+      { id: '33.7', label: '33.7', od: 33.7, walls: walls(EN_WALLS.small) },
+      { id: '42.4', label: '42.4', od: 42.4, walls: walls(EN_WALLS.small) },
+      { id: '48.3', label: '48.3', od: 48.3, walls: walls(EN_WALLS.medium) },
+      { id: '60.3', label: '60.3', od: 60.3, walls: walls(EN_WALLS.medium) },
+      { id: '76.1', label: '76.1', od: 76.1, walls: walls(EN_WALLS.medium) },
+      { id: '88.9', label: '88.9', od: 88.9, walls: walls(EN_WALLS.large) },
+      { id: '114.3', label: '114.3', od: 114.3, walls: walls(EN_WALLS.large) },
+      { id: '139.7', label: '139.7', od: 139.7, walls: walls(EN_WALLS.heavy) },
+      { id: '168.3', label: '168.3', od: 168.3, walls: walls(EN_WALLS.heavy) },
+      { id: '193.7', label: '193.7', od: 193.7, walls: walls(EN_WALLS.heavy) },
+      { id: '219.1', label: '219.1', od: 219.1, walls: walls(EN_WALLS.heavy) },
+      { id: '244.5', label: '244.5', od: 244.5, walls: walls(EN_WALLS.heavy) },
+      { id: '273.0', label: '273.0', od: 273.0, walls: walls(EN_WALLS.heavy) },
+      { id: '323.9', label: '323.9', od: 323.9, walls: walls(EN_WALLS.xl) },
+      { id: '355.6', label: '355.6', od: 355.6, walls: walls(EN_WALLS.xl) },
+      { id: '406.4', label: '406.4', od: 406.4, walls: walls(EN_WALLS.xl) },
+      { id: '457.0', label: '457.0', od: 457.0, walls: walls(EN_WALLS.xl) },
+      { id: '508.0', label: '508.0', od: 508.0, walls: walls(EN_WALLS.xl) },
+      { id: '610.0', label: '610.0', od: 610.0, walls: walls(EN_WALLS.xl) }
+    ]
+  },
+  asmeB3610: {
+    id: 'asmeB3610',
+    label: 'ASME B36.10M',
+    sizes: [
+      { id: '1/2', label: 'NPS 1/2 (21.3)', od: 21.3, walls: schedules({ 40: 2.77, 80: 3.73, 160: 4.78, XXS: 7.47 }) },
+      { id: '3/4', label: 'NPS 3/4 (26.7)', od: 26.7, walls: schedules({ 40: 2.87, 80: 3.91, 160: 5.56, XXS: 7.82 }) },
+      { id: '1', label: 'NPS 1 (33.4)', od: 33.4, walls: schedules({ 40: 3.38, 80: 4.55, 160: 6.35, XXS: 9.09 }) },
+      { id: '1-1/4', label: 'NPS 1-1/4 (42.2)', od: 42.2, walls: schedules({ 40: 3.56, 80: 4.85, 160: 6.35, XXS: 9.70 }) },
+      { id: '1-1/2', label: 'NPS 1-1/2 (48.3)', od: 48.3, walls: schedules({ 40: 3.68, 80: 5.08, 160: 7.14, XXS: 10.15 }) },
+      { id: '2', label: 'NPS 2 (60.3)', od: 60.3, walls: schedules({ 40: 3.91, 80: 5.54, 160: 8.74, XXS: 11.07 }) },
+      { id: '2-1/2', label: 'NPS 2-1/2 (73.0)', od: 73.0, walls: schedules({ 40: 5.16, 80: 7.01, 160: 9.53, XXS: 14.02 }) },
+      { id: '3', label: 'NPS 3 (88.9)', od: 88.9, walls: schedules({ 40: 5.49, 80: 7.62, 160: 11.13, XXS: 15.24 }) },
+      { id: '4', label: 'NPS 4 (114.3)', od: 114.3, walls: schedules({ 40: 6.02, 80: 8.56, 120: 11.13, 160: 13.49, XXS: 17.12 }) },
+      { id: '5', label: 'NPS 5 (141.3)', od: 141.3, walls: schedules({ 40: 6.55, 80: 9.53, 120: 12.70, 160: 15.88, XXS: 19.05 }) },
+      { id: '6', label: 'NPS 6 (168.3)', od: 168.3, walls: schedules({ 40: 7.11, 80: 10.97, 120: 14.27, 160: 18.26, XXS: 21.95 }) },
+      { id: '8', label: 'NPS 8 (219.1)', od: 219.1, walls: schedules({ 20: 6.35, 30: 7.04, 40: 8.18, 60: 10.31, 80: 12.70, 100: 15.09, 120: 18.26, 140: 20.62, 160: 23.01 }) },
+      { id: '10', label: 'NPS 10 (273.1)', od: 273.1, walls: schedules({ 20: 6.35, 30: 7.80, 40: 9.27, 60: 12.70, 80: 15.09, 100: 18.26, 120: 21.44, 140: 25.40, 160: 28.58 }) },
+      { id: '12', label: 'NPS 12 (323.9)', od: 323.9, walls: schedules({ 20: 6.35, 30: 8.38, STD: 9.53, 40: 10.31, XS: 12.70, 60: 14.27, 80: 17.48, 100: 21.44, 120: 25.40, 140: 28.58, 160: 33.32 }) },
+      { id: '14', label: 'NPS 14 (355.6)', od: 355.6, walls: schedules({ 10: 6.35, 20: 7.92, STD: 9.53, 40: 11.13, XS: 12.70, 60: 15.09, 80: 19.05, 100: 23.83, 120: 27.79, 140: 31.75, 160: 35.71 }) },
+      { id: '16', label: 'NPS 16 (406.4)', od: 406.4, walls: schedules({ 10: 6.35, 20: 7.92, STD: 9.53, XS: 12.70, 60: 16.66, 80: 21.44, 100: 26.19, 120: 30.96, 140: 36.53, 160: 40.49 }) },
+      { id: '18', label: 'NPS 18 (457)', od: 457.0, walls: schedules({ 10: 6.35, 20: 7.92, STD: 9.53, 30: 11.13, XS: 12.70, 40: 14.27, 60: 19.05, 80: 23.83, 100: 29.36, 120: 34.93, 140: 39.67, 160: 45.24 }) },
+      { id: '20', label: 'NPS 20 (508)', od: 508.0, walls: schedules({ 10: 6.35, STD: 9.53, XS: 12.70, 40: 15.09, 60: 20.62, 80: 26.19, 100: 32.54, 120: 38.10, 140: 44.45, 160: 50.01 }) },
+      { id: '24', label: 'NPS 24 (610)', od: 610.0, walls: schedules({ 10: 6.35, STD: 9.53, XS: 12.70, 30: 14.27, 40: 17.48, 60: 24.61, 80: 30.96, 100: 38.89, 120: 46.02, 140: 52.37, 160: 59.54 }) }
+    ]
+  },
+  api5l: {
+    id: 'api5l',
+    label: 'API 5L',
+    sizes: [
+      { id: '2', label: '2" (60.3)', od: 60.3, walls: walls(API_WALLS.small) },
+      { id: '3', label: '3" (88.9)', od: 88.9, walls: walls(API_WALLS.small) },
+      { id: '4', label: '4" (114.3)', od: 114.3, walls: walls(API_WALLS.medium) },
+      { id: '6', label: '6" (168.3)', od: 168.3, walls: walls(API_WALLS.medium) },
+      { id: '8', label: '8" (219.1)', od: 219.1, walls: walls(API_WALLS.large) },
+      { id: '10', label: '10" (273.1)', od: 273.1, walls: walls(API_WALLS.large) },
+      { id: '12', label: '12" (323.9)', od: 323.9, walls: walls(API_WALLS.large) },
+      { id: '14', label: '14" (355.6)', od: 355.6, walls: walls(API_WALLS.xl) },
+      { id: '16', label: '16" (406.4)', od: 406.4, walls: walls(API_WALLS.xl) },
+      { id: '18', label: '18" (457)', od: 457.0, walls: walls(API_WALLS.xl) },
+      { id: '20', label: '20" (508)', od: 508.0, walls: walls(API_WALLS.xl) },
+      { id: '24', label: '24" (610)', od: 610.0, walls: walls(API_WALLS.xl) },
+      { id: '28', label: '28" (711)', od: 711.0, walls: walls(API_WALLS.xl) },
+      { id: '30', label: '30" (762)', od: 762.0, walls: walls(API_WALLS.xl) },
+      { id: '32', label: '32" (813)', od: 813.0, walls: walls(API_WALLS.xl) },
+      { id: '36', label: '36" (914)', od: 914.0, walls: walls(API_WALLS.xl) },
+      { id: '40', label: '40" (1016)', od: 1016.0, walls: walls(API_WALLS.xl) },
+      { id: '42', label: '42" (1067)', od: 1067.0, walls: walls(API_WALLS.xl) },
+      { id: '48', label: '48" (1219)', od: 1219.0, walls: walls(API_WALLS.xl) }
+    ]
+  }
+};
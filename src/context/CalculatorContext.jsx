@@ -3,11 +3,14 @@
  * Global state management for the Pipe Calculator
  */
 
-import React, { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
-import { DEFAULT_CONFIG, DEFAULT_VOLUME } from '../constants/defaults.js';
-import { validateInputs, hasErrors } from '../utils/validation.js';
-import { optimizeArrangement } from '../utils/optimization.js';
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useMemo } from 'react';
+import { DEFAULT_CONFIG, DEFAULT_VOLUME, DEFAULT_FREIGHT, DEFAULT_MAX_QUANTITY, DEFAULT_LENGTH_SWEEP, DEFAULT_FLEET, DEFAULT_VGM, TRANSPORTATION_TYPES } from '../constants/defaults.js';
+import { validateInputs, hasErrors, getMaxQuantityErrors, getFleetErrors } from '../utils/validation.js';
+import { optimizeArrangement, calculateMaxPipeQuantities } from '../utils/optimization.js';
 import { calculateResults } from '../utils/calculations.js';
+import { calculateFreightQuote, quoteFinalUnitAlternatives } from '../utils/freight.js';
+import { planFleet } from '../utils/fleet.js';
+import { createUnitFormatter } from '../utils/units.js';
 
 // Initial state
 const initialState = {
@@ -15,6 +18,19 @@ const initialState = {
   pipes: [],
   boxes: [],
   config: { ...DEFAULT_CONFIG },
+  freight: { ...DEFAULT_FREIGHT },
+  // Display units only (see UNIT_SYSTEMS); all state stays in canonical metric units
+  unitSystem: 'metric',
+  // Maximum quantity that fits in a given number of containers (reverse calculation)
+  maxQuantity: { ...DEFAULT_MAX_QUANTITY },
+  maxQuantityResults: null,
+  // Standard-length sweep settings; the sweep itself is computed on the fly
+  lengthSweep: { ...DEFAULT_LENGTH_SWEEP },
+  // Mix of transportation types for the whole order
+  fleet: { ...DEFAULT_FLEET },
+  fleetResults: null,
+  // VGM declaration details for the planned units
+  vgm: { ...DEFAULT_VGM },
   results: null,
   arrangement: null,
   errors: {},
@@ -32,6 +48,14 @@ const ACTIONS = {
   UPDATE_BOX: 'UPDATE_BOX',
   REMOVE_BOX: 'REMOVE_BOX',
   UPDATE_CONFIG: 'UPDATE_CONFIG',
+  UPDATE_FREIGHT: 'UPDATE_FREIGHT',
+  SET_UNIT_SYSTEM: 'SET_UNIT_SYSTEM',
+  UPDATE_MAX_QUANTITY: 'UPDATE_MAX_QUANTITY',
+  SET_MAX_QUANTITY_RESULTS: 'SET_MAX_QUANTITY_RESULTS',
+  UPDATE_LENGTH_SWEEP: 'UPDATE_LENGTH_SWEEP',
+  UPDATE_FLEET: 'UPDATE_FLEET',
+  SET_FLEET_RESULTS: 'SET_FLEET_RESULTS',
+  UPDATE_VGM: 'UPDATE_VGM',
   CALCULATE: 'CALCULATE',
   CLEAR_RESULTS: 'CLEAR_RESULTS',
   SET_ERRORS: 'SET_ERRORS',
@@ -47,7 +71,9 @@ function calculatorReducer(state, action) {
         ...state,
         volume: { ...state.volume, ...action.payload },
         results: null,
-        arrangement: null
+        arrangement: null,
+        maxQuantityResults: null,
+        fleetResults: null
       };
 
     case ACTIONS.ADD_PIPE:
@@ -59,6 +85,26 @@ function calculatorReducer(state, action) {
         quantityInMeters: 0,    // Total length required in meters
         wallThickness: 0,
         weightPerMeter: 0,
+        material: 'carbonSteel', // See PIPE_MATERIALS; gives the theoretical weight per meter
+        // Last catalog pick (see PIPE_STANDARDS); the filled fields stay editable
+        catalogStandard: '',
+        catalogSize: '',
+        catalogWall: '',
+        // Socket (bell) end in mm, 0 = plain ends; standardLength includes the socket
+        socketDiameter: 0,
+        socketLength: 0,
+        // Strapped bundles (see BUNDLE_SHAPES)
+        bundleShape: 'none',
+        piecesPerBundle: 0,
+        strapAllowance: 0,      // Clearance per side for straps in mm
+        maxBundleWeight: 0,     // kg, 0 = no limit
+        priority: 'mandatory',  // 'filler': optional, quantity is a maximum
+        order: '',              // Order / consignee reference
+        dropSequence: 1,        // 1 = unloaded first
+        // Stack-crush limit (see STACK_LIMIT_MODES)
+        stackLimit: 'auto',
+        maxTiers: 0,
+        maxStackHeight: 0,      // mm
         // Legacy fields for compatibility
         length: 0,
         telescopedWith: [],
@@ -70,7 +116,9 @@ function calculatorReducer(state, action) {
         ...state,
         pipes: [...state.pipes, newPipe],
         results: null,
-        arrangement: null
+        arrangement: null,
+        maxQuantityResults: null,
+        fleetResults: null
       };
 
     case ACTIONS.UPDATE_PIPE:
@@ -82,7 +130,9 @@ function calculatorReducer(state, action) {
             : pipe
         ),
         results: null,
-        arrangement: null
+        arrangement: null,
+        maxQuantityResults: null,
+        fleetResults: null
       };
 
     case ACTIONS.REMOVE_PIPE:
@@ -90,7 +140,9 @@ function calculatorReducer(state, action) {
         ...state,
         pipes: state.pipes.filter(pipe => pipe.id !== action.payload.id),
         results: null,
-        arrangement: null
+        arrangement: null,
+        maxQuantityResults: null,
+        fleetResults: null
       };
 
     case ACTIONS.ADD_BOX:
@@ -132,7 +184,63 @@ function calculatorReducer(state, action) {
         ...state,
         config: { ...state.config, ...action.payload },
         results: null,
-        arrangement: null
+        arrangement: null,
+        maxQuantityResults: null,
+        fleetResults: null
+      };
+
+    case ACTIONS.UPDATE_FREIGHT:
+      return {
+        ...state,
+        freight: { ...state.freight, ...action.payload },
+        results: null,
+        arrangement: null,
+        fleetResults: null
+      };
+
+    case ACTIONS.SET_UNIT_SYSTEM:
+      // Only the display changes, so the results stay valid
+      return {
+        ...state,
+        unitSystem: action.payload
+      };
+
+    case ACTIONS.UPDATE_MAX_QUANTITY:
+      return {
+        ...state,
+        maxQuantity: { ...state.maxQuantity, ...action.payload },
+        maxQuantityResults: null
+      };
+
+    case ACTIONS.SET_MAX_QUANTITY_RESULTS:
+      return {
+        ...state,
+        maxQuantityResults: action.payload
+      };
+
+    case ACTIONS.UPDATE_LENGTH_SWEEP:
+      return {
+        ...state,
+        lengthSweep: { ...state.lengthSweep, ...action.payload }
+      };
+
+    case ACTIONS.UPDATE_FLEET:
+      return {
+        ...state,
+        fleet: { ...state.fleet, ...action.payload },
+        fleetResults: null
+      };
+
+    case ACTIONS.SET_FLEET_RESULTS:
+      return {
+        ...state,
+        fleetResults: action.payload
+      };
+
+    case ACTIONS.UPDATE_VGM:
+      return {
+        ...state,
+        vgm: { ...state.vgm, ...action.payload }
       };
 
     case ACTIONS.CALCULATE:
@@ -165,7 +273,13 @@ function calculatorReducer(state, action) {
     case ACTIONS.RESET:
       return {
         ...initialState,
-        config: { ...DEFAULT_CONFIG }
+        config: { ...DEFAULT_CONFIG },
+        freight: { ...DEFAULT_FREIGHT },
+        maxQuantity: { ...DEFAULT_MAX_QUANTITY },
+        lengthSweep: { ...DEFAULT_LENGTH_SWEEP },
+        fleet: { ...DEFAULT_FLEET },
+        vgm: { ...DEFAULT_VGM },
+        unitSystem: state.unitSystem
       };
 
     default:
@@ -182,9 +296,9 @@ export function CalculatorProvider({ children }) {
 
   // Auto-validate when state changes
   useEffect(() => {
-    const errors = validateInputs(state.volume, state.pipes, state.boxes, state.config);
+    const errors = validateInputs(state.volume, state.pipes, state.boxes, state.config, state.freight, state.unitSystem);
     dispatch({ type: ACTIONS.SET_ERRORS, payload: errors });
-  }, [state.volume, state.pipes, state.boxes, state.config]);
+  }, [state.volume, state.pipes, state.boxes, state.config, state.freight, state.unitSystem]);
 
   // Update volume
   const updateVolume = useCallback((volume) => {
@@ -226,12 +340,26 @@ export function CalculatorProvider({ children }) {
     dispatch({ type: ACTIONS.UPDATE_CONFIG, payload: config });
   }, []);
 
-  // Validate inputs
+  // Update freight rates and currency settings
+  const updateFreight = useCallback((freight) => {
+    dispatch({ type: ACTIONS.UPDATE_FREIGHT, payload: freight });
+  }, []);
+
+  // Switch between metric and imperial display units
+  const setUnitSystem = useCallback((unitSystem) => {
+    dispatch({ type: ACTIONS.SET_UNIT_SYSTEM, payload: unitSystem });
+  }, []);
+
+  // Update the maximum quantity settings
+  const updateMaxQuantity = useCallback((maxQuantity) => {
+    dispatch({ type: ACTIONS.UPDATE_MAX_QUANTITY, payload: maxQuantity });
+  }, []);
+
   const validate = useCallback(() => {
-    const errors = validateInputs(state.volume, state.pipes, state.boxes, state.config);
+    const errors = validateInputs(state.volume, state.pipes, state.boxes, state.config, state.freight, state.unitSystem);
     dispatch({ type: ACTIONS.SET_ERRORS, payload: errors });
     return !hasErrors(errors);
-  }, [state.volume, state.pipes, state.boxes, state.config]);
+  }, [state.volume, state.pipes, state.boxes, state.config, state.freight, state.unitSystem]);
 
   // Calculate results
   const calculate = useCallback(async () => {
@@ -265,9 +393,20 @@ export function CalculatorProvider({ children }) {
         state.config
       );
 
+      // Price the container plan and its final-unit alternatives
+      const freightQuote = calculateFreightQuote(results, state.freight, state.volume.transportationType);
+      const finalUnitAlternatives = quoteFinalUnitAlternatives(results, state.freight, state.volume.transportationType);
+
       dispatch({
         type: ACTIONS.CALCULATE,
-        payload: { results, arrangement }
+        payload: {
+          results: {
+            ...results,
+            freightQuote,
+            volumesNeeded: { ...results.volumesNeeded, finalUnitAlternatives }
+          },
+          arrangement
+        }
       });
 
       return true;
@@ -277,7 +416,126 @@ export function CalculatorProvider({ children }) {
     } finally {
       dispatch({ type: ACTIONS.SET_CALCULATING, payload: false });
     }
-  }, [state.volume, state.pipes, state.boxes, state.config, validate]);
+  }, [state.volume, state.pipes, state.boxes, state.config, state.freight, validate]);
+
+  // Update the standard-length sweep settings
+  const updateLengthSweep = useCallback((lengthSweep) => {
+    dispatch({ type: ACTIONS.UPDATE_LENGTH_SWEEP, payload: lengthSweep });
+  }, []);
+
+  // Container of the maximum quantity mode: a preset, or the volume entered above
+  const maxQuantityVolume = useMemo(() => {
+    const typeId = state.maxQuantity.transportationType;
+    const preset = TRANSPORTATION_TYPES[typeId];
+    if (!preset || typeId === 'custom') return state.volume;
+    return {
+      transportationType: typeId,
+      length: preset.length,
+      width: preset.width,
+      height: preset.height,
+      weightCapacity: preset.weightCapacity
+    };
+  }, [state.maxQuantity.transportationType, state.volume]);
+
+  const maxQuantityErrors = useMemo(() => getMaxQuantityErrors(
+    validateInputs(maxQuantityVolume, state.pipes, [], state.config, null, state.unitSystem)
+  ), [maxQuantityVolume, state.pipes, state.config, state.unitSystem]);
+
+  // Maximum quantity of every pipe line that fits in the given containers
+  const calculateMaxQuantities = useCallback(async () => {
+    if (hasErrors(maxQuantityErrors)) {
+      return false;
+    }
+
+    dispatch({ type: ACTIONS.SET_CALCULATING, payload: true });
+
+    try {
+      // Let the UI show the calculating state before the search blocks it
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const maxQuantityResults = calculateMaxPipeQuantities(maxQuantityVolume, state.pipes, state.config, state.maxQuantity);
+      dispatch({
+        type: ACTIONS.SET_MAX_QUANTITY_RESULTS,
+        payload: { ...maxQuantityResults, volume: maxQuantityVolume }
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Maximum quantity calculation error:', error);
+      return false;
+    } finally {
+      dispatch({ type: ACTIONS.SET_CALCULATING, payload: false });
+    }
+  }, [maxQuantityVolume, maxQuantityErrors, state.pipes, state.config, state.maxQuantity]);
+
+  // Update the fleet-mix settings
+  const updateFleet = useCallback((fleet) => {
+    dispatch({ type: ACTIONS.UPDATE_FLEET, payload: fleet });
+  }, []);
+
+  // Transportation types of the fleet mix: presets, the custom volume and user-defined types
+  const fleetTypes = useMemo(() => {
+    const types = Object.values(TRANSPORTATION_TYPES)
+      .filter(type => type.id !== 'custom')
+      .map(type => ({ ...type }));
+    if (state.volume.transportationType === 'custom' && state.volume.length > 0) {
+      types.push({
+        id: 'custom',
+        label: TRANSPORTATION_TYPES.custom.label,
+        length: state.volume.length,
+        width: state.volume.width,
+        height: state.volume.height,
+        weightCapacity: state.volume.weightCapacity,
+        tareWeight: state.volume.tareWeight,
+        maxGrossWeight: state.volume.maxGrossWeight,
+        maxOverhang: state.volume.overhang,
+        maxOverHeight: state.volume.overHeight
+      });
+    }
+    types.push(...state.fleet.customTypes);
+
+    return types.map(type => ({
+      ...type,
+      enabled: state.fleet.types[type.id]?.enabled !== false,
+      available: state.fleet.types[type.id]?.available || 0
+    }));
+  }, [state.volume, state.fleet.types, state.fleet.customTypes]);
+
+  const fleetErrors = useMemo(() => getFleetErrors(state.errors), [state.errors]);
+
+  // Rank the fleet mixes that carry the whole order
+  const calculateFleet = useCallback(async () => {
+    if (hasErrors(fleetErrors)) {
+      return false;
+    }
+
+    dispatch({ type: ACTIONS.SET_CALCULATING, payload: true });
+
+    try {
+      // Let the UI show the calculating state before the search blocks it
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const fleetResults = planFleet(
+        state.pipes,
+        state.config,
+        fleetTypes.filter(type => type.enabled),
+        { objective: state.fleet.objective, freight: state.freight }
+      );
+      dispatch({ type: ACTIONS.SET_FLEET_RESULTS, payload: fleetResults });
+
+      return true;
+    } catch (error) {
+      console.error('Fleet planning error:', error);
+      return false;
+    } finally {
+      dispatch({ type: ACTIONS.SET_CALCULATING, payload: false });
+    }
+  }, [fleetErrors, fleetTypes, state.pipes, state.config, state.fleet.objective, state.freight]);
+
+  // Update the VGM declaration details
+  const updateVgm = useCallback((vgm) => {
+    dispatch({ type: ACTIONS.UPDATE_VGM, payload: vgm });
+  }, []);
 
   // Clear results
   const clearResults = useCallback(() => {
@@ -299,6 +557,17 @@ export function CalculatorProvider({ children }) {
     updateBox,
     removeBox,
     updateConfig,
+    updateFreight,
+    setUnitSystem,
+    updateMaxQuantity,
+    maxQuantityErrors,
+    calculateMaxQuantities,
+    updateLengthSweep,
+    updateFleet,
+    fleetTypes,
+    fleetErrors,
+    calculateFleet,
+    updateVgm,
     validate,
     calculate,
     clearResults,
@@ -320,3 +589,9 @@ export function useCalculator() {
   }
   return context;
 }
+
+// Unit helpers for the selected unit system (see units.js)
+export function useUnits() {
+  const { unitSystem } = useCalculator();
+  return useMemo(() => createUnitFormatter(unitSystem), [unitSystem]);
+}
@@ -0,0 +1,170 @@
+/**
+ * Axle Loads
+ * Centre of gravity and axle-group loads for road vehicles
+ *
+ * Key concepts:
+ * - Positions along the vehicle are in cm from the front wall of the load deck,
+ *   positive towards the rear; tractor axles can sit ahead of the deck (negative)
+ * - A semi-trailer rests on the kingpin and its own axle group; the kingpin load is
+ *   then shared between the tractor's steer and drive axles
+ * - A rigid vehicle (no kingpin) rests directly on its front and rear axle groups
+ * - Every piece (or bundle) is a point mass at the middle of its length and at its
+ *   slot's position across the width; dunnage counts as cargo
+ *
+ * Units follow calculations.js: positions in cm, loads in kg
+ */
+
+// Step used when searching for a better longitudinal position of the load (cm)
+const SHIFT_STEP = 10;
+
+/**
+ * Calculate centre of gravity and axle loads for one planned container/truck
+ * @param {Object} container - Container plan entry (see packing.js)
+ * @param {Array} pipeResults - Per-pipe results (pieces of other lines are skipped)
+ * @param {Object} volume - Load deck dimensions (cm)
+ * @param {Object} vehicle - Vehicle model (see TRANSPORTATION_TYPES)
+ * @returns {Object} - Centre of gravity, loads per axle group and overload flags
+ */
+export function calculateLoadBalance(container, pipeResults, volume, vehicle) {
+  const pipesById = Object.fromEntries(pipeResults.map(p => [p.id, p]));
+
+  let cargoWeight = 0;
+  let momentLongitudinal = 0;
+  let momentLateral = 0;
+  let loadEnd = 0;
+
+  for (const slot of container.slots) {
+    for (const segment of slot.segments) {
+      const pipe = pipesById[segment.pipeId];
+      if (!pipe || segment.count <= 0) continue;
+      // Items end-to-end in the slot: pieces with what they hold, or bundles for bundled lines
+      const itemWeight = segment.weight / segment.count;
+
+      for (let i = 0; i < segment.count; i++) {
+        const center = segment.offset + (i + 0.5) * segment.lengthCm;
+        cargoWeight += itemWeight;
+        momentLongitudinal += itemWeight * center;
+        momentLateral += itemWeight * slot.x;
+      }
+    }
+    loadEnd = Math.max(loadEnd, slot.usedLength || 0);
+  }
+
+  // Timber bearers lie under the whole load: their weight acts at the middle of the loaded length
+  if (container.dunnageWeight > 0) {
+    cargoWeight += container.dunnageWeight;
+    momentLongitudinal += container.dunnageWeight * loadEnd / 2;
+    momentLateral += container.dunnageWeight * (volume.width || 0) / 2;
+  }
+
+  const longitudinal = cargoWeight > 0 ? momentLongitudinal / cargoWeight : 0;
+  const lateral = cargoWeight > 0 ? momentLateral / cargoWeight : (volume.width || 0) / 2;
+  const lateralOffset = lateral - (volume.width || 0) / 2;
+
+  const axleGroups = distributeToAxles(cargoWeight, longitudinal, vehicle);
+  const overloaded = axleGroups.some(group => group.overloaded);
+  const liftOff = axleGroups.some(group => group.totalLoad < 0);
+  const lateralImbalance = vehicle.maxLateralOffset !== undefined &&
+    Math.abs(lateralOffset) > vehicle.maxLateralOffset;
+
+  // If an axle is overloaded, look for a position further back on the deck that fixes it
+  let suggestedShift = null;
+  if (overloaded || liftOff) {
+    const freeLength = Math.max(0, (volume.length || 0) - loadEnd);
+    let bestUtilization = maxUtilization(axleGroups);
+    for (let shift = SHIFT_STEP; shift <= freeLength; shift += SHIFT_STEP) {
+      const shifted = distributeToAxles(cargoWeight, longitudinal + shift, vehicle);
+      const utilization = maxUtilization(shifted);
+      if (utilization < bestUtilization && shifted.every(group => group.totalLoad >= 0)) {
+        bestUtilization = utilization;
+        suggestedShift = {
+          distance: shift,
+          resolves: !shifted.some(group => group.overloaded)
+        };
+      }
+    }
+  }
+
+  return {
+    cargoWeight,
+    centerOfGravity: { longitudinal, lateral },
+    lateralOffset,
+    axleGroups,
+    overloaded,
+    liftOff,
+    lateralImbalance,
+    suggestedShift
+  };
+}
+
+/**
+ * Share a cargo load between the vehicle's axle groups (static beam model)
+ * @param {number} cargoWeight - Cargo weight (kg)
+ * @param {number} position - Cargo centre of gravity along the deck (cm)
+ * @param {Object} vehicle - Vehicle model
+ * @returns {Array} - Axle groups with cargo, tare and total loads
+ */
+function distributeToAxles(cargoWeight, position, vehicle) {
+  const cargoLoads = {};
+  const groups = vehicle.axleGroups;
+
+  if (vehicle.kingpinPosition !== undefined) {
+    // Semi-trailer: kingpin + trailer axle group, then kingpin load onto the tractor
+    const trailerGroup = groups.find(g => g.unit === 'trailer');
+    const [steer, drive] = groups
+      .filter(g => g.unit === 'tractor')
+      .sort((a, b) => a.position - b.position);
+    const kingpin = { position: vehicle.kingpinPosition };
+
+    const [kingpinLoad, trailerLoad] = shareBetween(cargoWeight, position, kingpin, trailerGroup);
+    const [steerLoad, driveLoad] = shareBetween(kingpinLoad, vehicle.kingpinPosition, steer, drive);
+
+    cargoLoads[trailerGroup.id] = trailerLoad;
+    cargoLoads[steer.id] = steerLoad;
+    cargoLoads[drive.id] = driveLoad;
+  } else {
+    // Rigid vehicle: front and rear axle groups
+    const [front, rear] = [...groups].sort((a, b) => a.position - b.position);
+    const [frontLoad, rearLoad] = shareBetween(cargoWeight, position, front, rear);
+    cargoLoads[front.id] = frontLoad;
+    cargoLoads[rear.id] = rearLoad;
+  }
+
+  return groups.map(group => {
+    const cargoLoad = cargoLoads[group.id] || 0;
+    const totalLoad = group.tareLoad + cargoLoad;
+    return {
+      id: group.id,
+      label: group.label,
+      cargoLoad,
+      tareLoad: group.tareLoad,
+      totalLoad,
+      maxLoad: group.maxLoad,
+      utilization: group.maxLoad > 0 ? totalLoad / group.maxLoad : 0,
+      overloaded: group.maxLoad > 0 && totalLoad > group.maxLoad
+    };
+  });
+}
+
+/**
+ * Split a point load between two supports (lever rule)
+ * @param {number} load - Load (kg)
+ * @param {number} position - Position of the load (cm)
+ * @param {Object} front - Front support { position }
+ * @param {Object} rear - Rear support { position }
+ * @returns {Array} - [front load, rear load]; negative means the support lifts off
+ */
+function shareBetween(load, position, front, rear) {
+  const span = rear.position - front.position;
+  const rearLoad = span !== 0 ? load * (position - front.position) / span : load / 2;
+  return [load - rearLoad, rearLoad];
+}
+
+/**
+ * Highest load-to-limit ratio over all axle groups
+ * @param {Array} axleGroups - Axle groups with utilization
+ * @returns {number} - Highest utilization
+ */
+function maxUtilization(axleGroups) {
+  return Math.max(...axleGroups.map(group => group.utilization));
+}
@@ -0,0 +1,183 @@
+/**
+ * Strapped Pipe Bundles
+ * Geometry and weight of hexagonal and square bundles of small-diameter pipes
+ *
+ * Key concepts:
+ * - A bundle is shipped as one packing unit: the packer places whole bundles,
+ *   never loose pieces of a bundled pipe line
+ * - Hexagonal bundles lay pieces in staggered rows (nested in the grooves of the row
+ *   below); square bundles lay them in a grid
+ * - The strap allowance is added on every side of the bundle; bundles are stacked
+ *   on their flat sides, so each one takes a rectangular footprint in the cross-section
+ * - The maximum bundle weight can lower the pieces per bundle; the last bundle of a
+ *   line may hold fewer pieces
+ *
+ * Units follow calculations.js: diameters and footprints in cm, weights in kg
+ */
+
+import { getDunnage, stackTiers } from './dunnage.js';
+import { NO_STACK_LIMIT } from './stacking.js';
+
+/**
+ * Calculate the bundle used for a pipe line
+ * @param {Object} pipe - Pipe specification (bundleShape, piecesPerBundle, strapAllowance in mm, maxBundleWeight in kg)
+ * @param {number} diameterCm - External diameter (cm)
+ * @param {number} pieceWeight - Weight of one piece (kg)
+ * @param {number} numberOfPipes - Pieces in the line
+ * @returns {Object|null} - Bundle definition, or null if the line is shipped loose
+ */
+export function calculateBundle(pipe, diameterCm, pieceWeight, numberOfPipes) {
+  const shape = pipe.bundleShape || 'none';
+  if (shape === 'none' || !(pipe.piecesPerBundle > 0) || diameterCm <= 0) {
+    return null;
+  }
+
+  // The weight limit can lower the pieces per bundle
+  let piecesPerBundle = Math.floor(pipe.piecesPerBundle);
+  if (pipe.maxBundleWeight > 0 && pieceWeight > 0) {
+    piecesPerBundle = Math.min(piecesPerBundle, Math.floor(pipe.maxBundleWeight / pieceWeight));
+  }
+  if (piecesPerBundle <= 0) {
+    // Not even one piece stays under the maximum bundle weight
+    return { shape, piecesPerBundle: 0, width: 0, height: 0, weight: 0, count: 0, lastBundlePieces: 0, positions: [] };
+  }
+
+  const strapAllowanceCm = (pipe.strapAllowance || 0) / 10;
+  const layout = shape === 'hexagonal'
+    ? hexagonalLayout(diameterCm, piecesPerBundle)
+    : squareLayout(diameterCm, piecesPerBundle);
+
+  const count = Math.ceil(numberOfPipes / piecesPerBundle);
+  const lastBundlePieces = numberOfPipes - (count - 1) * piecesPerBundle;
+
+  return {
+    shape,
+    piecesPerBundle,
+    strapAllowanceCm,
+    width: layout.width + 2 * strapAllowanceCm,
+    height: layout.height + 2 * strapAllowanceCm,
+    weight: piecesPerBundle * pieceWeight,
+    count,
+    lastBundlePieces,
+    // Piece centres relative to the bundle centre (cm)
+    positions: layout.positions
+  };
+}
+
+/**
+ * Count how many bundles fit in the container cross-section
+ * Bundles are stacked on their flat sides in a grid.
+ * @param {Object} bundle - Bundle definition from calculateBundle
+ * @param {number} width - Container width (cm)
+ * @param {number} height - Container height (cm)
+ * @param {number} minSpace - Minimum space between bundles (cm)
+ * @param {Object} dunnage - Bearer settings from getDunnage (see dunnage.js)
+ * @param {Object} stackLimit - Stack-crush limit from getStackLimit (see stacking.js)
+ * @returns {Object} - { bundlesPerRow, rows, rowPitch, bundlesPerCrossSection }
+ */
+export function calculateBundleCrossSection(bundle, width, height, minSpace = 0, dunnage = getDunnage(), stackLimit = NO_STACK_LIMIT) {
+  if (!bundle || bundle.piecesPerBundle <= 0 || bundle.width > width || bundle.height > height) {
+    return { bundlesPerRow: 0, rows: 0, rowPitch: 0, bundlesPerCrossSection: 0 };
+  }
+
+  const bundlesPerRow = Math.floor((width + minSpace) / (bundle.width + minSpace));
+  const rows = stackTiers(height, bundle.height, bundle.height + minSpace, minSpace, dunnage, stackLimit).length;
+
+  return {
+    bundlesPerRow,
+    rows,
+    rowPitch: bundle.height + minSpace,
+    bundlesPerCrossSection: bundlesPerRow * rows
+  };
+}
+
+/**
+ * Staggered rows with the most compact bounding rectangle
+ * Rows alternate between `columns` and `columns - 1` pieces, starting with a full row.
+ * @param {number} diameter - Piece diameter (cm)
+ * @param {number} pieces - Pieces in the bundle
+ * @returns {Object} - { width, height, positions }
+ */
+function hexagonalLayout(diameter, pieces) {
+  if (pieces === 1) {
+    return { width: diameter, height: diameter, positions: [{ dx: 0, dy: 0 }] };
+  }
+
+  const rowPitch = diameter * Math.sqrt(3) / 2;
+  let best = null;
+
+  for (let columns = 2; columns <= pieces; columns++) {
+    const rowSizes = [];
+    let placed = 0;
+    while (placed < pieces) {
+      const size = Math.min(rowSizes.length % 2 === 0 ? columns : columns - 1, pieces - placed);
+      rowSizes.push(size);
+      placed += size;
+    }
+
+    const width = columns * diameter;
+    const height = diameter + (rowSizes.length - 1) * rowPitch;
+    if (isSmallerLayout(width, height, best)) {
+      best = { width, height, rowSizes };
+    }
+  }
+
+  const positions = [];
+  best.rowSizes.forEach((size, row) => {
+    const shift = row % 2 === 1 ? diameter / 2 : 0;
+    for (let col = 0; col < size; col++) {
+      positions.push({
+        dx: diameter / 2 + shift + col * diameter - best.width / 2,
+        dy: diameter / 2 + row * rowPitch - best.height / 2
+      });
+    }
+  });
+
+  return { width: best.width, height: best.height, positions };
+}
+
+/**
+ * Grid of columns × rows with the most compact bounding rectangle
+ * @param {number} diameter - Piece diameter (cm)
+ * @param {number} pieces - Pieces in the bundle
+ * @returns {Object} - { width, height, positions }
+ */
+function squareLayout(diameter, pieces) {
+  let best = null;
+
+  for (let columns = 1; columns <= pieces; columns++) {
+    const rows = Math.ceil(pieces / columns);
+    const width = columns * diameter;
+    const height = rows * diameter;
+    if (isSmallerLayout(width, height, best)) {
+      best = { width, height, columns };
+    }
+  }
+
+  const positions = [];
+  for (let i = 0; i < pieces; i++) {
+    const col = i % best.columns;
+    const row = Math.floor(i / best.columns);
+    positions.push({
+      dx: diameter / 2 + col * diameter - best.width / 2,
+      dy: diameter / 2 + row * diameter - best.height / 2
+    });
+  }
+
+  return { width: best.width, height: best.height, positions };
+}
+
+/**
+ * Compare bundle layouts: shorter longest side first (compact, easy to handle), then smaller area
+ * @param {number} width - Candidate width (cm)
+ * @param {number} height - Candidate height (cm)
+ * @param {Object|null} best - Best layout so far
+ * @returns {boolean} - True if the candidate is better
+ */
+function isSmallerLayout(width, height, best) {
+  if (!best) return true;
+  const side = Math.max(width, height);
+  const bestSide = Math.max(best.width, best.height);
+  if (Math.abs(side - bestSide) > 1e-9) return side < bestSide;
+  return width * height < best.width * best.height;
+}
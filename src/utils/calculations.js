@@ -10,6 +10,18 @@
  */
 
 import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+import { summarizeLengthCombinations } from './lengthPlanning.js';
+import { calculateLoadBalance } from './axleLoads.js';
+import { calculateBundle, calculateBundleCrossSection } from './bundles.js';
+import { getDunnage, stackTiers } from './dunnage.js';
+import { checkWeightPerMeter, getMaterial } from './pipeCatalog.js';
+import { createUnitFormatter } from './units.js';
+import { getDoorOpening, fitsDoorOpening } from './transport.js';
+import { getGaugeVolume, findGaugeExtent, planGaugeLoad } from './outOfGauge.js';
+import { calculateGrossMass } from './vgm.js';
+import { NO_STACK_LIMIT, getStackLimit } from './stacking.js';
+import { getDropSequence, checkDropAccess } from './dropSequence.js';
+import { getTelescoping, summarizeTelescoping } from './nesting.js';
 
 /**
  * Calculate comprehensive results for pipe arrangement
@@ -17,38 +29,94 @@ import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
  * @param {Array} pipes - Array of pipe specifications
  * @param {Array} _boxes - Not used
  * @param {Object} volume - Volume dimensions
- * @param {Object} config - Configuration (minSpace, allowance)
+ * @param {Object} config - Configuration (minSpace, allowance, telescoping, packing pattern, dunnage,
+ *   packaging, consolidation)
  * @returns {Object} - Calculation results
  */
 export function calculateResults(_arrangement, pipes, _boxes, volume, config = {}) {
   const minSpace = config.minSpace || 0; // Minimum space between pipes in cm
+  const packingMode = config.packingMode || 'square';
+  const dunnage = getDunnage(config);
+  const telescoping = getTelescoping(config);
 
   // Calculate per-pipe results with container dimensions for packing calculation
-  const pipeResults = pipes.map(pipe => calculatePipeResult(pipe, volume, minSpace));
+  const pipeResults = calculatePipeResults(pipes, volume, minSpace, packingMode, dunnage);
 
-  // Calculate totals
-  const totalVolume = pipeResults.reduce((sum, p) => sum + p.volumeM3, 0);
-  const totalWeight = pipeResults.reduce((sum, p) => sum + p.totalWeight, 0);
-  const totalPipes = pipeResults.reduce((sum, p) => sum + p.numberOfPipes, 0);
-  const totalLength = pipeResults.reduce((sum, p) => sum + p.quantityInMeters, 0);
+  // Calculate totals of the mandatory lines; optional fillers are added as far as they are loaded
+  const mandatory = pipeResults.filter(p => !p.filler);
+  const mandatoryWeight = mandatory.reduce((sum, p) => sum + p.totalWeight, 0);
 
   // Calculate container volume
   const containerVolumeM3 = (volume.length * volume.width * volume.height) / 1000000;
 
-  // Calculate volumes needed using cross-section packing
-  const volumesNeeded = calculateVolumesNeededByPacking(
+  // Calculate volumes needed using mixed-load cross-section packing
+  let volumesNeeded = calculateVolumesNeededByPacking(
     pipeResults,
-    totalWeight,
-    volume
+    mandatoryWeight,
+    volume,
+    minSpace,
+    dunnage,
+    config.consolidation,
+    telescoping
   );
 
+  // Optional lines loaded into the gaps of the plan, and the pieces travelling inside others
+  const fillerAdded = summarizeFillerAdded(pipeResults, volumesNeeded.containerPlan);
+  volumesNeeded = {
+    ...volumesNeeded,
+    fillerAdded,
+    telescoping: summarizeTelescoping(volumesNeeded.containerPlan)
+  };
+
+  const totalVolume = mandatory.reduce((sum, p) => sum + p.volumeM3, 0) +
+    fillerAdded.reduce((sum, f) => sum + f.volumeM3, 0);
+  const totalWeight = mandatoryWeight + fillerAdded.reduce((sum, f) => sum + f.weight, 0);
+  const totalPipes = mandatory.reduce((sum, p) => sum + p.numberOfPipes, 0) +
+    fillerAdded.reduce((sum, f) => sum + f.pieces, 0);
+  const totalLength = mandatory.reduce((sum, p) => sum + p.quantityInMeters, 0) +
+    fillerAdded.reduce((sum, f) => sum + f.meters, 0);
+
+  // The final, usually partial unit re-planned into the other transportation types
+  volumesNeeded = {
+    ...volumesNeeded,
+    finalUnitAlternatives: Number.isFinite(volumesNeeded.total)
+      ? planFinalUnitAlternatives(pipes, volumesNeeded.containerPlan, volume, config)
+      : []
+  };
+
+  // Timber bearers travel in every planned container
+  const dunnageWeight = volumesNeeded.containerPlan.reduce((sum, c) => sum + c.dunnageWeight, 0);
+
   // Get transportation type label
   const transportationType = TRANSPORTATION_TYPES[volume.transportationType] || TRANSPORTATION_TYPES.custom;
 
+  // Road vehicles: centre of gravity and axle-group loads for every planned load
+  if (transportationType.vehicle) {
+    volumesNeeded = {
+      ...volumesNeeded,
+      containerPlan: volumesNeeded.containerPlan.map(container => ({
+        ...container,
+        loadBalance: calculateLoadBalance(container, pipeResults, volume, transportationType.vehicle)
+      }))
+    };
+  }
+
+  // Gross mass of every unit (cargo, dunnage, packaging and tare) against its max gross,
+  // and the unloading order of multi-drop loads
+  volumesNeeded = {
+    ...volumesNeeded,
+    containerPlan: volumesNeeded.containerPlan.map(container => ({
+      ...container,
+      grossMass: calculateGrossMass(container, volume, config),
+      dropAccess: checkDropAccess(container)
+    }))
+  };
+
   return {
     pipeResults,
     totalVolume,
     totalWeight,
+    dunnageWeight,
     totalPipes,
     totalLength,
     containerVolumeM3,
@@ -59,14 +127,64 @@ export function calculateResults(_arrangement, pipes, _boxes, volume, config = {
   };
 }
 
+/**
+ * Pieces of every optional filler line loaded into the plan
+ * @param {Array} pipeResults - Per-pipe results
+ * @param {Array} containerPlan - Planned containers
+ * @returns {Array} - [{ pipeId, diameterMm, maxPieces, pieces, meters, weight, volumeM3 }]
+ *   for every filler line, loaded or not
+ */
+function summarizeFillerAdded(pipeResults, containerPlan) {
+  return pipeResults
+    .filter(p => p.filler && p.numberOfPipes > 0)
+    .map(p => {
+      const pieces = containerPlan.reduce((sum, container) =>
+        sum + container.pipes.filter(entry => entry.pipeId === p.id).reduce((count, entry) => count + entry.count, 0), 0);
+      return {
+        pipeId: p.id,
+        diameterMm: p.externalDiameterMm,
+        standardLengthM: p.standardLengthM,
+        maxPieces: p.numberOfPipes,
+        pieces,
+        meters: pieces * p.standardLengthM,
+        weight: pieces * p.standardLengthM * p.weightPerMeter,
+        volumeM3: p.numberOfPipes > 0 ? p.volumeM3 * pieces / p.numberOfPipes : 0
+      };
+    });
+}
+
+/**
+ * Calculate results for every pipe type in a volume
+ * Lines that only fit with the overhang or over-height allowances go out of gauge
+ * (see findGaugeExtent), so the result is ready for planGaugeLoad.
+ * @param {Array} pipes - Pipe specifications (dimensions in mm)
+ * @param {Object} volume - Container dimensions (in cm) with its out-of-gauge allowances
+ * @param {number} minSpace - Minimum space between pipes (in cm)
+ * @param {string} packingMode - 'square', 'staggered' or 'best' (see PACKING_MODES)
+ * @param {Object} dunnage - Bearer settings from getDunnage (see dunnage.js)
+ * @returns {Array} - Pipe calculation results, outOfGauge set to the extent a line needs
+ */
+export function calculatePipeResults(pipes, volume, minSpace = 0, packingMode = 'square', dunnage = getDunnage()) {
+  return pipes.map(pipe => {
+    const result = calculatePipeResult(pipe, volume, minSpace, packingMode, dunnage);
+    if (result.pipesPerContainer > 0 || result.numberOfPipes === 0) return result;
+
+    const resultIn = (gaugeVolume) => calculatePipeResult(pipe, gaugeVolume, minSpace, packingMode, dunnage);
+    const extent = findGaugeExtent(gaugeVolume => resultIn(gaugeVolume).pipesPerContainer > 0, volume);
+    return extent ? { ...resultIn(getGaugeVolume(volume, extent)), outOfGauge: extent } : result;
+  });
+}
+
 /**
  * Calculate results for a single pipe type
  * @param {Object} pipe - Pipe specification (dimensions in mm)
  * @param {Object} volume - Container dimensions (in cm)
  * @param {number} minSpace - Minimum space between pipes (in cm)
+ * @param {string} packingMode - 'square', 'staggered' or 'best' (see PACKING_MODES)
+ * @param {Object} dunnage - Bearer settings from getDunnage (see dunnage.js)
  * @returns {Object} - Pipe calculation results
  */
-function calculatePipeResult(pipe, volume, minSpace = 0) {
+export function calculatePipeResult(pipe, volume, minSpace = 0, packingMode = 'square', dunnage = getDunnage()) {
   // Pipe dimensions are in mm
   const externalDiameterMm = pipe.externalDiameter || 0;
   const wallThicknessMm = pipe.wallThickness || 0;
@@ -80,6 +198,13 @@ function calculatePipeResult(pipe, volume, minSpace = 0) {
   const externalDiameterCm = externalDiameterMm / 10;
   const standardLengthCm = standardLengthMm / 10;
 
+  // Socket (bell) end: wider than the barrel over its length; standard length is overall
+  const socketDiameterMm = pipe.socketDiameter > externalDiameterMm ? pipe.socketDiameter : 0;
+  const socketLengthCm = socketDiameterMm > 0 ? (pipe.socketLength || 0) / 10 : 0;
+  const socketDiameterCm = socketDiameterMm / 10;
+  // Widest part of the pipe, used for clearance in the cross-section
+  const envelopeDiameterCm = Math.max(externalDiameterCm, socketDiameterCm);
+
   // Standard length in meters
   const standardLengthM = standardLengthMm / 1000;
 
@@ -105,23 +230,54 @@ function calculatePipeResult(pipe, volume, minSpace = 0) {
   const containerHeight = volume.height || 0;
   const containerLength = volume.length || 0;
 
+  let packingPattern = 'square';
   let pipesPerRow = 0;
+  let pipesPerOffsetRow = 0;
   let pipesPerColumn = 0;
+  let rowPitch = 0;
   let pipesPerCrossSection = 0;
   let pipesAlongLength = 0;
   let pipesPerContainer = 0;
   let pipeFitsInLength = false;
+  let bundlesPerCrossSection = 0;
+
+  // Tiers or stack height the line may be stacked to (see stacking.js)
+  const stackLimit = getStackLimit(pipe);
 
-  if (externalDiameterCm > 0 && standardLengthCm > 0) {
-    // Account for minimum space between pipes
-    // Each pipe effectively takes up: diameter + minSpace
-    const effectiveDiameter = externalDiameterCm + minSpace;
+  // Strapped bundles are packed as whole units (see bundles.js)
+  const bundle = calculateBundle(pipe, envelopeDiameterCm, standardLengthM * weightPerMeter, numberOfPipes);
 
-    // Calculate how many pipes fit with spacing
-    // First pipe doesn't need leading space, so we add minSpace back once
-    pipesPerRow = Math.floor((containerWidth + minSpace) / effectiveDiameter);
-    pipesPerColumn = Math.floor((containerHeight + minSpace) / effectiveDiameter);
-    pipesPerCrossSection = pipesPerRow * pipesPerColumn;
+  if (bundle && standardLengthCm > 0) {
+    // Bundles stack on their flat sides; the square/staggered pattern applies to loose pipes only
+    const bundleSection = calculateBundleCrossSection(bundle, containerWidth, containerHeight, minSpace, dunnage, stackLimit);
+
+    packingPattern = 'bundle';
+    pipesPerRow = bundleSection.bundlesPerRow;
+    pipesPerOffsetRow = bundleSection.bundlesPerRow;
+    pipesPerColumn = bundleSection.rows;
+    rowPitch = bundleSection.rowPitch;
+    bundlesPerCrossSection = bundleSection.bundlesPerCrossSection;
+    pipesPerCrossSection = bundlesPerCrossSection * bundle.piecesPerBundle;
+    pipeFitsInLength = standardLengthCm <= containerLength;
+    pipesAlongLength = pipeFitsInLength ? Math.floor(containerLength / standardLengthCm) : 0;
+    pipesPerContainer = pipesPerCrossSection * pipesAlongLength;
+  } else if (externalDiameterCm > 0 && standardLengthCm > 0) {
+    const square = calculateCrossSectionPattern('square', externalDiameterCm, containerWidth, containerHeight, minSpace, dunnage, socketDiameterCm, stackLimit);
+    const staggered = calculateCrossSectionPattern('staggered', externalDiameterCm, containerWidth, containerHeight, minSpace, dunnage, socketDiameterCm, stackLimit);
+
+    // Pick the requested pattern; "best" keeps the square grid unless staggering fits more
+    let chosen = square;
+    if (packingMode === 'staggered' ||
+        (packingMode === 'best' && staggered.pipesPerCrossSection > square.pipesPerCrossSection)) {
+      chosen = staggered;
+    }
+
+    packingPattern = chosen.pattern;
+    pipesPerRow = chosen.pipesPerRow;
+    pipesPerOffsetRow = chosen.pipesPerOffsetRow;
+    pipesPerColumn = chosen.rows;
+    rowPitch = chosen.rowPitch;
+    pipesPerCrossSection = chosen.pipesPerCrossSection;
     pipeFitsInLength = standardLengthCm <= containerLength;
 
     // Calculate how many pipes can be stacked along the container length
@@ -134,6 +290,12 @@ function calculatePipeResult(pipe, volume, minSpace = 0) {
 
   return {
     id: pipe.id,
+    // Order / consignee reference ('' if none)
+    order: (pipe.order || '').trim(),
+    // Drop number, 1 = unloaded first (see dropSequence.js)
+    drop: getDropSequence(pipe),
+    // Optional filler line: quantityInMeters is its maximum (see PIPE_PRIORITIES)
+    filler: pipe.priority === 'filler',
     // Store in mm for display
     externalDiameterMm,
     internalDiameterMm,
@@ -142,37 +304,116 @@ function calculatePipeResult(pipe, volume, minSpace = 0) {
     externalDiameter: externalDiameterCm,
     internalDiameter: internalDiameterMm / 10,
     wallThickness: wallThicknessMm / 10,
+    // Socket end (0 for plain-ended pipes); rows alternate socket ends head-to-tail
+    socketDiameterMm,
+    socketDiameter: socketDiameterCm,
+    socketLengthCm,
+    envelopeDiameter: envelopeDiameterCm,
     standardLengthCm,
     standardLengthM,
     quantityInMeters,
     numberOfPipes,
     weightPerMeter,
+    // Entered weight per meter against the theoretical one of the material (null if unknown)
+    material: getMaterial(pipe.material).id,
+    weightCheck: checkWeightPerMeter(pipe),
     totalWeight,
     volumeCm3,
     volumeM3,
     // Packing info
+    packingPattern,
     pipesPerRow,
+    pipesPerOffsetRow,
     pipesPerColumn,
+    rowPitch,
     pipesPerCrossSection,
     pipesAlongLength,
     pipesPerContainer,
-    pipeFitsInLength
+    pipeFitsInLength,
+    // Strapped bundles (null when shipped loose); pipesPerRow/pipesPerColumn then count bundles
+    bundle,
+    bundlesPerCrossSection,
+    // Stack-crush limit; pipesPerColumn already stops at it
+    stackLimit
+  };
+}
+
+/**
+ * Count how many pipes of one diameter fit in the cross-section with a given pattern
+ * Rows run across the container width and are stacked from the floor up.
+ * In the staggered pattern every other row is shifted by half a pitch and sits
+ * in the grooves of the row below, so rows are only pitch × √3/2 apart.
+ * Timber bearers take height and restart the nest with a full row (see dunnage.js).
+ * Socket pipes lie with all sockets of a row at the same end and alternate ends
+ * row by row, so a row rests with its barrels on the sockets of the row below:
+ * rows are then (barrel + socket) / 2 apart instead of a full socket diameter.
+ * Rows stop at the stack-crush limit of the line, if any (see stacking.js).
+ * @param {string} pattern - 'square' or 'staggered'
+ * @param {number} diameter - External (barrel) diameter (cm)
+ * @param {number} width - Container width (cm)
+ * @param {number} height - Container height (cm)
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} dunnage - Bearer settings from getDunnage
+ * @param {number} socketDiameter - Socket diameter (cm), 0 for plain-ended pipes
+ * @param {Object} stackLimit - Stack-crush limit from getStackLimit
+ * @returns {Object} - { pattern, pipesPerRow, pipesPerOffsetRow, rows, rowPitch, pipesPerCrossSection }
+ */
+export function calculateCrossSectionPattern(pattern, diameter, width, height, minSpace = 0, dunnage = getDunnage(), socketDiameter = 0, stackLimit = NO_STACK_LIMIT) {
+  // Each pipe effectively takes up: diameter + minSpace (its socket, if wider)
+  // First pipe doesn't need leading space, so we add minSpace back once
+  const envelope = Math.max(diameter, socketDiameter);
+  const pitch = envelope + minSpace;
+  const pipesPerRow = Math.floor((width + minSpace) / pitch);
+
+  // Distance between the axes of a pipe and the pipe it rests on (barrel on socket)
+  const contact = (diameter + envelope) / 2 + minSpace;
+
+  // Shifted rows start half a pitch in from the wall
+  const pipesPerOffsetRow = Math.max(0, Math.floor((width + minSpace - pitch / 2) / pitch));
+
+  // A staggered nest needs at least one pipe in the shifted rows to rest on
+  if (pattern === 'staggered' && pipesPerOffsetRow > 0) {
+    // Resting in the groove between two pipes half a pitch to each side
+    const rowPitch = Math.sqrt(contact * contact - (pitch / 2) * (pitch / 2));
+    const tiers = stackTiers(height, envelope, rowPitch, minSpace, dunnage, stackLimit);
+    const pipesPerCrossSection = tiers.reduce(
+      (sum, blockRow) => sum + (blockRow % 2 === 0 ? pipesPerRow : pipesPerOffsetRow),
+      0
+    );
+    return { pattern, pipesPerRow, pipesPerOffsetRow, rows: tiers.length, rowPitch, pipesPerCrossSection };
+  }
+
+  const rows = stackTiers(height, envelope, contact, minSpace, dunnage, stackLimit).length;
+  return {
+    pattern: 'square',
+    pipesPerRow,
+    pipesPerOffsetRow: pipesPerRow,
+    rows,
+    rowPitch: contact,
+    pipesPerCrossSection: pipesPerRow * rows
   };
 }
 
 /**
  * Calculate how many volumes/containers are needed based on cross-section packing
- * This accounts for physical pipe arrangement, not just volume ratio
+ * This accounts for physical pipe arrangement, not just volume ratio.
+ * Pipe types are loaded together (mixed load), see planMixedLoad in packing.js;
+ * out-of-gauge lines extend the units they share, see planGaugeLoad in outOfGauge.js
  * @param {Array} pipeResults - Array of pipe calculation results
  * @param {number} totalWeight - Total weight in kg
  * @param {Object} volume - Container dimensions and capacity
- * @returns {Object} - Volumes needed info
+ * @param {number} minSpace - Minimum space between pipes (in cm)
+ * @param {Object} dunnage - Bearer settings from getDunnage
+ * @param {string} consolidation - 'mixed' or 'byOrder' (see CONSOLIDATION_MODES)
+ * @param {Object|null} telescoping - Settings from getTelescoping, null to ship every piece loose
+ * @returns {Object} - Volumes needed info with the per-container plan
  */
-function calculateVolumesNeededByPacking(pipeResults, totalWeight, volume) {
+function calculateVolumesNeededByPacking(pipeResults, totalWeight, volume, minSpace = 0, dunnage = getDunnage(), consolidation = 'mixed', telescoping = null) {
   const containerWidth = volume.width || 0;
   const containerHeight = volume.height || 0;
   const containerLength = volume.length || 0;
-  const weightCapacity = volume.weightCapacity || 0;
+  // Timber bearers use part of every container's weight capacity
+  const weightCapacity = volume.weightCapacity > 0 ? Math.max(0, volume.weightCapacity - dunnage.weight) : 0;
   const containerVolumeM3 = (containerWidth * containerHeight * containerLength) / 1000000;
 
   if (containerVolumeM3 <= 0) {
@@ -183,21 +424,24 @@ function calculateVolumesNeededByPacking(pipeResults, totalWeight, volume) {
       limitingFactor: 'none',
       volumeRatio: 0,
       weightRatio: 0,
-      packingDetails: []
+      packingDetails: [],
+      containerPlan: [],
+      lengthCombinations: []
     };
   }
 
-  // For each pipe type, calculate how many containers needed based on packing
-  let maxContainersByPacking = 0;
+  // For each pipe type, calculate how many containers it would need on its own
+  let fitsCrossSection = true;
   const packingDetails = [];
 
   for (const pipe of pipeResults) {
-    if (pipe.numberOfPipes === 0) continue;
+    // Filler lines only go where they fit
+    if (pipe.numberOfPipes === 0 || pipe.filler) continue;
 
-    const { externalDiameterMm, standardLengthCm, numberOfPipes, pipesPerCrossSection, pipesAlongLength, pipesPerContainer } = pipe;
+    const { externalDiameterMm, numberOfPipes, pipesPerCrossSection, pipesAlongLength, pipesPerContainer } = pipe;
 
-    // Check if pipe length fits in container
-    if (standardLengthCm > containerLength) {
+    // Check if pipe length fits in container (or its overhang, for out-of-gauge lines)
+    if (!pipe.pipeFitsInLength) {
       // Pipe is too long for container - cannot fit
       packingDetails.push({
         diameterMm: externalDiameterMm,
@@ -206,20 +450,20 @@ function calculateVolumesNeededByPacking(pipeResults, totalWeight, volume) {
         pipesPerContainer: 0,
         containersNeeded: Infinity
       });
-      maxContainersByPacking = Infinity;
+      fitsCrossSection = false;
       continue;
     }
 
     if (pipesPerContainer <= 0) {
-      // Pipe diameter is too large for container cross-section
+      // Pipe diameter (or bundle) is too large for container cross-section
       packingDetails.push({
         diameterMm: externalDiameterMm,
-        error: 'Pipe diameter exceeds container dimensions',
+        error: pipe.bundle ? 'Bundle exceeds container dimensions' : 'Pipe diameter exceeds container dimensions',
         pipesNeeded: numberOfPipes,
         pipesPerContainer: 0,
         containersNeeded: Infinity
       });
-      maxContainersByPacking = Infinity;
+      fitsCrossSection = false;
       continue;
     }
 
@@ -228,19 +472,17 @@ function calculateVolumesNeededByPacking(pipeResults, totalWeight, volume) {
 
     packingDetails.push({
       diameterMm: externalDiameterMm,
+      packingPattern: pipe.packingPattern,
       pipesPerRow: pipe.pipesPerRow,
+      pipesPerOffsetRow: pipe.pipesPerOffsetRow,
       pipesPerColumn: pipe.pipesPerColumn,
       pipesAlongLength,
       pipesPerCrossSection,
       pipesPerContainer,
       pipesNeeded: numberOfPipes,
+      bundlesNeeded: pipe.bundle ? pipe.bundle.count : 0,
       containersNeeded
     });
-
-    // Track maximum containers needed across all pipe types
-    // Note: This assumes each pipe type is shipped separately
-    // For mixed loading, more complex bin-packing would be needed
-    maxContainersByPacking = Math.max(maxContainersByPacking, containersNeeded);
   }
 
   // Calculate weight ratio
@@ -248,11 +490,11 @@ function calculateVolumesNeededByPacking(pipeResults, totalWeight, volume) {
   const byWeight = weightCapacity > 0 ? Math.ceil(weightRatio) : 0;
 
   // Calculate total pipe volume for reference
-  const totalPipeVolume = pipeResults.reduce((sum, p) => sum + p.volumeM3, 0);
+  const totalPipeVolume = pipeResults.filter(p => !p.filler).reduce((sum, p) => sum + p.volumeM3, 0);
   const volumeRatio = totalPipeVolume / containerVolumeM3;
 
   // Handle infinite case (pipes don't fit)
-  if (!isFinite(maxContainersByPacking)) {
+  if (!fitsCrossSection) {
     return {
       total: Infinity,
       byPacking: Infinity,
@@ -261,34 +503,139 @@ function calculateVolumesNeededByPacking(pipeResults, totalWeight, volume) {
       volumeRatio,
       weightRatio,
       packingDetails,
+      containerPlan: [],
+      lengthCombinations: [],
       error: 'Some pipes cannot fit in the container'
     };
   }
 
-  // Take the maximum of packing and weight constraints
-  const total = Math.max(maxContainersByPacking, byWeight, 1);
+  // Mixed-load plan: cross-section only, then cross-section and weight together
+  // Out-of-gauge lines extend the units with the allowances (see outOfGauge.js)
+  const byPacking = planGaugeLoad(pipeResults, volume, minSpace, { ignoreWeight: true, dunnage, consolidation, telescoping }).containers.length;
+  const plan = planGaugeLoad(pipeResults, volume, minSpace, { dunnage, consolidation, telescoping });
+
+  if (plan.unplaced.length > 0) {
+    return {
+      total: Infinity,
+      byPacking,
+      byWeight,
+      limitingFactor: 'weight',
+      volumeRatio,
+      weightRatio,
+      packingDetails,
+      containerPlan: plan.containers,
+      lengthCombinations: [],
+      error: 'A single pipe or bundle exceeds the weight capacity'
+    };
+  }
+
+  const total = Math.max(plan.containers.length, 1);
 
   // Determine limiting factor
   let limitingFactor = 'none';
-  if (maxContainersByPacking > byWeight) {
+  if (byPacking > byWeight) {
     limitingFactor = 'packing';
-  } else if (byWeight > maxContainersByPacking) {
+  } else if (byWeight > byPacking) {
     limitingFactor = 'weight';
-  } else if (maxContainersByPacking > 0 && maxContainersByPacking === byWeight) {
+  } else if (byPacking > 0 && byPacking === byWeight) {
     limitingFactor = 'both';
   }
 
   return {
     total,
-    byPacking: maxContainersByPacking,
+    byPacking,
     byWeight,
     limitingFactor,
     volumeRatio,
     weightRatio,
-    packingDetails
+    packingDetails,
+    containerPlan: plan.containers,
+    // Slots that combine different standard lengths end-to-end, over the whole plan
+    lengthCombinations: summarizeLengthCombinations(
+      plan.containers.flatMap(c => c.slots),
+      containerLength
+    )
   };
 }
 
+/**
+ * Re-plan the last unit of a container plan into each other transportation type
+ * The last unit is usually only partly filled, so a smaller or cheaper type
+ * (e.g. three 40ft HC plus one 20ft instead of four 40ft HC) may carry it.
+ * Its pieces are planned on their own in every preset, the same way as the main plan
+ * (out of gauge where the preset allows it, see planGaugeLoad); a preset is an alternative
+ * if it takes all of them, in as many of its units as needed, and they pass its door.
+ * @param {Array} pipes - Pipe specifications (dimensions in mm)
+ * @param {Array} containerPlan - Planned containers of the default type (see planMixedLoad)
+ * @param {Object} volume - Dimensions of the default type (cm, kg)
+ * @param {Object} config - Configuration (minSpace, packing pattern, dunnage, consolidation,
+ *   telescoping)
+ * @returns {Array} - Alternatives { transportationType, label, units, containers, containerPlan,
+ *   crossSectionFill, weightFill, overloaded }, fewest units first; containerPlan is the
+ *   whole plan with the last unit replaced and every replacing unit tagged with its type
+ */
+function planFinalUnitAlternatives(pipes, containerPlan, volume, config = {}) {
+  const last = containerPlan[containerPlan.length - 1];
+  if (!last || last.totalPipes === 0) {
+    return [];
+  }
+
+  const minSpace = config.minSpace || 0;
+  const packingMode = config.packingMode || 'square';
+  const dunnage = getDunnage(config);
+  const telescoping = getTelescoping(config);
+  const piecesById = Object.fromEntries(last.pipes.map(p => [p.pipeId, p.count]));
+  const finalLoad = pipes
+    .filter(pipe => piecesById[pipe.id] > 0)
+    .map(pipe => ({ ...pipe, quantityInMeters: piecesById[pipe.id] * (pipe.standardLength || 0) / 1000 }));
+
+  const alternatives = [];
+  for (const type of Object.values(TRANSPORTATION_TYPES)) {
+    if (type.id === 'custom' || type.id === volume.transportationType) continue;
+
+    // The type as the volume input sets it, with its tare and out-of-gauge allowances
+    const typeVolume = {
+      transportationType: type.id,
+      length: type.length,
+      width: type.width,
+      height: type.height,
+      weightCapacity: type.weightCapacity,
+      tareWeight: type.tareWeight,
+      maxGrossWeight: type.maxGrossWeight,
+      overhang: type.maxOverhang,
+      overHeight: type.maxOverHeight
+    };
+    const pipeResults = calculatePipeResults(finalLoad, typeVolume, minSpace, packingMode, dunnage);
+    // Pieces too long or too wide for the type, even out of gauge, are never queued by the packer
+    const door = getDoorOpening(type.id);
+    if (pipeResults.some(p => p.pipesPerContainer <= 0 || !fitsDoorOpening(p, door))) continue;
+
+    const plan = planGaugeLoad(pipeResults, typeVolume, minSpace, { dunnage, consolidation: config.consolidation, telescoping });
+    if (plan.unplaced.length > 0 || plan.containers.length === 0) continue;
+
+    const containers = plan.containers.map((container, index) => ({
+      ...container,
+      containerNumber: last.containerNumber + index,
+      transportationType: type.id,
+      loadBalance: type.vehicle ? calculateLoadBalance(container, pipeResults, typeVolume, type.vehicle) : undefined
+    }));
+
+    alternatives.push({
+      transportationType: type.id,
+      label: type.label,
+      units: containers.length,
+      containers,
+      containerPlan: [...containerPlan.slice(0, -1), ...containers],
+      crossSectionFill: containers.reduce((sum, c) => sum + c.crossSectionFill, 0) / containers.length,
+      weightFill: containers.reduce((sum, c) => sum + c.weightFill, 0) / containers.length,
+      overloaded: containers.some(c => c.loadBalance?.overloaded)
+    });
+  }
+
+  // Fewest units first, then the best filled
+  return alternatives.sort((a, b) => a.units - b.units || b.crossSectionFill - a.crossSectionFill);
+}
+
 /**
  * Calculate wall thickness from external and internal diameter
  */
@@ -335,8 +682,11 @@ export function formatNumberWithCommas(value) {
 
 /**
  * Get recommendations based on results
+ * @param {Object} results - Results from calculateResults
+ * @param {Object} units - Unit helpers for the messages (see createUnitFormatter), metric by default
+ * @returns {Array} - Recommendations { type, message }
  */
-export function getRecommendations(results) {
+export function getRecommendations(results, units = createUnitFormatter()) {
   const recommendations = [];
 
   if (!results) {
@@ -352,6 +702,16 @@ export function getRecommendations(results) {
     return recommendations;
   }
 
+  // Entered weight per meter far from the theoretical one: usually a typo
+  for (const pipe of results.pipeResults || []) {
+    if (!pipe.weightCheck?.flagged) continue;
+    const direction = pipe.weightCheck.deviation > 0 ? 'above' : 'below';
+    recommendations.push({
+      type: 'warning',
+      message: `Pipe Ø${units.formatCompact(pipe.externalDiameterMm, 'pipeSize', 3)}: ${units.format(pipe.weightPerMeter, 'linearWeight')} is ${formatNumber(Math.abs(pipe.weightCheck.deviation) * 100, 1)}% ${direction} the theoretical ${units.format(pipe.weightCheck.theoretical, 'linearWeight')} (${getMaterial(pipe.material).label})`
+    });
+  }
+
   // Multiple volumes needed
   if (results.volumesNeeded && results.volumesNeeded.total > 1) {
     const { total, limitingFactor } = results.volumesNeeded;
@@ -369,12 +729,127 @@ export function getRecommendations(results) {
     });
   }
 
+  // Leftover capacity in the last (usually partial) container of the plan
+  const containerPlan = results.volumesNeeded?.containerPlan || [];
+  if (containerPlan.length > 1) {
+    const last = containerPlan[containerPlan.length - 1];
+    const headroom = last.remainingWeight !== null
+      ? `, ${units.format(last.remainingWeight, 'weight', 0)} weight headroom`
+      : '';
+    recommendations.push({
+      type: 'info',
+      message: `Container ${last.containerNumber} is partially loaded: ${units.format(last.remainingHeight, 'dimension', 1)} free height${headroom}`
+    });
+  }
+
+  // Gross mass above the maximum gross weight of the unit
+  for (const container of containerPlan) {
+    if (!container.grossMass?.overweight) continue;
+    recommendations.push({
+      type: 'error',
+      message: `Container ${container.containerNumber}: gross mass ${units.format(container.grossMass.grossMass, 'weight', 0)} exceeds the maximum gross weight of ${units.format(container.grossMass.maxGrossWeight, 'weight', 0)}`
+    });
+  }
+
+  // Optional filler loaded into the gaps
+  const fillerAdded = results.volumesNeeded?.fillerAdded || [];
+  if (fillerAdded.length > 0) {
+    const pieces = fillerAdded.reduce((sum, f) => sum + f.pieces, 0);
+    const maxPieces = fillerAdded.reduce((sum, f) => sum + f.maxPieces, 0);
+    recommendations.push({
+      type: 'info',
+      message: pieces > 0
+        ? `Filler added: ${pieces} of up to ${maxPieces} optional pieces (${units.format(fillerAdded.reduce((sum, f) => sum + f.meters, 0), 'length', 1)}, ${units.format(fillerAdded.reduce((sum, f) => sum + f.weight, 0), 'weight', 0)})`
+        : 'No space or weight left for the optional filler lines'
+    });
+  }
+
+  // Pieces travelling inside others
+  const telescoped = results.volumesNeeded?.telescoping;
+  if (telescoped?.nestedPieces > 0) {
+    const pipesById = Object.fromEntries((results.pipeResults || []).map(p => [p.id, p]));
+    const longest = telescoped.chains[0]
+      .map(id => `Ø${units.formatCompact(pipesById[id]?.externalDiameterMm, 'pipeSize', 3)}`)
+      .join(' ⊃ ');
+    recommendations.push({
+      type: 'info',
+      message: `${formatNumberWithCommas(telescoped.nestedPieces)} pieces travel telescoped inside larger ones, ${telescoped.levels} level${telescoped.levels !== 1 ? 's' : ''} deep (e.g. ${longest})`
+    });
+  }
+
+  // Multi-drop loads where a later drop lies on an earlier one
+  for (const container of containerPlan) {
+    const blocked = container.dropAccess?.blocked || [];
+    if (blocked.length === 0) continue;
+    const drops = [...new Set(blocked.map(entry => entry.drop))].sort((a, b) => a - b);
+    recommendations.push({
+      type: 'error',
+      message: `Container ${container.containerNumber}: drop ${drops.join(', ')} is blocked by cargo of a later drop (${blocked.length} slot${blocked.length !== 1 ? 's' : ''})`
+    });
+  }
+
+  // Out-of-gauge units: special equipment handling and surcharges
+  const outOfGauge = containerPlan.filter(container => container.outOfGauge);
+  if (outOfGauge.length > 0) {
+    recommendations.push({
+      type: 'warning',
+      message: `${outOfGauge.length} unit(s) loaded out of gauge (${outOfGauge.map(c => c.containerNumber).join(', ')}): out-of-gauge surcharges apply`
+    });
+  }
+
+  // Axle overloads and lateral imbalance
+  for (const container of containerPlan) {
+    const balance = container.loadBalance;
+    if (!balance) continue;
+
+    balance.axleGroups
+      .filter(group => group.overloaded)
+      .forEach(group => {
+        recommendations.push({
+          type: 'warning',
+          message: `${results.transportationType} ${container.containerNumber}: ${group.label} overloaded (${units.format(group.totalLoad, 'weight', 0)} of ${units.format(group.maxLoad, 'weight', 0)} allowed)`
+        });
+      });
+
+    if (balance.liftOff) {
+      recommendations.push({
+        type: 'warning',
+        message: `${results.transportationType} ${container.containerNumber}: load is too far from the axles, an axle group would lift off`
+      });
+    }
+
+    if (balance.suggestedShift) {
+      const { distance, resolves } = balance.suggestedShift;
+      recommendations.push({
+        type: 'info',
+        message: `${results.transportationType} ${container.containerNumber}: moving the load ${units.formatCompact(distance, 'dimension', 1)} towards the rear ${resolves ? 'removes the overload' : 'reduces the overload'}`
+      });
+    }
+
+    if (balance.lateralImbalance) {
+      recommendations.push({
+        type: 'warning',
+        message: `${results.transportationType} ${container.containerNumber}: centre of gravity is ${units.format(Math.abs(balance.lateralOffset), 'dimension', 1)} off the centre line`
+      });
+    }
+  }
+
+  // Mixed-length slots
+  const lengthCombinations = results.volumesNeeded?.lengthCombinations || [];
+  if (lengthCombinations.length > 0) {
+    const combinedSlots = lengthCombinations.reduce((sum, c) => sum + c.slots, 0);
+    recommendations.push({
+      type: 'info',
+      message: `${combinedSlots} slot(s) combine different standard lengths end-to-end to use the container length`
+    });
+  }
+
   // Volume usage info
   if (results.volumesNeeded && results.containerVolumeM3 > 0) {
     const usagePercent = (results.totalVolume / results.containerVolumeM3) * 100;
     recommendations.push({
       type: 'info',
-      message: `Total pipe volume: ${formatNumber(results.totalVolume)} m³ (${formatNumber(usagePercent)}% of single container)`
+      message: `Total pipe volume: ${units.format(results.totalVolume, 'volume')} (${formatNumber(usagePercent)}% of single container)`
     });
   }
 
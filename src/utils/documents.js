@@ -0,0 +1,39 @@
+/**
+ * Documents
+ * Shared helpers for the CSV and printable HTML exports (VGM declaration, loading
+ * instructions)
+ *
+ * Key concepts:
+ * - CSV uses comma separators and CRLF line breaks; fields are quoted only when needed
+ * - Printable documents are complete HTML pages opened in a new window for printing
+ */
+
+/**
+ * Quote a CSV field if it holds a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+export function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text from rows of fields
+ * @param {Array} rows - Rows of field values, header row first
+ * @returns {string} - CSV text
+ */
+export function rowsToCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
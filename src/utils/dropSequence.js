@@ -0,0 +1,79 @@
+/**
+ * Multi-Drop Unloading
+ * Drop sequence of the pipe lines and last-in-first-out access to every drop
+ *
+ * Key concepts:
+ * - Every pipe line has a drop number: 1 is unloaded first, at the first site
+ * - The packer loads the last drop first, so earlier drops lie in bands on top; lines of
+ *   different drops never share a slot, so no later drop lies between an earlier drop and
+ *   the door along the length (see packing.js)
+ * - A piece is reachable on top when no cargo of a later drop lies above it, or at the
+ *   door end when the later cargo above it stops short of its door end, so it can be
+ *   pulled out lengthwise; otherwise its drop is blocked
+ * - Orders kept together (see CONSOLIDATION_MODES) can still put a later drop on top of
+ *   an earlier one; such plans are flagged
+ *
+ * Units follow calculations.js: slot positions in cm
+ */
+
+/**
+ * Drop number of a pipe line
+ * @param {Object} pipe - Pipe specification with dropSequence
+ * @returns {number} - Whole drop number, 1 for the first (or only) drop
+ */
+export function getDropSequence(pipe) {
+  return pipe?.dropSequence >= 1 ? Math.floor(pipe.dropSequence) : 1;
+}
+
+/**
+ * Unloading order of a planned unit and the drops its cargo blocks
+ * @param {Object} container - Planned container; its slots carry their drop (see planMixedLoad)
+ * @returns {Object} - { drops, blocked }: drops in unloading order, blocked lists
+ *   { slotIndex, pipeId, drop, blockedBy } for every slot of a drop that cannot be reached
+ */
+export function checkDropAccess(container) {
+  const slots = container.slots || [];
+  const drops = [...new Set(slots.map(slot => slot.drop || 1))].sort((a, b) => a - b);
+  const blocked = [];
+  if (drops.length < 2) {
+    return { drops, blocked };
+  }
+
+  slots.forEach((slot, slotIndex) => {
+    const drop = slot.drop || 1;
+    const { start, end } = lengthRange(slot);
+
+    // Later drops lying on this slot, across its width and along its length
+    const above = slots.filter(other =>
+      (other.drop || 1) > drop &&
+      other.y > slot.y &&
+      Math.abs(other.x - slot.x) < (other.width + slot.width) / 2 &&
+      lengthRange(other).start < end &&
+      lengthRange(other).end > start
+    );
+    if (above.length === 0) return;
+
+    // Reachable at the door end if the later cargo above stops short of it
+    const coveredTo = Math.max(...above.map(other => lengthRange(other).end));
+    if (coveredTo < end) return;
+
+    blocked.push({
+      slotIndex,
+      pipeId: slot.pipeId,
+      drop,
+      blockedBy: Math.max(...above.map(other => other.drop || 1))
+    });
+  });
+
+  return { drops, blocked };
+}
+
+/**
+ * Stretch of the unit length a slot's pieces take
+ * @param {Object} slot - Placed slot
+ * @returns {Object} - { start, end } (cm from the front wall; the door is at the far end)
+ */
+function lengthRange(slot) {
+  const start = slot.segments?.[0]?.offset || 0;
+  return { start, end: start + (slot.usedLength || 0) };
+}
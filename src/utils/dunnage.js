@@ -0,0 +1,113 @@
+/**
+ * Dunnage
+ * Timber bearers under the first tier and between tiers
+ *
+ * Key concepts:
+ * - A tier is one row of pipes (or bundles) across the container width
+ * - A bearer layer lies under the first tier of a container and again on top of every
+ *   `tiersBetweenBearers` tiers (0 = only under the first tier)
+ * - Pipes on a bearer lie on flat timber, so a staggered nest starts over with a full row
+ * - A bearer layer also separates two orders sharing a container (see packing.js)
+ * - Bearers take container height; the timber weight per container counts against
+ *   the weight capacity like cargo
+ *
+ * Units follow calculations.js: heights in cm, weights in kg
+ */
+
+import { NO_STACK_LIMIT, isWithinStackLimit } from './stacking.js';
+
+/**
+ * Read the dunnage settings from the configuration
+ * @param {Object} config - Configuration (bearerHeight, tiersBetweenBearers, dunnageWeight)
+ * @returns {Object} - { bearerHeight, tiersBetweenBearers, weight }
+ */
+export function getDunnage(config = {}) {
+  const bearerHeight = config.bearerHeight > 0 ? config.bearerHeight : 0;
+  return {
+    bearerHeight,
+    tiersBetweenBearers: bearerHeight > 0 ? Math.max(0, Math.floor(config.tiersBetweenBearers || 0)) : 0,
+    weight: config.dunnageWeight > 0 ? config.dunnageWeight : 0
+  };
+}
+
+/**
+ * Create an empty tier stack (the container packer keeps these fields on each container)
+ * @returns {Object} - { usedHeight, tiers, tiersSinceBearer, bearers, separateNext }:
+ *   separateNext puts a bearer layer under the next tier
+ */
+export function createTierStack() {
+  return { usedHeight: 0, tiers: 0, tiersSinceBearer: 0, bearers: [], separateNext: false };
+}
+
+/**
+ * Work out where the next tier goes
+ * @param {Object} stack - Tier stack so far
+ * @param {Object|null} previous - Previous tier of the same band, null when starting a band
+ * @param {number} rowPitch - Distance between tiers of the band resting on each other (cm)
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} dunnage - Dunnage settings from getDunnage
+ * @returns {Object} - { bottom, blockRow, bearer }: blockRow counts tiers since the last
+ *   bearer or band start (odd rows are the shifted rows of a staggered nest)
+ */
+export function nextTier(stack, previous, rowPitch, minSpace, dunnage) {
+  const bearer = dunnage.bearerHeight > 0 && (
+    stack.tiers === 0 ||
+    stack.separateNext ||
+    (dunnage.tiersBetweenBearers > 0 && stack.tiersSinceBearer >= dunnage.tiersBetweenBearers)
+  );
+
+  if (bearer) {
+    return { bottom: stack.usedHeight + dunnage.bearerHeight, blockRow: 0, bearer };
+  }
+  if (previous) {
+    return { bottom: previous.bottom + rowPitch, blockRow: previous.blockRow + 1, bearer };
+  }
+  return { bottom: stack.usedHeight > 0 ? stack.usedHeight + minSpace : 0, blockRow: 0, bearer };
+}
+
+/**
+ * Add a placed tier to the stack
+ * @param {Object} stack - Tier stack (mutated)
+ * @param {Object} tier - Tier from nextTier
+ * @param {number} rowHeight - Height of the tier: pipe diameter or bundle height (cm)
+ * @param {Object} dunnage - Dunnage settings
+ */
+export function addTier(stack, tier, rowHeight, dunnage) {
+  if (tier.bearer) {
+    stack.bearers.push({ y: tier.bottom - dunnage.bearerHeight, height: dunnage.bearerHeight });
+    stack.tiersSinceBearer = 0;
+    stack.separateNext = false;
+  }
+  stack.tiers += 1;
+  stack.tiersSinceBearer += 1;
+  stack.usedHeight = tier.bottom + rowHeight;
+}
+
+/**
+ * Stack tiers of one size in an empty container
+ * @param {number} height - Container height (cm)
+ * @param {number} rowHeight - Height of one tier (cm)
+ * @param {number} rowPitch - Distance between tiers resting on each other (cm)
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} dunnage - Dunnage settings
+ * @param {Object} stackLimit - Stack-crush limit of the pipe line (see stacking.js)
+ * @returns {Array} - blockRow of every tier that fits
+ */
+export function stackTiers(height, rowHeight, rowPitch, minSpace, dunnage, stackLimit = NO_STACK_LIMIT) {
+  const stack = createTierStack();
+  const blockRows = [];
+  let previous = null;
+  let stackBottom = 0;
+
+  while (rowHeight > 0 && rowPitch > 0) {
+    const tier = nextTier(stack, previous, rowPitch, minSpace, dunnage);
+    if (tier.bottom + rowHeight > height) break;
+    if (blockRows.length === 0) stackBottom = tier.bottom;
+    if (!isWithinStackLimit(stackLimit, blockRows.length + 1, tier.bottom + rowHeight - stackBottom)) break;
+    addTier(stack, tier, rowHeight, dunnage);
+    blockRows.push(tier.blockRow);
+    previous = tier;
+  }
+
+  return blockRows;
+}
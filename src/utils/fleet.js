@@ -0,0 +1,245 @@
+/**
+ * Fleet-Mix Planning
+ * Picks the mix of transportation types that carries the whole order
+ *
+ * Key concepts:
+ * - A fleet is a count per transportation type, e.g. 2 × 40ft HC + 1 × 20ft + 1 truck
+ * - Units of a fleet are filled one type after the other: the first type takes the
+ *   first N containers of its own mixed-load plan (see planMixedLoad), the pieces left
+ *   over are planned in the next type, and so on
+ * - The search tries every type alone, then each type with one to MAX_BRANCH fewer
+ *   units (or as many as are available) followed by each other type, and a third type
+ *   for what the second one leaves in its last unit or beyond its availability
+ * - Door-loaded types only take the lines that pass their door opening (see transport.js)
+ * - Each type is planned like the main result (see planGaugeLoad): lines that only fit
+ *   with its overhang or over-height allowances go out of gauge
+ * - Optional filler lines are left out: the fleet carries the mandatory order, and the
+ *   result counts the filler lines it did not plan
+ * - A fleet is feasible if every piece is placed within the availability of its types;
+ *   freight is priced with the rates of each type (see calculateFreightQuote)
+ * - Fleets are ranked by freight cost or by unit count, the other one breaking ties
+ *
+ * Units follow calculations.js: dimensions in cm, weights in kg, standard lengths in mm
+ */
+
+import { calculatePipeResult, calculatePipeResults } from './calculations.js';
+import { planGaugeLoad } from './outOfGauge.js';
+import { calculateLoadBalance } from './axleLoads.js';
+import { calculateFreightQuote } from './freight.js';
+import { getDunnage } from './dunnage.js';
+import { getTelescoping } from './nesting.js';
+import { getDoorOpening, fitsDoorOpening } from './transport.js';
+
+// Fewer units of the first type tried before the rest goes in a second type
+const MAX_BRANCH = 3;
+// Most transportation types in one fleet
+const MAX_FLEET_TYPES = 3;
+// Fleets returned
+const MAX_FLEETS = 10;
+
+/**
+ * Plan the order over a mix of transportation types
+ * @param {Array} pipes - Pipe specifications with quantities (dimensions in mm)
+ * @param {Object} config - Configuration (minSpace, packing pattern, dunnage, consolidation,
+ *   telescoping)
+ * @param {Array} fleetTypes - Transportation types { id, label, length, width, height,
+ *   weightCapacity, tareWeight, maxGrossWeight, maxOverhang, maxOverHeight, vehicle, available }
+ *   with available 0 for no limit
+ * @param {Object} options - { objective: 'cost' | 'units', freight (see DEFAULT_FREIGHT) }
+ * @returns {Object} - { fleets, totalPipes, fillerLines } with fleets ranked best first: { counts,
+ *   units, containerPlan, freightQuote, cost, crossSectionFill, weightFill, overloaded };
+ *   fillerLines counts the optional lines not included
+ */
+export function planFleet(pipes, config = {}, fleetTypes = [], options = {}) {
+  const minSpace = config.minSpace || 0;
+  const packingMode = config.packingMode || 'square';
+  const dunnage = getDunnage(config);
+  const telescoping = getTelescoping(config);
+  // Optional filler lines are not part of the order the fleet must carry
+  const lines = pipes.filter(pipe => pipe.priority !== 'filler');
+  const fillerLines = pipes.filter(pipe => pipe.priority === 'filler' && pipe.quantityInMeters > 0).length;
+
+  // Pieces of every line do not depend on the transportation type
+  const baseResults = lines.map(pipe => calculatePipeResult(pipe, {}, minSpace, packingMode, dunnage));
+  const order = Object.fromEntries(baseResults.filter(p => p.numberOfPipes > 0).map(p => [p.id, p.numberOfPipes]));
+  const totalPipes = Object.values(order).reduce((sum, count) => sum + count, 0);
+  const types = fleetTypes.filter(type => type.length > 0 && type.width > 0 && type.height > 0);
+
+  if (totalPipes === 0 || types.length === 0) {
+    return { fleets: [], totalPipes, fillerLines };
+  }
+
+  // Plans are reused between branches of the search
+  const planCache = new Map();
+  const planIn = (type, load) => {
+    const key = `${type.id}|${loadKey(load)}`;
+    if (!planCache.has(key)) {
+      const volume = { transportationType: type.id, ...dimensionsOf(type) };
+      // Lines that do not pass the door stay in the leftover load for the next type
+      const door = getDoorOpening(type.id);
+      const pipeResults = calculatePipeResults(
+        lines
+          .filter(pipe => load[pipe.id] > 0)
+          .map(pipe => ({ ...pipe, quantityInMeters: load[pipe.id] * (pipe.standardLength || 0) / 1000 })),
+        volume,
+        minSpace,
+        packingMode,
+        dunnage
+      ).filter(pipeResult => fitsDoorOpening(pipeResult, door));
+      const { containers } = planGaugeLoad(pipeResults, volume, minSpace, { dunnage, consolidation: config.consolidation, telescoping });
+      planCache.set(key, { containers, pipeResults, volume });
+    }
+    return planCache.get(key);
+  };
+
+  const fleets = new Map();
+  const record = (units) => {
+    const key = units.map(u => `${u.type.id}:${u.count}`).sort().join('|');
+    if (!fleets.has(key)) {
+      fleets.set(key, units);
+    }
+  };
+
+  const search = (load, units, typesLeft) => {
+    for (const type of typesLeft) {
+      const { containers } = planIn(type, load);
+      const planned = containers.length;
+      if (planned === 0) continue;
+
+      const available = type.available > 0 ? type.available : Infinity;
+      const finishes = isEmpty(leftoverLoad(load, containers));
+      if (finishes && planned <= available) {
+        record([...units, { type, load, count: planned }]);
+      }
+
+      if (units.length + 2 > MAX_FLEET_TYPES) continue;
+
+      // Fewer units of this type, the rest in the next types
+      const counts = new Set();
+      const first = Math.min(finishes ? planned - 1 : planned, available);
+      const branch = units.length === 0 ? MAX_BRANCH : 1;
+      for (let count = first; count >= 1 && count > first - branch; count--) {
+        counts.add(count);
+      }
+
+      for (const count of counts) {
+        const rest = leftoverLoad(load, containers.slice(0, count));
+        if (isEmpty(rest)) continue;
+        search(rest, [...units, { type, load, count }], typesLeft.filter(t => t.id !== type.id));
+      }
+    }
+  };
+  search(order, [], types);
+
+  // Build, price and rank the feasible fleets
+  const ranked = Array.from(fleets.values()).map(units => {
+    const containerPlan = [];
+    for (const unit of units) {
+      const { containers, pipeResults, volume } = planIn(unit.type, unit.load);
+      containers.slice(0, unit.count).forEach(container => {
+        containerPlan.push({
+          ...container,
+          containerNumber: containerPlan.length + 1,
+          transportationType: unit.type.id,
+          transportationLabel: unit.type.label,
+          loadBalance: unit.type.vehicle ? calculateLoadBalance(container, pipeResults, volume, unit.type.vehicle) : undefined
+        });
+      });
+    }
+
+    const freightQuote = options.freight
+      ? calculateFreightQuote(
+          {
+            pipeResults: baseResults,
+            totalWeight: baseResults.reduce((sum, p) => sum + p.totalWeight, 0),
+            totalLength: baseResults.reduce((sum, p) => sum + p.quantityInMeters, 0),
+            volumesNeeded: { containerPlan }
+          },
+          options.freight,
+          units[0].type.id
+        )
+      : null;
+    // Cost is only known when every type of the fleet has a rate
+    const priced = freightQuote && units.every(unit => options.freight.rates[unit.type.id]?.amount > 0);
+
+    return {
+      counts: units.map(unit => ({ transportationType: unit.type.id, label: unit.type.label, count: unit.count })),
+      units: containerPlan.length,
+      containerPlan,
+      freightQuote,
+      cost: priced ? freightQuote.total : null,
+      crossSectionFill: containerPlan.reduce((sum, c) => sum + c.crossSectionFill, 0) / containerPlan.length,
+      weightFill: containerPlan.reduce((sum, c) => sum + c.weightFill, 0) / containerPlan.length,
+      overloaded: containerPlan.some(c => c.loadBalance?.overloaded)
+    };
+  });
+
+  const byCost = (a, b) => {
+    if (a.cost === null || b.cost === null) return (a.cost === null) - (b.cost === null);
+    return a.cost - b.cost;
+  };
+  const byUnits = (a, b) => a.units - b.units;
+  const objective = options.objective === 'units' ? [byUnits, byCost] : [byCost, byUnits];
+
+  ranked.sort((a, b) =>
+    (a.overloaded - b.overloaded) ||
+    objective[0](a, b) ||
+    objective[1](a, b) ||
+    b.crossSectionFill - a.crossSectionFill
+  );
+
+  return { fleets: ranked.slice(0, MAX_FLEETS), totalPipes, fillerLines };
+}
+
+/**
+ * Dimensions, capacity and out-of-gauge allowances of a transportation type
+ * @param {Object} type - Transportation type
+ * @returns {Object} - { length, width, height, weightCapacity, tareWeight, maxGrossWeight,
+ *   overhang, overHeight } as the volume input sets them (cm, kg)
+ */
+function dimensionsOf(type) {
+  return {
+    length: type.length,
+    width: type.width,
+    height: type.height,
+    weightCapacity: type.weightCapacity || 0,
+    tareWeight: type.tareWeight || 0,
+    maxGrossWeight: type.maxGrossWeight || 0,
+    overhang: type.maxOverhang || 0,
+    overHeight: type.maxOverHeight || 0
+  };
+}
+
+/**
+ * Pieces of a load that are not in the given containers
+ * @param {Object} load - Pieces per pipe id
+ * @param {Array} containers - Planned containers (see planMixedLoad)
+ * @returns {Object} - Pieces per pipe id still to place
+ */
+function leftoverLoad(load, containers) {
+  const rest = { ...load };
+  for (const container of containers) {
+    for (const entry of container.pipes) {
+      rest[entry.pipeId] = (rest[entry.pipeId] || 0) - entry.count;
+    }
+  }
+  return Object.fromEntries(Object.entries(rest).filter(([, count]) => count > 0));
+}
+
+/**
+ * Check if a load has no pieces left
+ * @param {Object} load - Pieces per pipe id
+ * @returns {boolean} - True if empty
+ */
+function isEmpty(load) {
+  return Object.keys(load).length === 0;
+}
+
+/**
+ * Stable key of a load for the plan cache
+ * @param {Object} load - Pieces per pipe id
+ * @returns {string} - Key
+ */
+function loadKey(load) {
+  return Object.keys(load).sort().map(id => `${id}:${load[id]}`).join(',');
+}
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planFleet } from './fleet.js';
+import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+
+const pipes = [
+  { id: 'long', externalDiameter: 508, wallThickness: 10, standardLength: 13500, quantityInMeters: 108, weightPerMeter: 120 },
+  { id: 'short', externalDiameter: 219, wallThickness: 6, standardLength: 6000, quantityInMeters: 300, weightPerMeter: 31.5 },
+  { id: 'filler', externalDiameter: 114, wallThickness: 4, standardLength: 6000, quantityInMeters: 60, weightPerMeter: 11, priority: 'filler' }
+];
+
+test('fleets carry out-of-gauge lines with the allowances of their types', () => {
+  const types = [TRANSPORTATION_TYPES.flatRack40, TRANSPORTATION_TYPES.containerHC40];
+  const { fleets, fillerLines } = planFleet(pipes, {}, types, { objective: 'units' });
+
+  assert.equal(fillerLines, 1);
+  assert.deepEqual(fleets[0].counts.map(c => [c.transportationType, c.count]), [['flatRack40', 1]]);
+  assert.ok(fleets[0].containerPlan[0].outOfGauge.overhang > 0);
+});
@@ -0,0 +1,222 @@
+/**
+ * Freight Quoting
+ * Prices the container plan with per-transport-type rates and surcharges
+ *
+ * Key concepts:
+ * - Every planned container/truck is charged the flat rate of its transportation type
+ * - Surcharges are charged per unit (every container/truck), once per shipment, or per
+ *   out-of-gauge unit (only units marked outOfGauge, see outOfGauge.js)
+ * - Rates can be entered in any currency; exchange rates are entered locally as the
+ *   value of one unit in the base currency, and the quote is given in quoteCurrency
+ * - For landed cost, each container's freight is split over the pipe lines it carries
+ *   (see FREIGHT_ALLOCATION_RULES), then expressed per tonne and per meter of each line
+ */
+
+import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+import { slotArea } from './packing.js';
+
+/**
+ * Convert an amount between currencies with locally entered exchange rates
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} exchangeRates - Value of 1 unit of each currency in the base currency
+ * @returns {number} - Converted amount (NaN if a rate is missing)
+ */
+export function convertCurrency(amount, from, to, exchangeRates) {
+  if (from === to) return amount;
+  const fromRate = exchangeRates[from];
+  const toRate = exchangeRates[to];
+  if (!fromRate || !toRate) return NaN;
+  return amount * fromRate / toRate;
+}
+
+/**
+ * Calculate the freight quote for a calculation result
+ * @param {Object} results - Results from calculateResults (uses the container plan)
+ * @param {Object} freight - Freight settings (see DEFAULT_FREIGHT)
+ * @param {string} transportationType - Default transportation type id for the plan
+ * @returns {Object|null} - Freight quote, or null if no rate is entered for the plan
+ */
+export function calculateFreightQuote(results, freight, transportationType) {
+  const containerPlan = results?.volumesNeeded?.containerPlan || [];
+  if (!freight || containerPlan.length === 0) {
+    return null;
+  }
+
+  const { quoteCurrency, exchangeRates, rates } = freight;
+  const convert = (amount, currency) => convertCurrency(amount, currency, quoteCurrency, exchangeRates);
+
+  const lines = [];
+  const containerCosts = [];
+  const shipmentSurcharges = new Map();
+  let hasRate = false;
+
+  for (const container of containerPlan) {
+    const typeId = container.transportationType || transportationType;
+    const rate = rates[typeId];
+    if (!rate) {
+      containerCosts.push({ containerNumber: container.containerNumber, transportationType: typeId, amount: 0 });
+      continue;
+    }
+
+    hasRate = hasRate || rate.amount > 0;
+    let amount = convert(rate.amount || 0, rate.currency);
+    addLine(lines, `Freight – ${TRANSPORTATION_TYPES[typeId]?.label || container.transportationLabel || typeId}`, 1, amount);
+
+    for (const surcharge of rate.surcharges || []) {
+      const surchargeAmount = convert(surcharge.amount || 0, surcharge.currency || rate.currency);
+      if (surcharge.basis === 'outOfGauge' && !container.outOfGauge) continue;
+      if (surcharge.basis === 'perShipment') {
+        shipmentSurcharges.set(surcharge.id, { label: surcharge.label, amount: surchargeAmount });
+      } else {
+        addLine(lines, surcharge.label || 'Surcharge', 1, surchargeAmount);
+        amount += surchargeAmount;
+      }
+    }
+
+    containerCosts.push({ containerNumber: container.containerNumber, transportationType: typeId, amount });
+  }
+
+  if (!hasRate) {
+    return null;
+  }
+
+  // One-off surcharges are spread evenly over the containers for per-container figures
+  const shipmentTotal = Array.from(shipmentSurcharges.values()).reduce((sum, s) => sum + s.amount, 0);
+  for (const surcharge of shipmentSurcharges.values()) {
+    addLine(lines, surcharge.label || 'Surcharge', 1, surcharge.amount);
+  }
+  containerCosts.forEach(cost => {
+    cost.amount += shipmentTotal / containerCosts.length;
+  });
+
+  const total = containerCosts.reduce((sum, cost) => sum + cost.amount, 0);
+  const tonnes = (results.totalWeight || 0) / 1000;
+  const meters = results.totalLength || 0;
+
+  const allocationRule = freight.allocationRule || 'weight';
+
+  return {
+    currency: quoteCurrency,
+    units: containerPlan.length,
+    lines,
+    containerCosts,
+    total,
+    costPerTonne: tonnes > 0 ? total / tonnes : 0,
+    costPerMeter: meters > 0 ? total / meters : 0,
+    allocationRule,
+    allocation: allocateFreight(containerPlan, containerCosts, results.pipeResults || [], allocationRule)
+  };
+}
+
+/**
+ * Price the final-unit alternatives of a calculation result (see planFinalUnitAlternatives)
+ * Each alternative is quoted as a whole plan, so it compares directly with the default quote.
+ * @param {Object} results - Results from calculateResults
+ * @param {Object} freight - Freight settings (see DEFAULT_FREIGHT)
+ * @param {string} transportationType - Default transportation type id for the plan
+ * @returns {Array} - The alternatives, each with its freightQuote (null without rates)
+ */
+export function quoteFinalUnitAlternatives(results, freight, transportationType) {
+  return (results?.volumesNeeded?.finalUnitAlternatives || []).map(alternative => ({
+    ...alternative,
+    freightQuote: calculateFreightQuote(
+      { ...results, volumesNeeded: { ...results.volumesNeeded, containerPlan: alternative.containerPlan } },
+      freight,
+      transportationType
+    )
+  }));
+}
+
+/**
+ * Split each container's freight over the pipe lines it carries
+ * @param {Array} containerPlan - Planned containers with slots and per-pipe totals
+ * @param {Array} containerCosts - Freight per container (quote currency)
+ * @param {Array} pipeResults - Per-pipe results (for total weight and meters; optional filler
+ *   lines use what the plan loads of them instead of their maximum)
+ * @param {string} rule - 'weight', 'area' or 'volume' (see FREIGHT_ALLOCATION_RULES)
+ * @returns {Object} - Freight per pipe id: { amount, perTonne, perMeter }
+ */
+function allocateFreight(containerPlan, containerCosts, pipeResults, rule) {
+  const amounts = {};
+
+  containerPlan.forEach((container, index) => {
+    const cost = containerCosts[index]?.amount || 0;
+    const shares = allocationShares(container, rule);
+    const totalShare = Object.values(shares).reduce((sum, share) => sum + share, 0);
+    if (totalShare <= 0) return;
+
+    for (const [pipeId, share] of Object.entries(shares)) {
+      amounts[pipeId] = (amounts[pipeId] || 0) + cost * share / totalShare;
+    }
+  });
+
+  // Pieces and weight of every line as loaded
+  const loaded = {};
+  for (const entry of containerPlan.flatMap(container => container.pipes)) {
+    loaded[entry.pipeId] = loaded[entry.pipeId] || { weight: 0, meters: 0 };
+    loaded[entry.pipeId].weight += entry.weight;
+    loaded[entry.pipeId].meters += entry.count * entry.standardLengthM;
+  }
+
+  const allocation = {};
+  for (const pipe of pipeResults) {
+    const amount = amounts[pipe.id] || 0;
+    const weight = pipe.filler ? loaded[pipe.id]?.weight || 0 : pipe.totalWeight;
+    const meters = pipe.filler ? loaded[pipe.id]?.meters || 0 : pipe.quantityInMeters;
+    const tonnes = weight / 1000;
+    allocation[pipe.id] = {
+      amount,
+      perTonne: tonnes > 0 ? amount / tonnes : 0,
+      perMeter: meters > 0 ? amount / meters : 0
+    };
+  }
+  return allocation;
+}
+
+/**
+ * Allocation basis of each pipe line in one container
+ * A slot shared end-to-end by several lines is split by the length each line uses.
+ * @param {Object} container - Container plan entry (see packing.js)
+ * @param {string} rule - Allocation rule id
+ * @returns {Object} - Share basis per pipe id (any unit, only ratios matter)
+ */
+function allocationShares(container, rule) {
+  const shares = {};
+
+  if (rule === 'weight') {
+    for (const entry of container.pipes) {
+      shares[entry.pipeId] = (shares[entry.pipeId] || 0) + entry.weight;
+    }
+    return shares;
+  }
+
+  for (const slot of container.slots) {
+    for (const segment of slot.segments) {
+      const segmentLength = segment.count * segment.lengthCm;
+      const share = rule === 'volume'
+        ? slot.width * slot.height * segmentLength
+        : slot.usedLength > 0 ? slotArea(slot) * segmentLength / slot.usedLength : 0;
+      shares[segment.pipeId] = (shares[segment.pipeId] || 0) + share;
+    }
+  }
+  return shares;
+}
+
+/**
+ * Add an amount to a quote line, merging lines with the same label and unit price
+ * @param {Array} lines - Quote lines (mutated)
+ * @param {string} label - Line label
+ * @param {number} quantity - Quantity to add
+ * @param {number} unitAmount - Price per unit (quote currency)
+ */
+function addLine(lines, label, quantity, unitAmount) {
+  const existing = lines.find(line => line.label === label && line.unitAmount === unitAmount);
+  if (existing) {
+    existing.quantity += quantity;
+    existing.amount += quantity * unitAmount;
+    return;
+  }
+  lines.push({ label, quantity, unitAmount, amount: quantity * unitAmount });
+}
@@ -0,0 +1,183 @@
+/**
+ * Length-Axis Planning
+ * Combines pieces of different standard lengths end-to-end in one slot
+ *
+ * Key concepts:
+ * - A slot runs along the container LENGTH (see packing.js); it can hold several
+ *   pieces end-to-end as long as their lengths add up to no more than the container length
+ * - Only pipe lines with the same external diameter share a slot, so the slot keeps
+ *   one cross-section footprint
+ * - Example: a 6.1 m and a 5.8 m piece share one 12 m slot (11.9 m used),
+ *   where on their own each would leave about half the slot empty
+ * - Bundled lines are planned in whole bundles: their counts are bundles, not pieces
+ * - Combinations are enumerated up to MAX_PATTERNS; every line always has its single-line
+ *   patterns, and the combinations are enumerated again from the lines left whenever a
+ *   line is used up, so every piece gets a slot
+ *
+ * Units follow calculations.js: lengths in cm
+ */
+
+// Upper bound on enumerated slot patterns per diameter group
+const MAX_PATTERNS = 5000;
+
+/**
+ * Plan how the pieces of one diameter group fill slots along the container length
+ * Greedy: repeatedly use the pattern that fills the most slot length
+ * with the pieces that are still left.
+ * @param {Array} pipeResults - Pipe results sharing one external diameter
+ * @param {number} containerLength - Container length (cm)
+ * @returns {Array} - Slot patterns [{ segments, usedLength, leftoverLength, count }]
+ */
+export function planLengthSlots(pipeResults, containerLength) {
+  const items = pipeResults
+    .filter(p => p.numberOfPipes > 0 && p.standardLengthCm > 0 && p.standardLengthCm <= containerLength)
+    .map(p => ({ pipe: p, length: p.standardLengthCm, remaining: p.bundle ? p.bundle.count : p.numberOfPipes }));
+
+  if (items.length === 0) {
+    return [];
+  }
+
+  let patterns = enumeratePatterns(items, containerLength);
+  let linesLeft = items.filter(item => item.remaining > 0).length;
+  const slotPatterns = [];
+
+  while (linesLeft > 0) {
+    // Best pattern that can still be built from the remaining pieces
+    let best = null;
+    for (const pattern of patterns) {
+      if (!pattern.counts.every((k, i) => k <= items[i].remaining)) continue;
+      if (!best || pattern.usedLength > best.usedLength ||
+          (pattern.usedLength === best.usedLength && pattern.pieces > best.pieces)) {
+        best = pattern;
+      }
+    }
+
+    // Repeat it as often as the remaining pieces allow
+    const times = Math.min(
+      ...best.counts
+        .map((k, i) => (k > 0 ? Math.floor(items[i].remaining / k) : Infinity))
+    );
+    best.counts.forEach((k, i) => {
+      items[i].remaining -= k * times;
+    });
+
+    slotPatterns.push({
+      segments: best.counts
+        .map((k, i) => ({ pipeId: items[i].pipe.id, count: k, lengthCm: items[i].length }))
+        .filter(segment => segment.count > 0),
+      usedLength: best.usedLength,
+      leftoverLength: containerLength - best.usedLength,
+      count: times
+    });
+
+    // Lines used up: combine the lines left, which the enumeration may not have reached
+    const stillLeft = items.filter(item => item.remaining > 0).length;
+    if (stillLeft < linesLeft && stillLeft > 0) {
+      patterns = enumeratePatterns(items, containerLength);
+    }
+    linesLeft = stillLeft;
+  }
+
+  return slotPatterns;
+}
+
+/**
+ * Enumerate every combination of piece counts that fits in one slot
+ * Single-line patterns come first and are always complete, so every line with pieces
+ * left can be planned; combinations follow up to MAX_PATTERNS.
+ * @param {Array} items - [{ length, remaining }]
+ * @param {number} containerLength - Container length (cm)
+ * @returns {Array} - [{ counts, usedLength, pieces }]
+ */
+function enumeratePatterns(items, containerLength) {
+  const patterns = [];
+  const counts = new Array(items.length).fill(0);
+
+  items.forEach(({ length, remaining }, index) => {
+    const maxCount = Math.min(remaining, Math.floor(containerLength / length));
+    for (let k = maxCount; k >= 1; k--) {
+      counts[index] = k;
+      patterns.push({ counts: [...counts], usedLength: k * length, pieces: k });
+    }
+    counts[index] = 0;
+  });
+  const singleLine = patterns.length;
+
+  const visit = (index, freeLength) => {
+    if (patterns.length >= singleLine + MAX_PATTERNS) return;
+
+    if (index === items.length) {
+      const pieces = counts.reduce((sum, k) => sum + k, 0);
+      const lines = counts.filter(k => k > 0).length;
+      if (lines > 1) {
+        patterns.push({
+          counts: [...counts],
+          usedLength: containerLength - freeLength,
+          pieces
+        });
+      }
+      return;
+    }
+
+    const { length, remaining } = items[index];
+    const maxCount = Math.min(remaining, Math.floor(freeLength / length));
+    for (let k = maxCount; k >= 0; k--) {
+      counts[index] = k;
+      visit(index + 1, freeLength - k * length);
+    }
+    counts[index] = 0;
+  };
+
+  visit(0, containerLength);
+  return patterns;
+}
+
+/**
+ * Describe a slot pattern, e.g. "6.1m + 5.8m" or "2×6m"
+ * @param {Object} slotPattern - Slot pattern or slot with segments
+ * @param {Object} units - Unit helpers from createUnitFormatter (optional, meters by default)
+ * @returns {string} - Short label
+ */
+export function describeSlotSegments(slotPattern, units = null) {
+  return slotPattern.segments
+    .map(segment => {
+      const value = units ? units.display(segment.lengthCm / 100, 'length') : segment.lengthCm / 100;
+      const length = `${Number(value.toFixed(2))}${units ? units.label('length') : 'm'}`;
+      return segment.count > 1 ? `${segment.count}×${length}` : length;
+    })
+    .join(' + ');
+}
+
+/**
+ * Summarize slots that combine different pipe lines end-to-end
+ * @param {Array} slots - Placed slots with segments (see packing.js)
+ * @param {number} containerLength - Container length (cm)
+ * @returns {Array} - [{ label, segments, diameterMm, slots, usedLength, leftoverLength }]
+ */
+export function summarizeLengthCombinations(slots, containerLength) {
+  const combinations = new Map();
+
+  for (const slot of slots) {
+    if (!slot.segments || slot.segments.length < 2) continue;
+
+    const label = describeSlotSegments(slot);
+    const diameterMm = Math.round(slot.radius * 20);
+    const key = `${diameterMm}|${label}`;
+    const usedLength = slot.segments.reduce((sum, s) => sum + s.count * s.lengthCm, 0);
+
+    if (!combinations.has(key)) {
+      combinations.set(key, {
+        label,
+        // Lengths and counts only, to relabel the pattern in other units
+        segments: slot.segments.map(({ lengthCm, count }) => ({ lengthCm, count })),
+        diameterMm,
+        slots: 0,
+        usedLength,
+        leftoverLength: containerLength - usedLength
+      });
+    }
+    combinations.get(key).slots += 1;
+  }
+
+  return Array.from(combinations.values());
+}
@@ -0,0 +1,249 @@
+/**
+ * Loading Instructions
+ * Numbered stuffing sequence for every planned unit
+ *
+ * Key concepts:
+ * - The steps follow the order in which the packer places its slots (see placeBand in
+ *   packing.js): tier by tier from the floor up, and across each tier from the left wall;
+ *   this is the same placement the container table and the views show
+ * - A step is one slot (a loose pipe position or one bundle), with the pieces laid in it
+ *   end-to-end from the front wall; bearer layers are steps of their own
+ * - Telescoped pieces are nested before loading and go in with their outermost host; the
+ *   step describes what each host holds and weighs them together
+ * - Every step carries its tier, its position across the unit and the cumulative weight
+ *   loaded after it; the timber weight is shared over the bearer layers (or counted from
+ *   the start when there are none)
+ * - The procedure is exported as CSV or as a printable document, in the unit system shown
+ *
+ * Units follow calculations.js: positions in cm, weights in kg
+ */
+
+import { createUnitFormatter } from './units.js';
+import { rowsToCsv, escapeHtml } from './documents.js';
+
+/**
+ * Loading instructions of a planned unit
+ * @param {Object} container - Planned container (see planMixedLoad); slot segments carry their weight
+ * @returns {Object} - { containerNumber, steps, totalWeight }; steps are { step, kind
+ *   ('bearer', 'pipe' or 'bundle'), tier, column, x, y, pipeId, socketEnd, segments,
+ *   pieces, weight, cumulativeWeight } with x from the left wall and y the bottom (cm)
+ */
+export function buildLoadingInstructions(container) {
+  const slots = container.slots || [];
+  const bearers = [...(container.bearers || [])].sort((a, b) => a.y - b.y);
+  const bearerWeight = bearers.length > 0 ? (container.dunnageWeight || 0) / bearers.length : 0;
+
+  // Tiers numbered from the floor by the bottom of their slots
+  const bottoms = [...new Set(slots.map(slot => round(slot.y - slot.height / 2)))].sort((a, b) => a - b);
+  const columns = new Map();
+
+  const steps = [];
+  let cumulativeWeight = bearers.length > 0 ? 0 : (container.dunnageWeight || 0);
+  let nextBearer = 0;
+
+  const addBearers = (upTo) => {
+    while (nextBearer < bearers.length && round(bearers[nextBearer].y + bearers[nextBearer].height) <= upTo) {
+      const bearer = bearers[nextBearer];
+      cumulativeWeight += bearerWeight;
+      steps.push({
+        step: steps.length + 1,
+        kind: 'bearer',
+        tier: null,
+        column: null,
+        x: 0,
+        y: bearer.y,
+        height: bearer.height,
+        pieces: 0,
+        weight: bearerWeight,
+        cumulativeWeight
+      });
+      nextBearer += 1;
+    }
+  };
+
+  for (const slot of slots) {
+    const bottom = round(slot.y - slot.height / 2);
+    addBearers(bottom);
+
+    const tier = bottoms.indexOf(bottom) + 1;
+    const column = (columns.get(tier) || 0) + 1;
+    columns.set(tier, column);
+
+    const weight = slot.segments.reduce((sum, segment) => sum + segment.weight, 0);
+    cumulativeWeight += weight;
+
+    steps.push({
+      step: steps.length + 1,
+      kind: slot.bundled ? 'bundle' : 'pipe',
+      tier,
+      column,
+      x: slot.x,
+      y: slot.y - slot.height / 2,
+      pipeId: slot.pipeId,
+      socketEnd: slot.socketEnd || null,
+      segments: slot.segments,
+      pieces: slot.pieces,
+      weight,
+      cumulativeWeight
+    });
+  }
+  addBearers(Infinity);
+
+  return { containerNumber: container.containerNumber, steps, totalWeight: cumulativeWeight };
+}
+
+/**
+ * Loading instructions of every unit of a calculation result
+ * @param {Object} results - Results from calculateResults
+ * @returns {Array} - One procedure per planned unit (see buildLoadingInstructions)
+ */
+export function buildLoadingProcedure(results) {
+  const containerPlan = results?.volumesNeeded?.containerPlan || [];
+  return containerPlan.map(container => buildLoadingInstructions(container));
+}
+
+/**
+ * What to load in a step, e.g. "2 × Ø219.1 mm × 6 m (bundle of 7)"
+ * @param {Object} step - Step from buildLoadingInstructions
+ * @param {Array} pipeResults - Per-pipe results
+ * @param {Object} units - Unit helpers from createUnitFormatter
+ * @returns {string} - Short description
+ */
+export function describeLoadingStep(step, pipeResults, units = createUnitFormatter()) {
+  if (step.kind === 'bearer') {
+    return `Bearer layer (${units.formatCompact(step.height, 'dimension', 1)})`;
+  }
+
+  const loads = step.segments.map(segment => {
+    const pipe = pipeResults.find(p => p.id === segment.pipeId);
+    if (!pipe) return `${segment.pieces} pcs`;
+    const spec = describePipe(pipe, units);
+    if (step.kind === 'bundle') {
+      return `${segment.count} bundle${segment.count !== 1 ? 's' : ''} of ${spec} (${segment.pieces} pcs)`;
+    }
+    return `${segment.pieces} × ${spec}${describeNested(segment.nested, pipeResults, units)}`;
+  });
+
+  const socket = step.socketEnd ? `, socket at the ${step.socketEnd === 'front' ? 'front wall' : 'door'}` : '';
+  return `${loads.join(' + ')}${socket}`;
+}
+
+/**
+ * Loading instructions as CSV, one row per step
+ * @param {Array} procedures - Procedures from buildLoadingProcedure
+ * @param {Array} pipeResults - Per-pipe results
+ * @param {Object} units - Unit helpers from createUnitFormatter
+ * @returns {string} - CSV text with a header row
+ */
+export function instructionsToCsv(procedures, pipeResults, units = createUnitFormatter()) {
+  const header = [
+    'Container', 'Step', 'Tier', 'Position', `From Left Wall (${units.label('dimension')})`,
+    `Height (${units.label('dimension')})`, 'Load', 'Pieces',
+    `Weight (${units.label('weight')})`, `Cumulative Weight (${units.label('weight')})`
+  ];
+  const rows = procedures.flatMap(procedure => procedure.steps.map(step => [
+    procedure.containerNumber,
+    step.step,
+    step.tier ?? '',
+    step.column ?? '',
+    step.kind === 'bearer' ? '' : round(units.display(step.x, 'dimension')),
+    round(units.display(step.y, 'dimension')),
+    describeLoadingStep(step, pipeResults, units),
+    step.pieces || '',
+    Math.round(units.display(step.weight, 'weight')),
+    Math.round(units.display(step.cumulativeWeight, 'weight'))
+  ]));
+
+  return rowsToCsv([header, ...rows]);
+}
+
+/**
+ * Loading instructions as a printable HTML document, one section per unit
+ * @param {Array} procedures - Procedures from buildLoadingProcedure
+ * @param {Array} pipeResults - Per-pipe results
+ * @param {Object} units - Unit helpers from createUnitFormatter
+ * @param {string} transportationType - Label of the transportation type
+ * @returns {string} - Complete HTML document
+ */
+export function instructionsToHtml(procedures, pipeResults, units = createUnitFormatter(), transportationType = '') {
+  const sections = procedures.map(procedure => `
+    <section>
+      <h2>Loading Instructions – Container ${procedure.containerNumber}${transportationType ? ` (${escapeHtml(transportationType)})` : ''}</h2>
+      <table>
+        <thead>
+          <tr><th>Step</th><th>Tier</th><th>Position</th><th>Load</th><th class="number">Weight</th><th class="number">Cumulative</th><th>Done</th></tr>
+        </thead>
+        <tbody>
+          ${procedure.steps.map(step => `
+          <tr${step.kind === 'bearer' ? ' class="bearer"' : ''}>
+            <td>${step.step}</td>
+            <td>${step.tier ?? '–'}</td>
+            <td>${step.kind === 'bearer' ? `at ${escapeHtml(units.formatCompact(step.y, 'dimension', 1))}` : `${step.column} (${escapeHtml(units.formatCompact(step.x, 'dimension', 1))} from left)`}</td>
+            <td>${escapeHtml(describeLoadingStep(step, pipeResults, units))}</td>
+            <td class="number">${escapeHtml(units.format(step.weight, 'weight', 0))}</td>
+            <td class="number">${escapeHtml(units.format(step.cumulativeWeight, 'weight', 0))}</td>
+            <td class="check">☐</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Loading Instructions</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #4C5C65; margin: 24px; }
+  section { page-break-after: always; margin-bottom: 32px; }
+  section:last-child { page-break-after: auto; }
+  h2 { font-size: 18px; border-bottom: 2px solid #4C5C65; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #E7EBED; }
+  th { color: #7E7E7E; font-weight: normal; }
+  .number { text-align: right; }
+  .check { text-align: center; }
+  tr.bearer td { color: #B7895A; }
+</style>
+</head>
+<body>${sections}
+</body>
+</html>`;
+}
+
+/**
+ * Size of a pipe line, e.g. "Ø219.1 mm × 6.35 mm × 6 m"
+ * @param {Object} pipe - Per-pipe result
+ * @param {Object} units - Unit helpers from createUnitFormatter
+ * @returns {string} - Outside diameter, wall and standard length
+ */
+function describePipe(pipe, units) {
+  return `Ø${units.formatCompact(pipe.externalDiameterMm, 'pipeSize', 3)} × ${units.formatCompact(pipe.wallThicknessMm, 'pipeSize', 2)} × ${units.formatCompact(pipe.standardLengthM, 'length', 2)}`;
+}
+
+/**
+ * What each telescoped piece holds, all levels down, e.g. ", each holding 1 × Ø406.4 …"
+ * @param {Array} nested - Contents of one host piece [{ pipeId, pieces, nested }]
+ * @param {Array} pipeResults - Per-pipe results
+ * @param {Object} units - Unit helpers from createUnitFormatter
+ * @returns {string} - Description, '' for empty pieces
+ */
+function describeNested(nested, pipeResults, units) {
+  if (!nested || nested.length === 0) return '';
+
+  const contents = nested.map(entry => {
+    const pipe = pipeResults.find(p => p.id === entry.pipeId);
+    const spec = pipe ? describePipe(pipe, units) : 'pcs';
+    return `${entry.pieces} × ${spec}${describeNested(entry.nested, pipeResults, units)}`;
+  });
+  return `, each holding ${contents.join(' + ')}`;
+}
+
+/**
+ * Round to hundredths, for comparing and exporting positions
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
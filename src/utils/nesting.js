@@ -1,260 +1,273 @@
 /**
  * Pipe Telescoping/Nesting Logic
- * Handles both full and partial telescoping of pipes
+ * Plans which pieces travel inside which in the load
+ *
+ * Key concepts:
+ * - The load plan telescopes piece by piece (see planTelescoping): a pipe fits in a host
+ *   if its widest part (socket included) clears the host's bore by the allowance on each
+ *   side and it is no longer than the host; shorter pieces lie end-to-end inside
+ * - A host piece holds one line, and the pieces inside can be hosts themselves, so
+ *   chains such as 508 ⊃ 406 ⊃ 323 ⊃ 219 are nested to any depth
+ * - Every line goes into the tightest host with room left first, mandatory lines before
+ *   optional fillers
+ * - Optional filler pieces only travel inside mandatory hosts and never hold pieces
+ *   themselves, so no mandatory piece depends on an optional one being shipped; the
+ *   packer drops them from the hosts again if their weight would open a unit
+ * - Strapped bundles stay out: their pieces cannot be slid into a host without opening
+ *   the bundle, and a bundled piece cannot be filled inside its straps
+ * - Host and contents share order and drop: what travels inside a host comes out with
+ *   it, at the host's consignee and stop
+ * - The packer loads the outermost pieces with their contents (see packing.js), so the
+ *   containers, their weights and the views all come from the same plan
+ *
+ * Units follow calculations.js: diameters and lengths in cm, weights in kg
  */
 
 /**
- * Determine which pipes can be telescoped (nested inside others)
- * @param {Array} pipes - Array of pipe objects
- * @param {number} allowance - Allowance for spacing between nested pipes
- * @returns {Object} - Telescoping relationships and updated pipes
+ * Read the telescoping settings from the configuration
+ * @param {Object} config - Configuration (telescoping, allowance)
+ * @returns {Object|null} - { allowance } clearance per side (cm), or null to ship every piece loose
  */
-export function findTelescopingPossibilities(pipes, allowance = 0) {
-  // Create a copy of pipes to avoid mutating the original
-  const pipeMap = new Map();
-  pipes.forEach(pipe => {
-    pipeMap.set(pipe.id, { ...pipe, telescopedWith: [], telescopingType: 'none' });
-  });
-
-  // Sort pipes by external diameter (descending)
-  const sortedPipes = [...pipes].sort((a, b) => b.externalDiameter - a.externalDiameter);
-
-  // Find telescoping relationships
-  for (let i = 0; i < sortedPipes.length; i++) {
-    const outerPipe = sortedPipes[i];
-    const outerPipeData = pipeMap.get(outerPipe.id);
-
-    // Calculate available internal space
-    const availableInternalDiameter = outerPipe.internalDiameter - (2 * allowance);
-
-    if (availableInternalDiameter <= 0) continue;
-
-    // Find smaller pipes that can fit inside
-    for (let j = i + 1; j < sortedPipes.length; j++) {
-      const innerPipe = sortedPipes[j];
-      const innerPipeData = pipeMap.get(innerPipe.id);
-
-      // Check if inner pipe can fit
-      if (innerPipe.externalDiameter <= availableInternalDiameter) {
-        // Determine telescoping type based on length
-        let telescopingType;
-        if (innerPipe.length <= outerPipe.length) {
-          telescopingType = 'full';
-        } else {
-          telescopingType = 'partial';
-        }
-
-        // Update outer pipe
-        outerPipeData.telescopedWith.push(innerPipe.id);
-        outerPipeData.telescopingType = telescopingType;
+export function getTelescoping(config = {}) {
+  if (config.telescoping !== 'nested') {
+    return null;
+  }
+  return { allowance: config.allowance > 0 ? config.allowance : 0 };
+}
 
-        // Update inner pipe (it's nested)
-        innerPipeData.telescopingType = 'nested';
-        innerPipeData.telescopedIn = outerPipe.id;
-      }
-    }
+/**
+ * Plan which pieces travel inside which, at every level
+ * @param {Array} pipeResults - Per-pipe results from calculatePipeResult
+ * @param {Object} telescoping - Settings from getTelescoping; { fillers: false } keeps
+ *   optional filler lines out
+ * @returns {Object} - { assignments, loose }: assignments [{ pipeId, hostId, pieces, hosts,
+ *   perHost, filler }] in the order they were made; loose maps every telescoping line to its
+ *   pieces that travel outermost, grouped by what each of them holds: [{ count, nested }] with
+ *   nested [{ pipeId, pieces, nested }] ([] for an empty piece)
+ */
+export function planTelescoping(pipeResults, telescoping) {
+  const lines = pipeResults.filter(p =>
+    p.numberOfPipes > 0 && !p.bundle && (!p.filler || telescoping?.fillers !== false));
+  const assignments = [];
+  const loose = {};
+  if (!telescoping || lines.length < 2) {
+    return { assignments, loose };
   }
 
-  // Calculate effective dimensions for each pipe
-  const updatedPipes = Array.from(pipeMap.values()).map(pipe => {
-    if (pipe.telescopingType === 'none' || pipe.telescopingType === 'nested') {
-      return { ...pipe, effectiveDiameter: pipe.externalDiameter, effectiveLength: pipe.length };
+  // Host pieces still empty, and pieces of every line not yet nested
+  const freeHosts = Object.fromEntries(lines.map(p => [p.id, p.numberOfPipes]));
+  const piecesLeft = { ...freeHosts };
+
+  // Mandatory lines first, then the largest inner lines, each into the tightest hosts first
+  const innerOrder = [...lines].sort((a, b) => !!a.filler - !!b.filler || b.externalDiameter - a.externalDiameter);
+  for (const inner of innerOrder) {
+    const hosts = lines
+      .filter(host => fitsInside(inner, host, telescoping.allowance))
+      .sort((a, b) => a.internalDiameter - b.internalDiameter);
+
+    for (const host of hosts) {
+      if (piecesLeft[inner.id] === 0) break;
+      const perHost = Math.floor(host.standardLengthCm / inner.standardLengthCm);
+      const hostsUsed = Math.min(freeHosts[host.id], Math.ceil(piecesLeft[inner.id] / perHost));
+      if (hostsUsed === 0) continue;
+
+      const pieces = Math.min(piecesLeft[inner.id], hostsUsed * perHost);
+      freeHosts[host.id] -= hostsUsed;
+      piecesLeft[inner.id] -= pieces;
+      assignments.push({ pipeId: inner.id, hostId: host.id, pieces, hosts: hostsUsed, perHost, filler: !!inner.filler });
     }
+  }
 
-    // Calculate effective dimensions for outer pipes
-    const innerPipes = pipe.telescopedWith.map(id => pipeMap.get(id));
-    const maxInnerLength = Math.max(...innerPipes.map(p => p.length));
-    const maxInnerDiameter = Math.max(...innerPipes.map(p => p.externalDiameter));
-
-    let effectiveDiameter, effectiveLength;
-
-    if (pipe.telescopingType === 'full') {
-      // Full telescoping: only outer pipe dimensions matter
-      effectiveDiameter = pipe.externalDiameter;
-      effectiveLength = pipe.length;
-    } else {
-      // Partial telescoping: max of outer and inner dimensions
-      effectiveDiameter = Math.max(pipe.externalDiameter, maxInnerDiameter);
-      effectiveLength = Math.max(pipe.length, maxInnerLength);
+  // Contents from the smallest line up, so pieces are filled before they go into a host
+  for (const line of [...lines].sort((a, b) => a.externalDiameter - b.externalDiameter)) {
+    const pieces = [];
+    let empty = line.numberOfPipes;
+
+    for (const assignment of assignments.filter(a => a.hostId === line.id)) {
+      let piecesToNest = assignment.pieces;
+      for (let i = 0; i < assignment.hosts; i++) {
+        const count = Math.min(assignment.perHost, piecesToNest);
+        piecesToNest -= count;
+        addPieces(pieces, 1, takePieces(loose[assignment.pipeId], count, assignment.pipeId));
+      }
+      empty -= assignment.hosts;
     }
+    addPieces(pieces, empty, []);
 
-    return {
-      ...pipe,
-      effectiveDiameter,
-      effectiveLength
-    };
-  });
+    // Pieces that go into a host are taken from the front (the filled ones) later on
+    loose[line.id] = pieces;
+  }
 
-  return {
-    pipes: updatedPipes,
-    relationships: buildTelescopingTree(updatedPipes)
-  };
+  return { assignments, loose };
 }
 
 /**
- * Build a tree structure representing telescoping relationships
- * @param {Array} pipes - Array of pipe objects with telescoping info
- * @returns {Array} - Array of telescoping trees
+ * Replace the telescoping lines by the pieces that travel outermost
+ * Filled pieces become lines of their own: they keep the host's id as hostId and weigh
+ * as much per meter as the host with everything inside it.
+ * @param {Array} pipeResults - Per-pipe results
+ * @param {Object} plan - Plan from planTelescoping
+ * @returns {Array} - Lines for the packer; a filled line carries telescoped: { host, nested,
+ *   pipesById } with the original results of the host and of every line inside
  */
-function buildTelescopingTree(pipes) {
-  const pipeMap = new Map(pipes.map(p => [p.id, p]));
-  const trees = [];
+export function applyTelescoping(pipeResults, plan) {
+  if (plan.assignments.length === 0) {
+    return pipeResults;
+  }
 
-  // Find root pipes (not nested inside any other pipe)
-  const rootPipes = pipes.filter(p => !p.telescopedIn);
+  const pipesById = Object.fromEntries(pipeResults.map(p => [p.id, p]));
+  return pipeResults.flatMap(pipe => {
+    const pieces = plan.loose[pipe.id];
+    if (!pieces) return [pipe];
 
-  rootPipes.forEach(root => {
-    trees.push(buildSubtree(root, pipeMap));
+    return pieces.map((group, index) => {
+      if (group.nested.length === 0) {
+        return { ...pipe, numberOfPipes: group.count };
+      }
+      const nestedWeight = calculateNestedWeight(group.nested, pipesById);
+      return {
+        ...pipe,
+        id: `${pipe.id}#${index}`,
+        numberOfPipes: group.count,
+        weightPerMeter: pipe.weightPerMeter + nestedWeight / pipe.standardLengthM,
+        telescoped: { host: pipe, nested: group.nested, pipesById }
+      };
+    });
   });
-
-  return trees;
 }
 
 /**
- * Build subtree for a pipe and its nested pipes
- * @param {Object} pipe - Pipe object
- * @param {Map} pipeMap - Map of all pipes
- * @returns {Object} - Tree node
+ * Weight of what one host piece holds, all levels down
+ * @param {Array} nested - Contents [{ pipeId, pieces, nested }]
+ * @param {Object} pipesById - Pipe results by id
+ * @returns {number} - Weight (kg)
  */
-function buildSubtree(pipe, pipeMap) {
-  const node = {
-    ...pipe,
-    children: []
-  };
-
-  if (pipe.telescopedWith && pipe.telescopedWith.length > 0) {
-    pipe.telescopedWith.forEach(childId => {
-      const child = pipeMap.get(childId);
-      if (child) {
-        node.children.push(buildSubtree(child, pipeMap));
-      }
-    });
-  }
-
-  return node;
+export function calculateNestedWeight(nested, pipesById) {
+  return (nested || []).reduce((sum, entry) => {
+    const pipe = pipesById[entry.pipeId];
+    const pieceWeight = pipe.standardLengthM * pipe.weightPerMeter + calculateNestedWeight(entry.nested, pipesById);
+    return sum + entry.pieces * pieceWeight;
+  }, 0);
 }
 
 /**
- * Calculate combined weight of a telescoped pipe group
- * @param {Object} tree - Telescoping tree node
- * @returns {number} - Combined weight
+ * Pieces held by a number of host pieces, all levels down
+ * @param {Array} nested - Contents of one host piece [{ pipeId, pieces, nested }]
+ * @param {number} hosts - Host pieces
+ * @param {string|null} hostId - Id of the host line
+ * @param {number} level - Level of the contents, 1 directly in the host
+ * @returns {Array} - [{ pipeId, hostId, pieces, level }] for every line inside
  */
-export function calculateTelescopedWeight(tree) {
-  let weight = tree.length * tree.weightPerMeter;
-
-  if (tree.children && tree.children.length > 0) {
-    tree.children.forEach(child => {
-      weight += calculateTelescopedWeight(child);
-    });
-  }
-
-  return weight;
+export function flattenNested(nested, hosts = 1, hostId = null, level = 1) {
+  return (nested || []).flatMap(entry => [
+    { pipeId: entry.pipeId, hostId, pieces: entry.pieces * hosts, level },
+    ...flattenNested(entry.nested, entry.pieces * hosts, entry.pipeId, level + 1)
+  ]);
 }
 
 /**
- * Calculate space saved by telescoping
- * @param {Array} pipes - Array of pipe objects
- * @param {Object} relationships - Telescoping relationships
- * @returns {Object} - Space saved information
+ * Telescoping of a container plan
+ * @param {Array} containerPlan - Planned containers; slot segments carry their contents
+ * @returns {Object} - { pairs, chains, nestedPieces, levels }: pairs [{ pipeId, hostId, pieces }]
+ *   over the whole plan, chains the distinct host-to-innermost lines as pipe ids (outermost
+ *   first), nestedPieces the pieces travelling inside others and levels the deepest nesting
  */
-export function calculateSpaceSaved(pipes, relationships) {
-  const pipeMap = new Map(pipes.map(p => [p.id, p]));
-  
-  let originalVolume = 0;
-  let telescopedVolume = 0;
-
-  pipes.forEach(pipe => {
-    originalVolume += Math.PI * Math.pow(pipe.externalDiameter / 2, 2) * pipe.length;
-  });
-
-  relationships.forEach(tree => {
-    const effectiveDiameter = tree.effectiveDiameter || tree.externalDiameter;
-    const effectiveLength = tree.effectiveLength || tree.length;
-    telescopedVolume += Math.PI * Math.pow(effectiveDiameter / 2, 2) * effectiveLength;
-  });
-
-  const spaceSaved = originalVolume - telescopedVolume;
-  const percentageSaved = originalVolume > 0 ? (spaceSaved / originalVolume) * 100 : 0;
+export function summarizeTelescoping(containerPlan) {
+  const pairs = [];
+  const chains = new Map();
+  let levels = 0;
+
+  for (const container of containerPlan) {
+    for (const slot of container.slots) {
+      for (const segment of slot.segments) {
+        if (!segment.nested?.length) continue;
+
+        for (const entry of flattenNested(segment.nested, segment.pieces, segment.pipeId)) {
+          const pair = pairs.find(p => p.pipeId === entry.pipeId && p.hostId === entry.hostId);
+          if (pair) {
+            pair.pieces += entry.pieces;
+          } else {
+            pairs.push({ pipeId: entry.pipeId, hostId: entry.hostId, pieces: entry.pieces });
+          }
+          levels = Math.max(levels, entry.level);
+        }
+        for (const chain of listChains(segment.nested, [segment.pipeId])) {
+          chains.set(chain.join('>'), chain);
+        }
+      }
+    }
+  }
 
   return {
-    originalVolume,
-    telescopedVolume,
-    spaceSaved,
-    percentageSaved
+    pairs,
+    chains: [...chains.values()].sort((a, b) => b.length - a.length),
+    nestedPieces: pairs.reduce((sum, pair) => sum + pair.pieces, 0),
+    levels
   };
 }
 
 /**
- * Get telescoping suggestions for a set of pipes
- * @param {Array} pipes - Array of pipe objects
- * @param {number} allowance - Allowance for spacing
- * @returns {Array} - Array of suggestions
+ * Check if a line can travel inside another
+ * @param {Object} inner - Pipe result to nest
+ * @param {Object} host - Pipe result to hold it
+ * @param {number} allowance - Clearance per side (cm)
+ * @returns {boolean} - True if the inner line fits in the host's bore and length
  */
-export function getTelescopingSuggestions(pipes, allowance = 0) {
-  const { pipes: updatedPipes } = findTelescopingPossibilities(pipes, allowance);
-  const suggestions = [];
-
-  updatedPipes.forEach(pipe => {
-    if (pipe.telescopedWith && pipe.telescopedWith.length > 0) {
-      const innerPipes = pipe.telescopedWith.map(id => 
-        updatedPipes.find(p => p.id === id)
-      ).filter(Boolean);
-
-      suggestions.push({
-        outerPipe: pipe,
-        innerPipes,
-        type: pipe.telescopingType,
-        spaceSaved: calculateSpaceSavedForGroup(pipe, innerPipes)
-      });
-    }
-  });
-
-  return suggestions;
+function fitsInside(inner, host, allowance) {
+  return inner.id !== host.id &&
+    !host.filler &&
+    inner.envelopeDiameter <= host.internalDiameter - 2 * allowance &&
+    inner.standardLengthCm <= host.standardLengthCm &&
+    (inner.order || '') === (host.order || '') &&
+    (inner.drop || 1) === (host.drop || 1);
 }
 
 /**
- * Calculate space saved for a specific telescoping group
- * @param {Object} outerPipe - Outer pipe
- * @param {Array} innerPipes - Array of inner pipes
- * @returns {Object} - Space saved information
+ * Take pieces of a line for one host piece, filled pieces first
+ * @param {Array} pieces - The line's pieces grouped by contents (mutated)
+ * @param {number} count - Pieces to take
+ * @param {string} pipeId - Id of the line
+ * @returns {Array} - Contents of the host piece [{ pipeId, pieces, nested }]
  */
-function calculateSpaceSavedForGroup(outerPipe, innerPipes) {
-  let originalVolume = 0;
-  
-  // Calculate original volume (all pipes separate)
-  originalVolume += Math.PI * Math.pow(outerPipe.externalDiameter / 2, 2) * outerPipe.length;
-  innerPipes.forEach(pipe => {
-    originalVolume += Math.PI * Math.pow(pipe.externalDiameter / 2, 2) * pipe.length;
-  });
-
-  // Calculate telescoped volume
-  const effectiveDiameter = outerPipe.effectiveDiameter || outerPipe.externalDiameter;
-  const effectiveLength = outerPipe.effectiveLength || outerPipe.length;
-  const telescopedVolume = Math.PI * Math.pow(effectiveDiameter / 2, 2) * effectiveLength;
-
-  const spaceSaved = originalVolume - telescopedVolume;
-  const percentageSaved = originalVolume > 0 ? (spaceSaved / originalVolume) * 100 : 0;
+function takePieces(pieces, count, pipeId) {
+  const taken = [];
+  while (count > 0 && pieces.length > 0) {
+    const group = pieces[0];
+    const take = Math.min(count, group.count);
+    taken.push({ pipeId, pieces: take, nested: group.nested });
+    group.count -= take;
+    count -= take;
+    if (group.count === 0) pieces.shift();
+  }
+  return taken;
+}
 
-  return {
-    originalVolume,
-    telescopedVolume,
-    spaceSaved,
-    percentageSaved
-  };
+/**
+ * Add pieces with the same contents to a line's groups
+ * @param {Array} pieces - Groups [{ count, nested }] (mutated)
+ * @param {number} count - Pieces to add
+ * @param {Array} nested - Contents of each of them
+ */
+function addPieces(pieces, count, nested) {
+  if (count <= 0) return;
+  const key = JSON.stringify(nested);
+  const group = pieces.find(g => JSON.stringify(g.nested) === key);
+  if (group) {
+    group.count += count;
+  } else {
+    pieces.push({ count, nested });
+  }
 }
 
 /**
- * Clear all telescoping relationships from pipes
- * @param {Array} pipes - Array of pipe objects
- * @returns {Array} - Pipes without telescoping
+ * Host-to-innermost chains of a piece's contents
+ * @param {Array} nested - Contents [{ pipeId, pieces, nested }]
+ * @param {Array} chain - Pipe ids from the outermost host down to here
+ * @returns {Array} - Chains of pipe ids
  */
-export function clearTelescoping(pipes) {
-  return pipes.map(pipe => ({
-    ...pipe,
-    telescopedWith: [],
-    telescopingType: 'none',
-    telescopedIn: null,
-    effectiveDiameter: pipe.externalDiameter,
-    effectiveLength: pipe.length
-  }));
+function listChains(nested, chain) {
+  if (!nested || nested.length === 0) {
+    return chain.length > 1 ? [chain] : [];
+  }
+  return nested.flatMap(entry => listChains(entry.nested, [...chain, entry.pipeId]));
 }
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateResults } from './calculations.js';
+import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+
+const hc40 = TRANSPORTATION_TYPES.containerHC40;
+const volume = {
+  transportationType: hc40.id,
+  length: hc40.length,
+  width: hc40.width,
+  height: hc40.height,
+  weightCapacity: hc40.weightCapacity
+};
+const config = { telescoping: 'nested' };
+
+const host = { id: 'host', externalDiameter: 508, wallThickness: 10, standardLength: 12000, quantityInMeters: 120 };
+const filler = { id: 'filler', externalDiameter: 219, wallThickness: 6, standardLength: 12000, quantityInMeters: 240, weightPerMeter: 31.5, priority: 'filler' };
+
+test('filler lines travel inside mandatory hosts', () => {
+  const { volumesNeeded } = calculateResults(null, [{ ...host, weightPerMeter: 120 }, filler], [], volume, config);
+
+  assert.equal(volumesNeeded.total, 1);
+  assert.deepEqual(volumesNeeded.telescoping.pairs, [{ pipeId: 'filler', hostId: 'host', pieces: 10 }]);
+  const [added] = volumesNeeded.fillerAdded;
+  assert.equal(added.pieces, 20);
+});
+
+test('filler lines never host mandatory pieces', () => {
+  const pipes = [
+    { ...filler, id: 'large', externalDiameter: 508, wallThickness: 10, weightPerMeter: 120 },
+    { ...host, id: 'small', externalDiameter: 219, wallThickness: 6, weightPerMeter: 31.5 }
+  ];
+  const { volumesNeeded } = calculateResults(null, pipes, [], volume, config);
+
+  assert.equal(volumesNeeded.telescoping.nestedPieces, 0);
+});
+
+test('filler pieces stay out of hosts whose weight would open a unit', () => {
+  // Three hosts fill a unit's weight capacity on their own
+  const { volumesNeeded } = calculateResults(null, [{ ...host, weightPerMeter: 636 }, filler], [], volume, config);
+
+  assert.equal(volumesNeeded.total, 4);
+  assert.equal(volumesNeeded.telescoping.nestedPieces, 0);
+});
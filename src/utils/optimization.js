@@ -10,6 +10,16 @@
  * - Goal: Maximize the number of pipes that fit in the volume
  */
 
+import { calculateResults, calculatePipeResults } from './calculations.js';
+import { planGaugeLoad } from './outOfGauge.js';
+import { getDunnage } from './dunnage.js';
+import { getTelescoping } from './nesting.js';
+
+// Bounds of the maximum-quantity search (see calculateMaxPipeQuantities)
+const MAX_SEARCH_LOAD = 1e6;   // pieces, or meters per ratio unit
+const MAX_SEARCH_STEPS = 40;
+const SEARCH_PRECISION = 0.01; // meters per ratio unit
+
 /**
  * Main optimization function
  * @param {Object} volume - Volume dimensions {length, width, height, weightCapacity}
@@ -543,68 +553,143 @@ export function calculateTotalWeight(pipes, boxes = []) {
 }
 
 /**
- * Calculate how many pipes of each type can fit
- * This is the main calculation for the offer preparation
- * @param {Object} volume - Volume dimensions
- * @param {Array} pipeTypes - Array of pipe type specifications
- * @param {number} minSpace - Minimum space between pipes
- * @param {number} allowance - Nesting allowance
- * @returns {Object} - Quantities and arrangement details
+ * Calculate how many pipes of each type can fit in a given number of containers
+ * This is the main calculation for the offer preparation (reverse of calculateResults)
+ *
+ * Every candidate load is checked with the real container plan of calculateResults
+ * (planGaugeLoad), so cross-section packing, dunnage and the weight capacity all apply;
+ * only the final load goes through calculateResults, with its alternatives and checks.
+ * - ratio: the lines keep their mix ratio in meters and are scaled up together
+ * - priority: lines are filled one after the other, lowest priority number first,
+ *   each up to its optional quantity limit
+ * Optional filler lines are searched like the others, but never beyond their own
+ * maximum quantity.
+ * The planner is a heuristic, so the searched maximum is the largest load it can place,
+ * found by doubling and then bisecting the load.
+ * Pieces, meters and weight per line are those of the final container plan.
+ * @param {Object} volume - Container dimensions and capacity (cm, kg)
+ * @param {Array} pipes - Pipe specifications; their own quantities are ignored, except as the
+ *   maximum of filler lines
+ * @param {Object} config - Configuration (minSpace, packingMode, dunnage)
+ * @param {Object} options - { containerCount, rule, lines } with lines keyed by pipe id:
+ *   { ratio, priority, maxQuantityInMeters } (see DEFAULT_MAX_QUANTITY)
+ * @returns {Object} - Pieces, meters and weight per line, the totals and the final results
  */
-export function calculateMaxPipeQuantities(volume, pipeTypes, minSpace = 0, allowance = 0) {
-  // First, determine nesting possibilities
-  const { nestedGroups, standalonePipes } = createNestedGroups(pipeTypes, allowance);
+export function calculateMaxPipeQuantities(volume, pipes, config = {}, options = {}) {
+  const containerCount = Math.floor(options.containerCount || 0);
+  const rule = options.rule || 'ratio';
+  const settings = options.lines || {};
+
+  const lineSettings = (pipe, index) => ({
+    ratio: 1,
+    priority: index + 1,
+    maxQuantityInMeters: 0,
+    ...settings[pipe.id]
+  });
 
-  const results = {
-    pipeQuantities: {},
-    nestedGroups: [],
-    totalWeight: 0,
-    totalPipes: 0,
-    volumeEfficiency: 0
+  // Quantities are searched in whole pieces of the standard length
+  const pieceLength = (pipe) => (pipe.standardLength || 0) / 1000;
+  const loadable = pipes.filter(pipe => pieceLength(pipe) > 0 && pipe.externalDiameter > 0);
+  // Filler lines go no further than their maximum quantity (see PIPE_PRIORITIES)
+  const fillerLimit = (pipe) => (pipe.priority === 'filler'
+    ? Math.ceil((pipe.quantityInMeters || 0) / pieceLength(pipe) - 1e-9)
+    : Infinity);
+
+  // Every searched piece must be placed, so filler lines are planned as mandatory here
+  const loadOf = (pieces) => loadable.map(pipe => ({
+    ...pipe,
+    priority: 'mandatory',
+    quantityInMeters: (pieces[pipe.id] || 0) * pieceLength(pipe)
+  }));
+  const evaluate = (pieces) => calculateResults(null, loadOf(pieces), [], volume, config);
+
+  // The search only needs the container plan of a load, as calculateResults plans it
+  const minSpace = config.minSpace || 0;
+  const packingMode = config.packingMode || 'square';
+  const dunnage = getDunnage(config);
+  const telescoping = getTelescoping(config);
+  const fits = (pieces) => {
+    if (!Object.values(pieces).some(count => count > 0)) return true;
+    const pipeResults = calculatePipeResults(loadOf(pieces), volume, minSpace, packingMode, dunnage);
+    if (pipeResults.some(p => p.numberOfPipes > 0 && (!p.pipeFitsInLength || p.pipesPerContainer <= 0))) {
+      return false;
+    }
+    const plan = planGaugeLoad(pipeResults, volume, minSpace, { dunnage, consolidation: config.consolidation, telescoping });
+    return plan.unplaced.length === 0 && plan.containers.length <= containerCount;
   };
 
-  // Calculate cross-section arrangement
-  const crossSection = {
-    width: volume.width,
-    height: volume.height
+  // Largest value in [0, limit] for which the load fits, by doubling and bisecting
+  const searchMaximum = (loadFor, limit = Infinity, integer = true) => {
+    let low = 0;
+    let high = integer ? 1 : 0.5;
+    while (high < limit && fits(loadFor(high))) {
+      low = high;
+      high *= 2;
+      if (high > MAX_SEARCH_LOAD) return low;
+    }
+    if (high >= limit) {
+      if (fits(loadFor(limit))) return limit;
+      high = limit;
+    }
+    for (let i = 0; i < MAX_SEARCH_STEPS && high - low > (integer ? 1 : SEARCH_PRECISION); i++) {
+      const mid = integer ? Math.floor((low + high) / 2) : (low + high) / 2;
+      if (fits(loadFor(mid))) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
   };
 
-  // For each unique diameter (considering nesting), calculate how many fit
-  const allItems = [];
-
-  // Process nested groups
-  for (const group of nestedGroups) {
-    allItems.push({
-      type: 'nestedGroup',
-      group: group,
-      diameter: group.effectiveDiameter,
-      length: group.effectiveLength,
-      pipes: [group.outerPipe, ...group.nestedPipes]
-    });
-  }
-
-  // Process standalone pipes
-  for (const pipe of standalonePipes) {
-    allItems.push({
-      type: 'standalone',
-      pipe: pipe,
-      diameter: pipe.externalDiameter,
-      length: pipe.length,
-      pipes: [pipe]
-    });
+  let pieces = {};
+  if (containerCount > 0 && volume.length > 0 && volume.width > 0 && volume.height > 0 && loadable.length > 0) {
+    if (rule === 'priority') {
+      const ordered = loadable
+        .map((pipe, index) => ({ pipe, settings: lineSettings(pipe, index) }))
+        .sort((a, b) => (a.settings.priority || 0) - (b.settings.priority || 0));
+
+      for (const { pipe, settings: line } of ordered) {
+        const limit = Math.min(
+          line.maxQuantityInMeters > 0 ? Math.floor(line.maxQuantityInMeters / pieceLength(pipe) + 1e-9) : Infinity,
+          fillerLimit(pipe)
+        );
+        const count = searchMaximum(n => ({ ...pieces, [pipe.id]: n }), limit);
+        pieces = { ...pieces, [pipe.id]: count };
+      }
+    } else {
+      // Meters of each line per unit of scale
+      const piecesAtScale = (scale) => Object.fromEntries(loadable.map((pipe, index) => {
+        const ratio = Math.max(0, lineSettings(pipe, index).ratio || 0);
+        return [pipe.id, Math.min(Math.floor(scale * ratio / pieceLength(pipe) + 1e-9), fillerLimit(pipe))];
+      }));
+      pieces = piecesAtScale(searchMaximum(piecesAtScale, Infinity, false));
+    }
   }
 
-  // Calculate how many of each item fit
-  const arrangement = arrangePipesInCrossSection(
-    crossSection,
-    nestedGroups,
-    standalonePipes,
-    minSpace,
-    volume.length,
-    volume.weightCapacity
-  );
+  const results = evaluate(pieces);
+  const containerPlan = results.volumesNeeded.containerPlan || [];
+  const lines = results.pipeResults.map(pipeResult => {
+    const placed = containerPlan.reduce((sum, container) =>
+      sum + container.pipes.filter(entry => entry.pipeId === pipeResult.id).reduce((count, entry) => count + entry.count, 0), 0);
+    return {
+      pipeId: pipeResult.id,
+      pieces: placed,
+      quantityInMeters: placed * pipeResult.standardLengthM,
+      weight: placed * pipeResult.standardLengthM * pipeResult.weightPerMeter
+    };
+  });
 
-  return arrangement;
+  return {
+    containerCount,
+    rule,
+    lines,
+    totalPipes: results.totalPipes,
+    totalQuantityInMeters: results.totalLength,
+    totalWeight: results.totalWeight,
+    containersUsed: results.totalPipes > 0 ? results.volumesNeeded.containerPlan.length : 0,
+    results
+  };
 }
 
 /**
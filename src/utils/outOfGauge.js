@@ -0,0 +1,144 @@
+/**
+ * Out-of-Gauge Loading
+ * Overhang and over-height on open tops, flat racks and platforms
+ *
+ * Key concepts:
+ * - A preset allows cargo beyond its length (maxOverhang, at each end) and above its
+ *   stowage height (maxOverHeight); the volume carries the allowances used for a shipment,
+ *   at most the preset's, and the custom volume takes them as entered
+ * - The allowances are only used once a pipe line does not fit in gauge (pieces longer
+ *   than the unit, or taller than its height), and only the overhang or over-height it
+ *   needs; the whole load is then planned in the extended "gauge volume", so in-gauge
+ *   lines share units with out-of-gauge ones
+ * - Out-of-gauge cargo is centred along the unit, so the overhang is the same at both ends
+ * - Only units whose cargo actually leaves the gauge are marked with their overhang and
+ *   over-height, and carry the 'outOfGauge' surcharges of their freight rate (see freight.js)
+ *
+ * Units follow calculations.js: dimensions and slot positions in cm
+ */
+
+import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+import { planMixedLoad } from './packing.js';
+
+/**
+ * Out-of-gauge allowances of a volume
+ * @param {Object} volume - Volume with transportationType, overhang and overHeight (cm)
+ * @returns {Object} - { overhang (each end), overHeight } (cm), zeros if not allowed
+ */
+export function getGaugeAllowance(volume) {
+  const overhang = Math.max(0, volume?.overhang || 0);
+  const overHeight = Math.max(0, volume?.overHeight || 0);
+  const preset = TRANSPORTATION_TYPES[volume?.transportationType];
+
+  if (!preset || preset.id === 'custom') {
+    return { overhang, overHeight };
+  }
+  return {
+    overhang: Math.min(overhang, preset.maxOverhang || 0),
+    overHeight: Math.min(overHeight, preset.maxOverHeight || 0)
+  };
+}
+
+/**
+ * Volume extended by the out-of-gauge allowances
+ * @param {Object} volume - Volume dimensions (cm)
+ * @param {string} extent - 'both', 'length' (overhang only) or 'height' (over-height only)
+ * @returns {Object} - Gauge volume, or the volume itself if no allowance applies
+ */
+export function getGaugeVolume(volume, extent = 'both') {
+  const allowance = getGaugeAllowance(volume);
+  const overhang = extent === 'height' ? 0 : allowance.overhang;
+  const overHeight = extent === 'length' ? 0 : allowance.overHeight;
+  if (overhang <= 0 && overHeight <= 0) {
+    return volume;
+  }
+  return {
+    ...volume,
+    length: (volume.length || 0) + 2 * overhang,
+    height: (volume.height || 0) + overHeight
+  };
+}
+
+/**
+ * Extent of the allowances a pipe line needs to be carried
+ * Overhang alone is tried first, then over-height alone, so a line only leaves the
+ * gauge where it has to.
+ * @param {Function} fits - Called with a gauge volume, true if the line fits in it
+ * @param {Object} volume - Volume dimensions (cm)
+ * @returns {string|null} - 'length', 'height' or 'both', or null if the allowances do not help
+ */
+export function findGaugeExtent(fits, volume) {
+  for (const extent of ['length', 'height', 'both']) {
+    const gaugeVolume = getGaugeVolume(volume, extent);
+    if (gaugeVolume !== volume && fits(gaugeVolume)) {
+      return extent;
+    }
+  }
+  return null;
+}
+
+/**
+ * Plan a load that may have out-of-gauge lines
+ * If any line is flagged outOfGauge with its extent (see findGaugeExtent), the whole load is
+ * planned in the gauge volume, so in-gauge lines fill the same units; each unit is then
+ * marked only if its cargo leaves the gauge (see measureOutOfGauge).
+ * @param {Array} pipeResults - Per-pipe results from calculatePipeResult
+ * @param {Object} volume - Volume dimensions (cm) and weightCapacity (kg)
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} options - Options of planMixedLoad
+ * @returns {Object} - { containers, unplaced } as planMixedLoad
+ */
+export function planGaugeLoad(pipeResults, volume, minSpace = 0, options = {}) {
+  const outOfGauge = pipeResults.filter(p => p.outOfGauge);
+  if (outOfGauge.length === 0) {
+    return planMixedLoad(pipeResults, volume, minSpace, options);
+  }
+
+  // The gauge volume gets the extents the out-of-gauge lines need
+  const extents = new Set(outOfGauge.map(p => p.outOfGauge));
+  const extent = extents.has('both') || extents.size > 1 ? 'both' : outOfGauge[0].outOfGauge;
+
+  const plan = planMixedLoad(pipeResults, getGaugeVolume(volume, extent), minSpace, options);
+  return { ...plan, containers: plan.containers.map(container => centreOutOfGauge(container, volume)) };
+}
+
+/**
+ * Overhang and over-height of a planned unit
+ * @param {Object} container - Planned container (see planMixedLoad)
+ * @param {Object} volume - In-gauge volume dimensions (cm)
+ * @returns {Object|null} - { overhang (each end), overHeight } (cm), or null if in gauge
+ */
+export function measureOutOfGauge(container, volume) {
+  const usedLength = Math.max(0, ...container.slots.map(slot => slot.usedLength));
+  const top = Math.max(0, ...container.slots.map(slot => slot.y + slot.height / 2));
+  const overhang = Math.max(0, (usedLength - (volume.length || 0)) / 2);
+  const overHeight = Math.max(0, top - (volume.height || 0));
+
+  if (overhang <= 0 && overHeight <= 0) {
+    return null;
+  }
+  return { overhang, overHeight };
+}
+
+/**
+ * Mark an out-of-gauge unit and centre its cargo along the unit
+ * Segment offsets then start before the front wall by the overhang.
+ * @param {Object} container - Planned container in the gauge volume
+ * @param {Object} volume - In-gauge volume dimensions (cm)
+ * @returns {Object} - Container with outOfGauge set (null if its cargo stays in gauge)
+ */
+function centreOutOfGauge(container, volume) {
+  const outOfGauge = measureOutOfGauge(container, volume);
+  if (!outOfGauge || outOfGauge.overhang <= 0) {
+    return { ...container, outOfGauge };
+  }
+
+  return {
+    ...container,
+    outOfGauge,
+    slots: container.slots.map(slot => ({
+      ...slot,
+      segments: slot.segments.map(segment => ({ ...segment, offset: segment.offset - outOfGauge.overhang }))
+    }))
+  };
+}
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateResults } from './calculations.js';
+import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+
+const rack = TRANSPORTATION_TYPES.flatRack40;
+const volume = {
+  transportationType: rack.id,
+  length: rack.length,
+  width: rack.width,
+  height: rack.height,
+  weightCapacity: rack.weightCapacity,
+  overhang: rack.maxOverhang,
+  overHeight: rack.maxOverHeight
+};
+
+const longPipe = { id: 'long', externalDiameter: 508, wallThickness: 10, standardLength: 13500, weightPerMeter: 120 };
+const shortPipe = { id: 'short', externalDiameter: 219, wallThickness: 6, standardLength: 6000, weightPerMeter: 31.5 };
+
+test('in-gauge and out-of-gauge lines share one flat rack', () => {
+  const pipes = [
+    { ...longPipe, quantityInMeters: 108 },
+    { ...shortPipe, quantityInMeters: 300 }
+  ];
+  const { volumesNeeded } = calculateResults(null, pipes, [], volume, {});
+
+  assert.equal(volumesNeeded.total, 1);
+  const [container] = volumesNeeded.containerPlan;
+  assert.deepEqual(container.pipes.map(p => p.pipeId).sort(), ['long', 'short']);
+  assert.equal(container.outOfGauge.overhang, (13500 / 10 - rack.length) / 2);
+});
+
+test('only units whose cargo leaves the gauge are marked out of gauge', () => {
+  const pipes = [
+    { ...longPipe, quantityInMeters: 13.5 },
+    { ...shortPipe, quantityInMeters: 2400 }
+  ];
+  const { volumesNeeded } = calculateResults(null, pipes, [], volume, {});
+
+  assert.ok(volumesNeeded.total > 1);
+  for (const container of volumesNeeded.containerPlan) {
+    const carriesLong = container.pipes.some(p => p.pipeId === 'long');
+    assert.equal(!!container.outOfGauge, carriesLong);
+  }
+});
+
+test('final unit alternatives carry out-of-gauge lines with the allowances of their type', () => {
+  const pipes = [
+    { ...longPipe, quantityInMeters: 27 },
+    { ...shortPipe, quantityInMeters: 60 }
+  ];
+  const { volumesNeeded } = calculateResults(null, pipes, [], volume, {});
+  const platform = volumesNeeded.finalUnitAlternatives.find(a => a.transportationType === 'platform40');
+
+  assert.ok(platform);
+  assert.ok(platform.containers.every(c => c.outOfGauge?.overhang > 0));
+  assert.ok(!volumesNeeded.finalUnitAlternatives.some(a => a.transportationType === 'containerHC40'));
+});
@@ -0,0 +1,588 @@
+/**
+ * Mixed-Load Container Packing
+ * Plans how several pipe types share the same containers
+ *
+ * Key concepts:
+ * - A "slot" is one position in the cross-section (WIDTH x HEIGHT plane); it runs along
+ *   the container LENGTH and holds one or more pieces end-to-end; pieces of different
+ *   standard lengths can share a slot (see lengthPlanning.js)
+ * - Pipe types are stacked in horizontal bands from the floor up, largest diameter first
+ * - Each band keeps its type's cross-section pattern (square grid or staggered rows)
+ * - Every container is filled with as many types as fit before the next one is opened
+ * - Weight capacity is checked slot by slot (and piece by piece for the last slot),
+ *   so a heavy load closes a container early
+ * - Strapped bundles (see bundles.js) take one slot per bundle: a slot segment then
+ *   counts bundles end-to-end, and `pieces` counts the pipes in them
+ * - Tiers are placed one at a time so timber bearers (see dunnage.js) can go under the
+ *   first tier and between tiers, across bands of different pipe types
+ * - Socket pipes take their socket diameter across the row and alternate socket ends
+ *   row by row (head-to-tail), see calculateCrossSectionPattern
+ * - A band stops at the stack-crush limit of its type (see stacking.js); limited types
+ *   are loaded after unlimited ones, and above a limited band only lighter types follow
+ *   (per meter of slot), so the space above is filled without crushing it
+ * - Consolidating by order keeps each order's lines in units and slots of their own and
+ *   only starts the next order once the previous one is loaded; an order that would fit
+ *   in a container of its own is not split over the rest of a shared one. Where two orders
+ *   share a container, the boundary is recorded and a bearer layer (if used) separates them
+ * - Multi-drop loads are loaded last drop first, so earlier drops lie on top; each drop
+ *   has units and slots of its own, and orders go in the reverse order of their last drop
+ *   (see dropSequence.js)
+ * - Optional filler lines never open a container: once every mandatory piece is placed,
+ *   they fill the height and weight left in each container, first container first, up
+ *   to their maximum quantity; fillers do not go on top of an earlier drop
+ * - Telescoped pieces (see nesting.js) are loaded as their outermost host: a slot segment
+ *   then lists what each host piece holds, and the container totals count every piece
+ *   at every level; filler pieces inside mandatory hosts are taken out again if their
+ *   weight would open a unit or leave a piece unplaced
+ *
+ * Units follow calculations.js: container and slot positions in cm, weights in kg
+ */
+
+import { planLengthSlots, summarizeLengthCombinations } from './lengthPlanning.js';
+import { getDunnage, createTierStack, nextTier, addTier } from './dunnage.js';
+import { hasStackLimit, isWithinStackLimit } from './stacking.js';
+import { planTelescoping, applyTelescoping, flattenNested } from './nesting.js';
+
+/**
+ * Plan a mixed load over as many containers as needed
+ * @param {Array} pipeResults - Per-pipe results from calculatePipeResult
+ * @param {Object} volume - Container dimensions (cm) and weightCapacity (kg)
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} options - { ignoreWeight } to plan by cross-section only, { dunnage } bearer settings,
+ *   { consolidation } 'mixed' or 'byOrder' (see CONSOLIDATION_MODES), { telescoping } settings
+ *   from getTelescoping to nest smaller lines in larger ones
+ * @returns {Object} - { containers, unplaced } where unplaced lists mandatory pieces that fit
+ *   nowhere; filler pieces left over are not shipped
+ */
+export function planMixedLoad(pipeResults, volume, minSpace = 0, options = {}) {
+  if (!options.telescoping) {
+    return planLines(pipeResults, volume, minSpace, options);
+  }
+
+  // Telescoped pieces travel inside their outermost host
+  const nesting = planTelescoping(pipeResults, options.telescoping);
+  const plan = planLines(applyTelescoping(pipeResults, nesting), volume, minSpace, options);
+  if (!nesting.assignments.some(a => a.filler)) {
+    return plan;
+  }
+
+  // Optional fillers must not cost the mandatory load a unit
+  const withoutFillers = planLines(
+    applyTelescoping(pipeResults, planTelescoping(pipeResults, { ...options.telescoping, fillers: false })),
+    volume,
+    minSpace,
+    options
+  );
+  const worse = plan.unplaced.length > withoutFillers.unplaced.length ||
+    plan.containers.length > withoutFillers.containers.length;
+  return worse ? withoutFillers : plan;
+}
+
+/**
+ * Plan lines, telescoped ones already replaced by their outermost pieces
+ * @param {Array} lines - Lines for the packer (see applyTelescoping)
+ * @param {Object} volume - Container dimensions (cm) and weightCapacity (kg)
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} options - Options of planMixedLoad
+ * @returns {Object} - { containers, unplaced } as planMixedLoad
+ */
+function planLines(lines, volume, minSpace, options) {
+  const containerHeight = volume.height || 0;
+  const weightCapacity = options.ignoreWeight ? 0 : (volume.weightCapacity || 0);
+  const dunnage = options.dunnage || getDunnage();
+  const byOrder = options.consolidation === 'byOrder';
+
+  const allUnits = buildPackingUnits(lines, volume, minSpace, byOrder);
+  const units = allUnits.filter(unit => !unit.filler);
+  const fillers = allUnits.filter(unit => unit.filler);
+  const containers = [];
+
+  while (units.some(u => u.queue.length > 0)) {
+    const container = createContainer(containers.length + 1, dunnage);
+
+    for (const unit of units) {
+      if (unit.queue.length === 0) continue;
+      if (byOrder) {
+        // The next order only starts once every line of the current one is loaded
+        if (unit.order !== units.find(u => u.queue.length > 0).order) break;
+        const orderUnits = units.filter(u => u.order === unit.order && u.queue.length > 0);
+        if (waitsForNextContainer(container, orderUnits, containerHeight, weightCapacity, minSpace, dunnage)) break;
+        placeOrderBand(container, unit, containerHeight, weightCapacity, minSpace, dunnage);
+      } else {
+        placeBand(container, unit, containerHeight, weightCapacity, minSpace, dunnage);
+      }
+    }
+
+    // Nothing fits in an empty container (e.g. one piece exceeds the weight capacity)
+    if (container.slots.length === 0) break;
+
+    containers.push(container);
+  }
+
+  // Gap filling: optional lines in the space and weight left by the mandatory load
+  for (const container of containers) {
+    const earliestDrop = Math.min(...container.slots.map(slot => slot.drop || 1));
+    for (const unit of fillers) {
+      if (unit.queue.length === 0 || unit.drop > earliestDrop) continue;
+      placeBand(container, unit, containerHeight, weightCapacity, minSpace, dunnage);
+    }
+  }
+
+  const unplaced = [];
+  for (const unit of units) {
+    for (const slot of [...unit.queue, { segments: unit.unqueued }]) {
+      for (const segment of slot.segments) {
+        for (const { pipe, pieces } of segmentPieces(segment, unit)) {
+          const existing = unplaced.find(u => u.pipeId === pipe.id);
+          if (existing) {
+            existing.count += pieces;
+          } else {
+            unplaced.push({ pipeId: pipe.id, diameterMm: pipe.externalDiameterMm, count: pieces });
+          }
+        }
+      }
+    }
+  }
+
+  return { containers: containers.map(container => finalizeContainer(container, volume, weightCapacity)), unplaced };
+}
+
+/**
+ * Group pipe types by external diameter into packing units
+ * Pipe lines with the same diameter share slots, so pieces of different standard
+ * lengths can be combined end-to-end (see planLengthSlots); bundled lines only share
+ * slots with bundles of the same footprint, and only lines with the same stack limit
+ * and drop share a band
+ * @param {Array} pipeResults - Per-pipe results
+ * @param {Object} volume - Container dimensions (cm)
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {boolean} byOrder - Keep orders apart: units of one order only, latest drop first,
+ *   then in order of entry
+ * @returns {Array} - Packing units, last drop first, unlimited before stack-limited,
+ *   tallest footprint first
+ */
+function buildPackingUnits(pipeResults, volume, minSpace, byOrder = false) {
+  const groups = new Map();
+  const lastDrop = (order) => Math.max(...pipeResults.filter(p => (p.order || '') === order).map(p => p.drop || 1));
+  const orders = [...new Set(pipeResults.map(p => p.order || ''))]
+    .map((order, index) => ({ order, index, lastDrop: lastDrop(order) }))
+    .sort((a, b) => (b.lastDrop - a.lastDrop) || (a.index - b.index))
+    .map(entry => entry.order);
+  pipeResults
+    .filter(p => p.numberOfPipes > 0 && p.pipesPerContainer > 0)
+    .forEach(p => {
+      const footprintKey = p.bundle
+        ? `bundle|${p.externalDiameter}|${p.bundle.width}|${p.bundle.height}`
+        : `${p.externalDiameter}|${p.socketDiameter}|${p.socketLengthCm}`;
+      const limitKey = p.stackLimit ? `|${p.stackLimit.maxTiers}|${p.stackLimit.maxHeight}` : '';
+      const key = `${p.filler ? 'filler|' : ''}${byOrder ? `${p.order || ''}|` : ''}${p.drop || 1}|${footprintKey}${limitKey}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(p);
+    });
+
+  const units = [];
+  for (const pipes of groups.values()) {
+    // Pipes of one group share the same cross-section pattern
+    const lead = pipes[0];
+    const diameter = lead.externalDiameter;
+    const width = lead.bundle ? lead.bundle.width : lead.envelopeDiameter;
+    const height = lead.bundle ? lead.bundle.height : lead.envelopeDiameter;
+    const pipesById = Object.fromEntries(pipes.map(p => [p.id, p]));
+
+    // Expand slot patterns into a queue of individual slots
+    // Bundled lines fill their bundles in order, so only the last bundle can be short
+    const piecesLeft = Object.fromEntries(pipes.map(p => [p.id, p.numberOfPipes]));
+    const queue = [];
+    for (const pattern of planLengthSlots(pipes, volume.length || 0)) {
+      for (let i = 0; i < pattern.count; i++) {
+        queue.push({
+          segments: pattern.segments.map(segment => {
+            const pipe = pipesById[segment.pipeId];
+            const pieces = pipe.bundle
+              ? Math.min(segment.count * pipe.bundle.piecesPerBundle, piecesLeft[pipe.id])
+              : segment.count;
+            piecesLeft[pipe.id] -= pieces;
+            return { ...segment, pieces };
+          })
+        });
+      }
+    }
+
+    units.push({
+      diameter,
+      width,
+      height,
+      bundled: !!lead.bundle,
+      socketDiameter: lead.bundle ? 0 : lead.socketDiameter,
+      pipesById,
+      pitch: width + minSpace,
+      rowPitch: lead.rowPitch || height + minSpace,
+      staggered: lead.packingPattern === 'staggered',
+      packingPattern: lead.packingPattern,
+      slotsPerRow: lead.pipesPerRow,
+      slotsPerOffsetRow: lead.packingPattern === 'staggered' ? lead.pipesPerOffsetRow : lead.pipesPerRow,
+      stackLimit: lead.stackLimit || null,
+      // Heaviest slot of the unit per meter of length (kg/m)
+      loadPerMeter: Math.max(...pipes.map(p => p.weightPerMeter * (p.bundle ? p.bundle.piecesPerBundle : 1))),
+      // Order of the unit's lines when consolidating by order, null when orders mix
+      order: byOrder ? lead.order || '' : null,
+      drop: lead.drop || 1,
+      // Optional line: only fills space left by the mandatory load
+      filler: !!lead.filler,
+      queue,
+      // Pieces the length planning left without a slot, reported as unplaced
+      unqueued: pipes.filter(p => piecesLeft[p.id] > 0).map(p => ({ pipeId: p.id, pieces: piecesLeft[p.id] }))
+    });
+  }
+
+  const orderIndex = (unit) => (byOrder ? orders.indexOf(unit.order) : 0);
+  return units.sort((a, b) =>
+    (orderIndex(a) - orderIndex(b)) ||
+    (b.drop - a.drop) ||
+    (hasStackLimit(a.stackLimit) - hasStackLimit(b.stackLimit)) ||
+    b.height - a.height
+  );
+}
+
+/**
+ * Weight of the pieces in a list of slot segments
+ * @param {Array} segments - [{ pipeId, pieces }]
+ * @param {Object} pipesById - Pipe results by id
+ * @returns {number} - Weight (kg)
+ */
+function segmentsWeight(segments, pipesById) {
+  return segments.reduce((sum, segment) => {
+    const pipe = pipesById[segment.pipeId];
+    return sum + segment.pieces * pipe.standardLengthM * pipe.weightPerMeter;
+  }, 0);
+}
+
+/**
+ * Take the part of a queued slot that fits in the remaining weight headroom
+ * Whatever does not fit goes back to the end of the queue as a partial slot.
+ * @param {Object} unit - Packing unit (mutated)
+ * @param {number} headroom - Remaining weight capacity (kg), Infinity for unlimited
+ * @returns {Array|null} - Segments to place, or null if not even one piece fits
+ */
+function takeSlot(unit, headroom) {
+  const slot = unit.queue[0];
+  if (segmentsWeight(slot.segments, unit.pipesById) <= headroom) {
+    unit.queue.shift();
+    return slot.segments;
+  }
+
+  const taken = [];
+  const left = [];
+  let weight = 0;
+  for (const segment of slot.segments) {
+    const pipe = unit.pipesById[segment.pipeId];
+    const pieceWeight = pipe.standardLengthM * pipe.weightPerMeter;
+    // Bundles are split whole; a full bundle's weight is checked even for the short last one
+    const itemWeight = pipe.bundle ? pipe.bundle.weight : pieceWeight;
+    const count = itemWeight > 0
+      ? Math.min(segment.count, Math.floor((headroom - weight) / itemWeight))
+      : segment.count;
+    const pieces = pipe.bundle ? Math.min(count * pipe.bundle.piecesPerBundle, segment.pieces) : count;
+    if (count > 0) {
+      taken.push({ ...segment, count, pieces });
+      weight += pieces * pieceWeight;
+    }
+    if (segment.count - count > 0) {
+      left.push({ ...segment, count: segment.count - count, pieces: segment.pieces - pieces });
+    }
+  }
+
+  if (taken.length === 0) return null;
+
+  unit.queue.shift();
+  unit.queue.push({ segments: left });
+  return taken;
+}
+
+/**
+ * Create an empty container record
+ * The timber weight is loaded with every container, so it counts from the start.
+ * @param {number} containerNumber - 1-based container number
+ * @param {Object} dunnage - Bearer settings
+ * @returns {Object} - Container being filled
+ */
+function createContainer(containerNumber, dunnage) {
+  return {
+    containerNumber,
+    pipes: [],
+    slots: [],
+    ...createTierStack(),
+    totalPipes: 0,
+    totalBundles: 0,
+    // Heaviest load per meter of slot allowed above a stack-limited band (kg/m), null for any
+    crushLoad: null,
+    // Where an order starts on top of another one: { order, y } (cm from the floor)
+    orderBoundaries: [],
+    dunnageWeight: dunnage.weight,
+    totalWeight: dunnage.weight
+  };
+}
+
+/**
+ * Place one band of a packing unit on top of what is already in the container
+ * The band stops at the unit's stack limit; a unit heavier than the crush load of the
+ * bands below is not placed at all.
+ * @param {Object} container - Container being filled
+ * @param {Object} unit - Packing unit (mutated: placed slots leave its queue)
+ * @param {number} containerHeight - Inside height (cm)
+ * @param {number} weightCapacity - Weight capacity (kg), 0 for unlimited
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} dunnage - Bearer settings
+ */
+function placeBand(container, unit, containerHeight, weightCapacity, minSpace, dunnage) {
+  const { width, height, pitch, rowPitch, staggered } = unit;
+  const radius = unit.diameter / 2;
+  let previous = null;
+  let weightFull = false;
+  let bandRows = 0;
+  let bandBottom = 0;
+
+  if (container.crushLoad !== null && unit.loadPerMeter >= container.crushLoad) return;
+
+  while (unit.queue.length > 0 && !weightFull) {
+    // Keeps the minimum space to the band below, or puts a bearer layer underneath
+    const tier = nextTier(container, previous, rowPitch, minSpace, dunnage);
+    if (tier.bottom + height > containerHeight) break;
+    if (bandRows === 0) bandBottom = tier.bottom;
+    if (unit.stackLimit && !isWithinStackLimit(unit.stackLimit, bandRows + 1, tier.bottom + height - bandBottom)) break;
+
+    // Staggered bands alternate full rows and shifted rows, starting with a full row
+    const offsetRow = tier.blockRow % 2 === 1;
+    const slotsInRow = offsetRow ? unit.slotsPerOffsetRow : unit.slotsPerRow;
+    const shift = staggered && offsetRow ? pitch / 2 : 0;
+    // Socket ends alternate row by row, head-to-tail
+    const socketEnd = unit.socketDiameter > 0 ? (bandRows % 2 === 0 ? 'front' : 'back') : null;
+    let placed = 0;
+
+    for (let col = 0; col < slotsInRow && unit.queue.length > 0; col++) {
+      const headroom = weightCapacity > 0 ? weightCapacity - container.totalWeight : Infinity;
+      const segments = takeSlot(unit, headroom);
+      if (!segments) {
+        // Weight capacity reached: the rest of the band stays empty
+        weightFull = true;
+        break;
+      }
+
+      // Pieces are laid end-to-end from the front wall; offset is where each segment starts
+      // Telescoped pieces are shown as their host, with what each of them holds
+      let offset = 0;
+      const placedSegments = segments.map(segment => {
+        const line = unit.pipesById[segment.pipeId];
+        const placed = {
+          ...segment,
+          pipeId: line.telescoped ? line.telescoped.host.id : segment.pipeId,
+          nested: line.telescoped ? line.telescoped.nested : [],
+          weight: segmentsWeight([segment], unit.pipesById),
+          offset
+        };
+        offset += segment.count * segment.lengthCm;
+        return placed;
+      });
+
+      container.slots.push({
+        pipeId: placedSegments[0].pipeId,
+        x: width / 2 + shift + col * pitch,
+        y: tier.bottom + height / 2,
+        radius,
+        width,
+        height,
+        bundled: unit.bundled,
+        socketEnd,
+        order: unit.order,
+        drop: unit.drop,
+        filler: unit.filler,
+        pieces: segments.reduce((sum, segment) => sum + segment.pieces, 0),
+        usedLength: offset,
+        segments: placedSegments
+      });
+      addSegmentsToContainer(container, segments, unit);
+      placed += 1;
+    }
+
+    if (placed === 0) break;
+    addTier(container, tier, height, dunnage);
+    previous = tier;
+    bandRows += 1;
+  }
+
+  // Whatever goes on top must be lighter than this band
+  if (bandRows > 0 && hasStackLimit(unit.stackLimit)) {
+    container.crushLoad = Math.min(container.crushLoad ?? Infinity, unit.loadPerMeter);
+  }
+}
+
+/**
+ * Check if an order should start in the next container rather than on top of another order
+ * It waits if it does not fit whole in what is left of the container but does fit in an
+ * empty one; an order larger than one container starts at once.
+ * @param {Object} container - Container being filled
+ * @param {Array} orderUnits - Packing units of the order with pieces left
+ * @param {number} containerHeight - Inside height (cm)
+ * @param {number} weightCapacity - Weight capacity (kg), 0 for unlimited
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} dunnage - Bearer settings
+ * @returns {boolean} - True to close the container first
+ */
+function waitsForNextContainer(container, orderUnits, containerHeight, weightCapacity, minSpace, dunnage) {
+  const below = container.slots[container.slots.length - 1];
+  if (!below || below.order === orderUnits[0].order) return false;
+
+  // Trial loads on copies; the queues only lose slots from the front or gain partial slots
+  const fitsWhole = (trialContainer) => {
+    const trialUnits = orderUnits.map(unit => ({ ...unit, queue: [...unit.queue] }));
+    for (const unit of trialUnits) {
+      placeOrderBand(trialContainer, unit, containerHeight, weightCapacity, minSpace, dunnage);
+    }
+    return trialUnits.every(unit => unit.queue.length === 0);
+  };
+
+  return !fitsWhole(structuredClone(container)) && fitsWhole(createContainer(0, dunnage));
+}
+
+/**
+ * Place a band of an order's packing unit, separated from another order below it
+ * @param {Object} container - Container being filled
+ * @param {Object} unit - Packing unit of one order (mutated: placed slots leave its queue)
+ * @param {number} containerHeight - Inside height (cm)
+ * @param {number} weightCapacity - Weight capacity (kg), 0 for unlimited
+ * @param {number} minSpace - Minimum space between pipes (cm)
+ * @param {Object} dunnage - Bearer settings
+ */
+function placeOrderBand(container, unit, containerHeight, weightCapacity, minSpace, dunnage) {
+  const below = container.slots[container.slots.length - 1];
+  const newOrder = below && below.order !== unit.order;
+  const top = container.usedHeight;
+  const slotsBefore = container.slots.length;
+
+  container.separateNext = newOrder;
+  placeBand(container, unit, containerHeight, weightCapacity, minSpace, dunnage);
+
+  if (newOrder && container.slots.length > slotsBefore) {
+    container.orderBoundaries.push({ order: unit.order, y: top });
+  }
+  container.separateNext = false;
+}
+
+/**
+ * Add placed pieces to the container's per-pipe totals
+ * Pieces telescoped into others count for their own line, as nested pieces.
+ * @param {Object} container - Container being filled
+ * @param {Array} segments - Segments just placed
+ * @param {Object} unit - Packing unit the segments came from
+ */
+function addSegmentsToContainer(container, segments, unit) {
+  for (const segment of segments) {
+    const bundles = unit.bundled ? segment.count : 0;
+
+    for (const { pipe, pieces, nested } of segmentPieces(segment, unit)) {
+      const weight = pieces * pipe.standardLengthM * pipe.weightPerMeter;
+
+      let entry = container.pipes.find(p => p.pipeId === pipe.id);
+      if (!entry) {
+        entry = {
+          pipeId: pipe.id,
+          diameterMm: pipe.externalDiameterMm,
+          standardLengthM: pipe.standardLengthM,
+          packingPattern: null,
+          order: pipe.order || '',
+          filler: !!pipe.filler,
+          count: 0,
+          nested: 0,
+          bundles: 0,
+          weight: 0
+        };
+        container.pipes.push(entry);
+      }
+
+      // Loose pieces keep their band's pattern; pieces inside others have none
+      if (!nested) entry.packingPattern = unit.packingPattern;
+      entry.count += pieces;
+      entry.nested += nested ? pieces : 0;
+      entry.bundles += nested ? 0 : bundles;
+      entry.weight += weight;
+      container.totalPipes += pieces;
+      container.totalWeight += weight;
+    }
+    container.totalBundles += bundles;
+  }
+}
+
+/**
+ * Pieces of every line in a queued slot segment, telescoped ones included
+ * @param {Object} segment - Slot segment { pipeId, pieces }
+ * @param {Object} unit - Packing unit the segment belongs to
+ * @returns {Array} - [{ pipe, pieces, nested }] with the original pipe results; nested is
+ *   true for pieces travelling inside others
+ */
+function segmentPieces(segment, unit) {
+  const line = unit.pipesById[segment.pipeId];
+  if (!line.telescoped) {
+    return [{ pipe: line, pieces: segment.pieces, nested: false }];
+  }
+
+  const { host, nested, pipesById } = line.telescoped;
+  return [
+    { pipe: host, pieces: segment.pieces, nested: false },
+    ...flattenNested(nested, segment.pieces).map(entry => ({ pipe: pipesById[entry.pipeId], pieces: entry.pieces, nested: true }))
+  ];
+}
+
+/**
+ * Add leftover capacity figures to a filled container
+ * @param {Object} container - Filled container
+ * @param {Object} volume - Container dimensions and capacity
+ * @param {number} weightCapacity - Weight capacity used while planning (kg)
+ * @returns {Object} - Container plan entry
+ */
+function finalizeContainer(container, volume, weightCapacity) {
+  const crossSectionArea = (volume.width || 0) * (volume.height || 0);
+  const occupiedArea = container.slots.reduce((sum, slot) => sum + slotArea(slot), 0);
+
+  return {
+    ...container,
+    remainingHeight: Math.max(0, (volume.height || 0) - container.usedHeight),
+    remainingWeight: weightCapacity > 0 ? Math.max(0, weightCapacity - container.totalWeight) : null,
+    crossSectionFill: crossSectionArea > 0 ? occupiedArea / crossSectionArea : 0,
+    weightFill: weightCapacity > 0 ? container.totalWeight / weightCapacity : 0,
+    lengthCombinations: summarizeLengthCombinations(container.slots, volume.length || 0),
+    orders: summarizeOrders(container.pipes),
+    fillerPipes: container.pipes.filter(p => p.filler).reduce((sum, p) => sum + p.count, 0),
+    fillerWeight: container.pipes.filter(p => p.filler).reduce((sum, p) => sum + p.weight, 0)
+  };
+}
+
+/**
+ * Pieces and weight of every order in a container, in loading order
+ * @param {Array} pipes - Per-pipe totals of the container
+ * @returns {Array} - [{ order, pieces, weight }] ('' for lines without an order)
+ */
+function summarizeOrders(pipes) {
+  const orders = [];
+  for (const pipe of pipes) {
+    let entry = orders.find(o => o.order === pipe.order);
+    if (!entry) {
+      entry = { order: pipe.order, pieces: 0, weight: 0 };
+      orders.push(entry);
+    }
+    entry.pieces += pipe.count;
+    entry.weight += pipe.weight;
+  }
+  return orders;
+}
+
+/**
+ * Cross-section area taken by a slot
+ * @param {Object} slot - Placed slot
+ * @returns {number} - The strapped footprint of a bundle or the circle of a loose pipe
+ *   (its socket, if wider) (cm²)
+ */
+export function slotArea(slot) {
+  return slot.bundled ? slot.width * slot.height : Math.PI * (slot.width / 2) * (slot.width / 2);
+}
@@ -0,0 +1,109 @@
+/**
+ * Pipe Catalog Lookup
+ * Fills pipe dimensions and weight from the built-in standards catalog and materials
+ *
+ * Key concepts:
+ * - A catalog pick is a standard, a nominal size and a schedule or wall thickness
+ *   (see PIPE_STANDARDS)
+ * - Weight per meter is the theoretical mass of the plain pipe:
+ *   π × (OD − t) × t × ρ with the material density ρ (see PIPE_MATERIALS)
+ * - The pick only fills the pipe fields once; they stay editable afterwards
+ * - An entered weight per meter that deviates from the theoretical one by more than
+ *   WEIGHT_DEVIATION_TOLERANCE is flagged, as it usually is a typo
+ *
+ * Units follow the pipe inputs: diameters and walls in mm, weight in kg/m
+ */
+
+import { PIPE_STANDARDS } from '../constants/pipeStandards.js';
+import { PIPE_MATERIALS } from '../constants/defaults.js';
+
+// Relative deviation from the theoretical weight per meter that is flagged (2%)
+export const WEIGHT_DEVIATION_TOLERANCE = 0.02;
+
+/**
+ * Sizes of a catalog standard
+ * @param {string} standardId - Standard id (see PIPE_STANDARDS)
+ * @returns {Array} - Sizes { id, label, od, walls }
+ */
+export function getCatalogSizes(standardId) {
+  return PIPE_STANDARDS[standardId]?.sizes || [];
+}
+
+/**
+ * Schedules or wall thicknesses of a catalog size
+ * @param {string} standardId - Standard id
+ * @param {string} sizeId - Nominal size id
+ * @returns {Array} - Walls { id, label, thickness }
+ */
+export function getCatalogWalls(standardId, sizeId) {
+  return getCatalogSizes(standardId).find(size => size.id === sizeId)?.walls || [];
+}
+
+/**
+ * Look up a pipe material, carbon steel when none is set
+ * @param {string} materialId - Material id (see PIPE_MATERIALS)
+ * @returns {Object} - Material { id, label, density }
+ */
+export function getMaterial(materialId) {
+  return PIPE_MATERIALS[materialId] || PIPE_MATERIALS.carbonSteel;
+}
+
+/**
+ * Theoretical weight per meter of a plain pipe
+ * @param {number} externalDiameter - Outside diameter (mm)
+ * @param {number} wallThickness - Wall thickness (mm)
+ * @param {number} density - Material density (kg/m³), carbon steel by default
+ * @returns {number} - Weight (kg/m), 0 if the dimensions are incomplete
+ */
+export function theoreticalWeightPerMeter(externalDiameter, wallThickness, density = PIPE_MATERIALS.carbonSteel.density) {
+  if (!(externalDiameter > 0) || !(wallThickness > 0) || 2 * wallThickness > externalDiameter) return 0;
+  return Math.PI * (externalDiameter - wallThickness) * wallThickness * density / 1e6;
+}
+
+/**
+ * Compare an entered weight per meter with the theoretical one of the pipe
+ * @param {Object} pipe - Pipe specification (externalDiameter, wallThickness in mm, material, weightPerMeter)
+ * @returns {Object|null} - { theoretical, deviation, flagged } with deviation as a fraction
+ *   of the theoretical weight, or null if the dimensions are incomplete
+ */
+export function checkWeightPerMeter(pipe) {
+  const theoretical = theoreticalWeightPerMeter(pipe.externalDiameter, pipe.wallThickness, getMaterial(pipe.material).density);
+  if (theoretical <= 0) return null;
+
+  const deviation = pipe.weightPerMeter > 0 ? pipe.weightPerMeter / theoretical - 1 : 0;
+  return {
+    theoretical,
+    deviation,
+    flagged: Math.abs(deviation) > WEIGHT_DEVIATION_TOLERANCE
+  };
+}
+
+/**
+ * Pipe fields for a catalog pick
+ * @param {string} standardId - Standard id
+ * @param {string} sizeId - Nominal size id
+ * @param {string} wallId - Schedule or wall thickness id
+ * @param {string} materialId - Material id for the weight, carbon steel by default
+ * @returns {Object|null} - { externalDiameter, wallThickness, weightPerMeter } (mm, mm, kg/m),
+ *   or null if the pick is not in the catalog
+ */
+export function lookupCatalogPipe(standardId, sizeId, wallId, materialId) {
+  const size = getCatalogSizes(standardId).find(s => s.id === sizeId);
+  const wall = size?.walls.find(w => w.id === wallId);
+  if (!size || !wall) return null;
+
+  return {
+    externalDiameter: size.od,
+    wallThickness: wall.thickness,
+    weightPerMeter: roundWeight(theoreticalWeightPerMeter(size.od, wall.thickness, getMaterial(materialId).density))
+  };
+}
+
+/**
+ * Round a weight per meter to the 0.01 kg/m used in the pipe inputs
+ * @param {number} weight - Weight (kg/m)
+ * @returns {number} - Rounded weight (kg/m)
+ */
+export function roundWeight(weight) {
+  return Math.round(weight * 100) / 100;
+}
@@ -0,0 +1,75 @@
+/**
+ * Stack-Crush Limits
+ * How high thin-wall and plastic pipes may be stacked before they deform
+ *
+ * Key concepts:
+ * - A pipe line is limited by a number of tiers or by a stack height, entered per line
+ *   or derived from its material and SDR (OD / wall, see PIPE_MATERIALS.stackHeights)
+ * - The stack height runs from the bottom of the line's lowest tier to the top of its
+ *   highest, bearers in between included; one tier is always allowed
+ * - The packer stops a band at its limit; limited lines are loaded after unlimited
+ *   ones, and only lighter items (per meter of slot) go above a limited band
+ *
+ * Units follow calculations.js: pipe sizes in mm, stack heights in cm
+ */
+
+import { getMaterial } from './pipeCatalog.js';
+
+// No limit: stacked up to the roof
+export const NO_STACK_LIMIT = { maxTiers: Infinity, maxHeight: Infinity, source: null };
+
+/**
+ * Stack limit of a pipe line
+ * @param {Object} pipe - Pipe specification (stackLimit, maxTiers, maxStackHeight in mm,
+ *   material, externalDiameter and wallThickness in mm)
+ * @returns {Object} - { maxTiers, maxHeight (cm), source: 'tiers', 'height', 'material' or null }
+ */
+export function getStackLimit(pipe) {
+  const mode = pipe.stackLimit || 'none';
+
+  if (mode === 'tiers' && pipe.maxTiers >= 1) {
+    return { ...NO_STACK_LIMIT, maxTiers: Math.floor(pipe.maxTiers), source: 'tiers' };
+  }
+  if (mode === 'height' && pipe.maxStackHeight > 0) {
+    return { ...NO_STACK_LIMIT, maxHeight: pipe.maxStackHeight / 10, source: 'height' };
+  }
+  if (mode === 'auto') {
+    const height = materialStackHeight(pipe);
+    return height > 0 ? { ...NO_STACK_LIMIT, maxHeight: height / 10, source: 'material' } : NO_STACK_LIMIT;
+  }
+  return NO_STACK_LIMIT;
+}
+
+/**
+ * Maximum stack height of a pipe line from its material and SDR
+ * @param {Object} pipe - Pipe specification (material, externalDiameter, wallThickness in mm)
+ * @returns {number} - Stack height (mm), 0 for no limit or incomplete dimensions
+ */
+export function materialStackHeight(pipe) {
+  if (!(pipe.externalDiameter > 0) || !(pipe.wallThickness > 0)) return 0;
+
+  const sdr = pipe.externalDiameter / pipe.wallThickness;
+  const row = (getMaterial(pipe.material).stackHeights || []).find(limit => sdr <= limit.maxSdr);
+  return row ? row.height : 0;
+}
+
+/**
+ * Check a stack against a limit
+ * @param {Object} limit - Stack limit from getStackLimit
+ * @param {number} tiers - Tiers in the stack
+ * @param {number} stackHeight - Height of the stack (cm)
+ * @returns {boolean} - True if the stack is allowed
+ */
+export function isWithinStackLimit(limit, tiers, stackHeight) {
+  if (tiers <= 1) return true;
+  return tiers <= limit.maxTiers && stackHeight <= limit.maxHeight;
+}
+
+/**
+ * Check if a stack limit restricts anything
+ * @param {Object} limit - Stack limit from getStackLimit
+ * @returns {boolean} - True for a tier or height limit
+ */
+export function hasStackLimit(limit) {
+  return Number.isFinite(limit?.maxTiers) || Number.isFinite(limit?.maxHeight);
+}
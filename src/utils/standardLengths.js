@@ -0,0 +1,122 @@
+/**
+ * Standard-Length Sweep
+ * Compares candidate standard (cut) lengths of one pipe line against the container
+ *
+ * Key concepts:
+ * - Pieces lie end-to-end along the container LENGTH, so a small change in the standard
+ *   length can change the pieces per slot, e.g. a 6000 mm pipe fits twice in a 1200 cm
+ *   container but a 6100 mm one only once
+ * - Every candidate length is run through calculatePipeResult with the ordered quantity,
+ *   so cross-section packing, bundles, sockets and dunnage apply as in the main calculation
+ * - The line is counted on its own: containers = pieces / pieces per container, where the
+ *   weight capacity (less the timber per container) can lower the pieces per container
+ * - The recommended length needs the fewest containers; ties go to the smallest leftover
+ *   length per slot, then to the longer length (fewer pieces to handle)
+ *
+ * Units follow calculations.js: standard lengths in mm, container and leftover lengths in cm
+ */
+
+import { calculatePipeResult } from './calculations.js';
+import { getDunnage } from './dunnage.js';
+
+// Upper bound on candidate lengths per sweep
+export const MAX_SWEEP_LENGTHS = 500;
+
+/**
+ * Candidate standard lengths of a sweep
+ * @param {Object} sweep - { minLength, maxLength, step } (mm)
+ * @returns {Array} - Standard lengths (mm), from the shortest up, at most MAX_SWEEP_LENGTHS
+ */
+export function getSweepLengths({ minLength, maxLength, step }) {
+  if (!(minLength > 0) || !(maxLength >= minLength) || !(step > 0)) return [];
+
+  const lengths = [];
+  for (let i = 0; i < MAX_SWEEP_LENGTHS; i++) {
+    const length = minLength + i * step;
+    if (length > maxLength + 1e-6) break;
+    // Keep the 0.1 mm precision of the inputs despite floating-point steps
+    lengths.push(Math.round(length * 10) / 10);
+  }
+  return lengths;
+}
+
+/**
+ * Pieces, containers and leftover length of one pipe line at one standard length
+ * @param {Object} pipe - Pipe specification (see calculatePipeResult)
+ * @param {number} standardLength - Candidate standard length (mm)
+ * @param {Object} volume - Container dimensions and capacity (cm, kg)
+ * @param {Object} config - Configuration (minSpace, packingMode, dunnage)
+ * @returns {Object} - Sweep entry; containers is Infinity if the pipe does not fit
+ */
+export function evaluateStandardLength(pipe, standardLength, volume, config = {}) {
+  const dunnage = getDunnage(config);
+  const result = calculatePipeResult(
+    { ...pipe, standardLength },
+    volume,
+    config.minSpace || 0,
+    config.packingMode || 'square',
+    dunnage
+  );
+
+  // Weight capacity left for cargo in each container, in whole pieces
+  const pieceWeight = result.standardLengthM * result.weightPerMeter;
+  const cargoCapacity = volume.weightCapacity > 0 ? Math.max(0, volume.weightCapacity - dunnage.weight) : 0;
+  const piecesByWeight = cargoCapacity > 0 && pieceWeight > 0 ? Math.floor(cargoCapacity / pieceWeight) : Infinity;
+  const piecesPerContainer = Math.min(result.pipesPerContainer, piecesByWeight);
+
+  let containers = 0;
+  if (result.numberOfPipes > 0) {
+    containers = piecesPerContainer > 0 ? Math.ceil(result.numberOfPipes / piecesPerContainer) : Infinity;
+  }
+
+  return {
+    standardLength,
+    pipesAlongLength: result.pipesAlongLength,
+    pipesPerCrossSection: result.pipesPerCrossSection,
+    piecesPerContainer,
+    limitingFactor: piecesByWeight < result.pipesPerContainer ? 'weight' : 'packing',
+    numberOfPipes: result.numberOfPipes,
+    containers,
+    // Unused length of each slot along the container (cm)
+    leftoverLength: result.pipeFitsInLength ? (volume.length || 0) - result.pipesAlongLength * result.standardLengthCm : 0,
+    fits: piecesPerContainer > 0
+  };
+}
+
+/**
+ * Sweep the standard lengths of one pipe line and recommend the best one
+ * @param {Object} pipe - Pipe specification with the ordered quantity
+ * @param {Object} volume - Container dimensions and capacity (cm, kg)
+ * @param {Object} config - Configuration (minSpace, packingMode, dunnage)
+ * @param {Object} sweep - { minLength, maxLength, step } (mm)
+ * @returns {Object} - { entries, recommended, current } with recommended/current null when unknown
+ */
+export function sweepStandardLengths(pipe, volume, config, sweep) {
+  const entries = getSweepLengths(sweep).map(length => evaluateStandardLength(pipe, length, volume, config));
+
+  let recommended = null;
+  for (const entry of entries) {
+    if (!entry.fits) continue;
+    if (!recommended || isBetterLength(entry, recommended)) {
+      recommended = entry;
+    }
+  }
+
+  return {
+    entries,
+    recommended,
+    current: pipe.standardLength > 0 ? evaluateStandardLength(pipe, pipe.standardLength, volume, config) : null
+  };
+}
+
+/**
+ * Compare sweep entries: fewer containers, then less leftover length, then the longer length
+ * @param {Object} entry - Candidate entry
+ * @param {Object} best - Best entry so far
+ * @returns {boolean} - True if the candidate is better
+ */
+function isBetterLength(entry, best) {
+  if (entry.containers !== best.containers) return entry.containers < best.containers;
+  if (Math.abs(entry.leftoverLength - best.leftoverLength) > 1e-9) return entry.leftoverLength < best.leftoverLength;
+  return entry.standardLength > best.standardLength;
+}
@@ -0,0 +1,47 @@
+/**
+ * Transportation Units
+ * Door openings of the transportation presets
+ *
+ * Key concepts:
+ * - Units loaded through the end doors (see LOADING_METHODS) take every piece or bundle
+ *   lengthwise through the door, so its cross-section must pass the door opening,
+ *   not just fit the interior; the door is often lower than the interior
+ * - A socket end passes the door with its socket diameter, a strapped bundle with its
+ *   footprint (either way up)
+ * - Top- and side-loaded units, the custom volume and user-defined types have no door limit
+ *
+ * Units follow calculations.js: dimensions in cm
+ */
+
+import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+
+/**
+ * Door opening of a transportation type
+ * @param {string} transportationType - Transportation type id
+ * @returns {Object|null} - { width, height } (cm), or null if the unit is not loaded through doors
+ */
+export function getDoorOpening(transportationType) {
+  const type = TRANSPORTATION_TYPES[transportationType];
+  if (!type || type.loading !== 'door' || !(type.doorWidth > 0) || !(type.doorHeight > 0)) {
+    return null;
+  }
+  return { width: type.doorWidth, height: type.doorHeight };
+}
+
+/**
+ * Check if a pipe line passes a door opening
+ * @param {Object} pipeResult - Pipe result from calculatePipeResult
+ * @param {Object|null} door - Door opening from getDoorOpening
+ * @returns {boolean} - True if every piece or bundle of the line passes the door
+ */
+export function fitsDoorOpening(pipeResult, door) {
+  if (!door) return true;
+
+  if (pipeResult.bundle && pipeResult.bundle.piecesPerBundle > 0) {
+    const { width, height } = pipeResult.bundle;
+    return (width <= door.width && height <= door.height) || (height <= door.width && width <= door.height);
+  }
+
+  const diameter = pipeResult.envelopeDiameter || 0;
+  return diameter <= door.width && diameter <= door.height;
+}
@@ -0,0 +1,98 @@
+/**
+ * Unit Systems
+ * Converts between the canonical engine units and the units shown to the user
+ *
+ * Key concepts:
+ * - The engine always works in canonical metric units: pipe sizes in mm, container and
+ *   box dimensions in cm, quantities in m, weights in kg (see calculations.js)
+ * - Inputs and results are converted at the edge only: values are converted for display
+ *   and typed values are converted back before they are stored
+ * - Each kind of quantity has its own imperial unit, e.g. pipe sizes in inches but
+ *   standard lengths in feet
+ */
+
+// Canonical (metric) and imperial unit of every kind of quantity
+// factor: imperial value of one canonical unit
+export const UNIT_KINDS = {
+  pipeSize: { metric: 'mm', imperial: 'in', factor: 1 / 25.4 },
+  pipeLength: { metric: 'mm', imperial: 'ft', factor: 1 / 304.8 },
+  dimension: { metric: 'cm', imperial: 'in', factor: 1 / 2.54 },
+  length: { metric: 'm', imperial: 'ft', factor: 1 / 0.3048 },
+  weight: { metric: 'kg', imperial: 'lb', factor: 1 / 0.45359237 },
+  tonnage: { metric: 't', imperial: 'sh tn', factor: 1 / 0.90718474 },
+  linearWeight: { metric: 'kg/m', imperial: 'lb/ft', factor: 0.3048 / 0.45359237 },
+  volume: { metric: 'm³', imperial: 'ft³', factor: 1 / 0.028316846592 },
+  smallVolume: { metric: 'cm³', imperial: 'in³', factor: 1 / 16.387064 }
+};
+
+/**
+ * Convert a canonical value to the unit system shown to the user
+ * @param {number} value - Value in the canonical unit
+ * @param {string} kind - Kind of quantity (see UNIT_KINDS)
+ * @param {string} system - 'metric' or 'imperial' (see UNIT_SYSTEMS)
+ * @returns {number} - Value in the display unit
+ */
+export function toDisplayUnits(value, kind, system) {
+  if (system !== 'imperial' || !UNIT_KINDS[kind] || typeof value !== 'number') return value;
+  return value * UNIT_KINDS[kind].factor;
+}
+
+/**
+ * Convert a value typed in the display unit back to the canonical unit
+ * @param {number} value - Value in the display unit
+ * @param {string} kind - Kind of quantity
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {number} - Value in the canonical unit
+ */
+export function fromDisplayUnits(value, kind, system) {
+  if (system !== 'imperial' || !UNIT_KINDS[kind] || typeof value !== 'number') return value;
+  return value / UNIT_KINDS[kind].factor;
+}
+
+/**
+ * Unit label of a kind of quantity
+ * @param {string} kind - Kind of quantity
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {string} - Unit label, e.g. 'mm' or 'in'
+ */
+export function unitLabel(kind, system) {
+  const unit = UNIT_KINDS[kind];
+  if (!unit) return '';
+  return system === 'imperial' ? unit.imperial : unit.metric;
+}
+
+/**
+ * Create the unit helpers for one unit system
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {Object} - { system, display, displayRate, input, parse, label, format, formatCompact }
+ */
+export function createUnitFormatter(system = 'metric') {
+  const formatWith = (value, kind, minimumFractionDigits, maximumFractionDigits) => {
+    if (value === null || value === undefined || isNaN(value)) return '-';
+    const text = toDisplayUnits(value, kind, system).toLocaleString('en-US', {
+      minimumFractionDigits,
+      maximumFractionDigits
+    });
+    return `${text} ${unitLabel(kind, system)}`;
+  };
+
+  return {
+    system,
+    // Canonical value in display units
+    display: (value, kind) => toDisplayUnits(value, kind, system),
+    // Canonical amount per unit (e.g. cost per tonne) as an amount per display unit
+    displayRate: (value, kind) => fromDisplayUnits(value, kind, system),
+    // Canonical value for a controlled input; converted values are rounded to 4 decimals
+    input: (value, kind) => {
+      if (!value) return '';
+      return system === 'imperial' ? Number(toDisplayUnits(value, kind, system).toFixed(4)) : value;
+    },
+    // Typed value back to the canonical unit
+    parse: (value, kind) => fromDisplayUnits(parseFloat(value) || 0, kind, system),
+    label: (kind) => unitLabel(kind, system),
+    // Canonical value as text with its display unit, e.g. "12.50 ft"
+    format: (value, kind, decimals = 2) => formatWith(value, kind, decimals, decimals),
+    // Same without trailing zeros, e.g. "219.1 mm" or "8.626 in"
+    formatCompact: (value, kind, maxDecimals = 2) => formatWith(value, kind, 0, maxDecimals)
+  };
+}
@@ -1,13 +1,22 @@
+import { PACKING_MODES, BUNDLE_SHAPES, TRANSPORTATION_TYPES, CONSOLIDATION_MODES, PIPE_PRIORITIES, TELESCOPING_MODES } from '../constants/defaults.js';
+import { createUnitFormatter } from './units.js';
+import { calculatePipeResult } from './calculations.js';
+import { getDoorOpening, fitsDoorOpening } from './transport.js';
+import { getGaugeVolume } from './outOfGauge.js';
+
 /**
  * Validate all inputs for the pipe calculator
  * @param {Object} volume - Volume dimensions
  * @param {Array} pipes - Array of pipe objects
  * @param {Array} boxes - Array of box objects
  * @param {Object} config - Configuration parameters
+ * @param {Object} freight - Freight rates and exchange rates (optional)
+ * @param {string} unitSystem - Unit system for the values quoted in messages (default metric)
  * @returns {Object} - Validation errors object
  */
-export function validateInputs(volume, pipes, boxes, config) {
+export function validateInputs(volume, pipes, boxes, config, freight, unitSystem = 'metric') {
   const errors = {};
+  const units = createUnitFormatter(unitSystem);
 
   // Validate volume
   if (!volume || typeof volume !== 'object') {
@@ -25,6 +34,29 @@ export function validateInputs(volume, pipes, boxes, config) {
     if (volume.weightCapacity !== undefined && volume.weightCapacity < 0) {
       errors.volumeWeightCapacity = 'Weight capacity must be non-negative';
     }
+
+    if (volume.tareWeight < 0) {
+      errors.volumeTareWeight = 'Tare weight must be non-negative';
+    }
+    if (volume.maxGrossWeight < 0) {
+      errors.volumeMaxGrossWeight = 'Maximum gross weight must be non-negative';
+    } else if (volume.maxGrossWeight > 0 && volume.maxGrossWeight <= (volume.tareWeight || 0)) {
+      errors.volumeMaxGrossWeight = 'Maximum gross weight must be more than the tare weight';
+    }
+
+    // Out-of-gauge allowances: at most what the preset allows
+    const preset = TRANSPORTATION_TYPES[volume.transportationType];
+    const hasPresetLimits = preset && preset.id !== 'custom';
+    if (volume.overhang < 0) {
+      errors.volumeOverhang = 'Overhang must be non-negative';
+    } else if (hasPresetLimits && volume.overhang > (preset.maxOverhang || 0)) {
+      errors.volumeOverhang = `${preset.label} allows at most ${units.format(preset.maxOverhang || 0, 'dimension', 0)} overhang at each end`;
+    }
+    if (volume.overHeight < 0) {
+      errors.volumeOverHeight = 'Over-height must be non-negative';
+    } else if (hasPresetLimits && volume.overHeight > (preset.maxOverHeight || 0)) {
+      errors.volumeOverHeight = `${preset.label} allows at most ${units.format(preset.maxOverHeight || 0, 'dimension', 0)} over-height`;
+    }
   }
 
   // Validate pipes
@@ -57,6 +89,52 @@ export function validateInputs(volume, pipes, boxes, config) {
       if (!pipe.weightPerMeter || pipe.weightPerMeter <= 0) {
         errors[`${prefix}WeightPerMeter`] = `Pipe ${index + 1}: Weight per meter must be a positive number`;
       }
+      // Socket (bell) end
+      if (pipe.socketDiameter > 0) {
+        if (pipe.externalDiameter && pipe.socketDiameter <= pipe.externalDiameter) {
+          errors[`${prefix}SocketDiameter`] = `Pipe ${index + 1}: Socket diameter must be larger than the external diameter`;
+        }
+        if (!pipe.socketLength || pipe.socketLength <= 0) {
+          errors[`${prefix}SocketLength`] = `Pipe ${index + 1}: Socket length must be a positive number`;
+        } else if (pipe.standardLength && pipe.socketLength >= pipe.standardLength) {
+          errors[`${prefix}SocketLength`] = `Pipe ${index + 1}: Socket length must be shorter than the standard length`;
+        }
+      } else if (pipe.socketDiameter < 0) {
+        errors[`${prefix}SocketDiameter`] = `Pipe ${index + 1}: Socket diameter must be non-negative`;
+      }
+      // Strapped bundles
+      if (pipe.bundleShape && !BUNDLE_SHAPES[pipe.bundleShape]) {
+        errors[`${prefix}BundleShape`] = `Pipe ${index + 1}: Unknown bundle shape`;
+      }
+      if (pipe.bundleShape && pipe.bundleShape !== 'none') {
+        if (!Number.isInteger(pipe.piecesPerBundle) || pipe.piecesPerBundle < 1) {
+          errors[`${prefix}PiecesPerBundle`] = `Pipe ${index + 1}: Pieces per bundle must be a whole number of at least 1`;
+        }
+        if (pipe.strapAllowance < 0) {
+          errors[`${prefix}StrapAllowance`] = `Pipe ${index + 1}: Strap allowance must be non-negative`;
+        }
+        const pieceWeight = (pipe.standardLength || 0) / 1000 * (pipe.weightPerMeter || 0);
+        if (pipe.maxBundleWeight < 0) {
+          errors[`${prefix}MaxBundleWeight`] = `Pipe ${index + 1}: Maximum bundle weight must be non-negative`;
+        } else if (pipe.maxBundleWeight > 0 && pieceWeight > pipe.maxBundleWeight) {
+          errors[`${prefix}MaxBundleWeight`] = `Pipe ${index + 1}: Maximum bundle weight is less than one piece (${units.format(pieceWeight, 'weight', 1)})`;
+        }
+      }
+
+      if (pipe.priority !== undefined && !PIPE_PRIORITIES[pipe.priority]) {
+        errors[`${prefix}Priority`] = `Pipe ${index + 1}: Unknown priority`;
+      }
+      if (pipe.dropSequence !== undefined && (!Number.isInteger(pipe.dropSequence) || pipe.dropSequence < 1)) {
+        errors[`${prefix}DropSequence`] = `Pipe ${index + 1}: Drop must be a whole number of at least 1`;
+      }
+
+      // Stack-crush limit entered per line
+      if (pipe.stackLimit === 'tiers' && (!Number.isInteger(pipe.maxTiers) || pipe.maxTiers < 1)) {
+        errors[`${prefix}MaxTiers`] = `Pipe ${index + 1}: Maximum tiers must be a whole number of at least 1`;
+      }
+      if (pipe.stackLimit === 'height' && !(pipe.maxStackHeight > 0)) {
+        errors[`${prefix}MaxStackHeight`] = `Pipe ${index + 1}: Maximum stack height must be greater than 0`;
+      }
     });
   }
 
@@ -95,18 +173,88 @@ export function validateInputs(volume, pipes, boxes, config) {
     if (allowance < 0) {
       errors.allowance = 'Allowance must be non-negative';
     }
+    if (config.packingMode !== undefined && !PACKING_MODES[config.packingMode]) {
+      errors.packingMode = 'Unknown packing pattern';
+    }
+    if (config.consolidation !== undefined && !CONSOLIDATION_MODES[config.consolidation]) {
+      errors.consolidation = 'Unknown consolidation mode';
+    }
+    if (config.telescoping !== undefined && !TELESCOPING_MODES[config.telescoping]) {
+      errors.telescoping = 'Unknown telescoping mode';
+    }
+    // Dunnage
+    if (config.bearerHeight < 0) {
+      errors.bearerHeight = 'Bearer height must be non-negative';
+    }
+    if (config.tiersBetweenBearers < 0 || !Number.isInteger(config.tiersBetweenBearers || 0)) {
+      errors.tiersBetweenBearers = 'Tiers between bearers must be a whole number (0 = first tier only)';
+    }
+    if (config.dunnageWeight < 0) {
+      errors.dunnageWeight = 'Timber weight must be non-negative';
+    } else if (volume?.weightCapacity > 0 && config.dunnageWeight >= volume.weightCapacity) {
+      errors.dunnageWeight = 'Timber weight must be less than the weight capacity';
+    }
+    if (config.packagingPerPiece < 0) {
+      errors.packagingPerPiece = 'Packaging weight per piece must be non-negative';
+    }
+    if (config.packagingPerBundle < 0) {
+      errors.packagingPerBundle = 'Packaging weight per bundle must be non-negative';
+    }
+  }
+
+  // Validate freight rates
+  if (freight) {
+    Object.entries(freight.rates || {}).forEach(([typeId, rate]) => {
+      if (rate.amount < 0) {
+        errors[`freightRate_${typeId}`] = 'Freight rate must be non-negative';
+      }
+      (rate.surcharges || []).forEach((surcharge, index) => {
+        if (surcharge.amount < 0) {
+          errors[`freightSurcharge_${typeId}_${index}`] = 'Surcharge must be non-negative';
+        }
+      });
+    });
+    Object.entries(freight.exchangeRates || {}).forEach(([currency, value]) => {
+      if (!value || value <= 0) {
+        errors[`exchangeRate_${currency}`] = `Exchange rate for ${currency} must be a positive number`;
+      }
+    });
   }
 
   // Check if volume height is sufficient for largest pipe
-  // Pipe diameter is in mm, volume height is in cm
+  // Pipe diameter is in mm, volume height is in cm; over-height counts where allowed
   if (pipes.length > 0 && volume.height) {
     const maxDiameterMm = Math.max(...pipes.map(p => p.externalDiameter || 0));
     const maxDiameterCm = maxDiameterMm / 10;
-    if (maxDiameterCm > volume.height) {
-      errors.volumeHeight = `Volume height (${volume.height}cm) must be at least as large as the largest pipe diameter (${maxDiameterMm}mm = ${maxDiameterCm}cm)`;
+    const gaugeHeight = getGaugeVolume(volume).height;
+    if (maxDiameterCm > gaugeHeight) {
+      errors.volumeHeight = `Volume height (${units.format(gaugeHeight, 'dimension', 1)}) must be at least as large as the largest pipe diameter (${units.format(maxDiameterMm, 'pipeSize', 1)})`;
+    } else if (config?.bearerHeight > 0 && maxDiameterCm + config.bearerHeight > gaugeHeight) {
+      errors.bearerHeight = `The largest pipe (${units.format(maxDiameterMm, 'pipeSize', 1)}) does not fit on a ${units.format(config.bearerHeight, 'dimension', 1)} bearer in a ${units.format(gaugeHeight, 'dimension', 1)} high volume`;
     }
   }
 
+  // Pieces and bundles must pass the door opening of door-loaded units
+  const door = getDoorOpening(volume?.transportationType);
+  if (door && Array.isArray(pipes)) {
+    const doorSize = `${units.formatCompact(door.width, 'dimension', 1)} × ${units.formatCompact(door.height, 'dimension', 1)}`;
+    pipes.forEach((pipe, index) => {
+      if (!(pipe.externalDiameter > 0)) return;
+      const result = calculatePipeResult(pipe, volume);
+      if (fitsDoorOpening(result, door)) return;
+
+      // A key of its own, so the field errors set above are kept
+      const key = `pipe${index}DoorOpening`;
+      if (result.bundle) {
+        errors[key] = `Pipe ${index + 1}: The bundle (${units.formatCompact(result.bundle.width, 'dimension', 1)} × ${units.formatCompact(result.bundle.height, 'dimension', 1)}) does not pass the ${doorSize} door opening`;
+      } else if (result.socketDiameterMm > 0) {
+        errors[key] = `Pipe ${index + 1}: The socket (${units.formatCompact(result.socketDiameterMm, 'pipeSize', 1)}) does not pass the ${doorSize} door opening`;
+      } else {
+        errors[key] = `Pipe ${index + 1}: The pipe (${units.formatCompact(result.externalDiameterMm, 'pipeSize', 1)}) does not pass the ${doorSize} door opening`;
+      }
+    });
+  }
+
   return errors;
 }
 
@@ -119,6 +267,31 @@ export function hasErrors(errors) {
   return Object.keys(errors).length > 0;
 }
 
+/**
+ * Errors that block the maximum quantity calculation
+ * The quantities are what it calculates, and boxes and freight rates are not used.
+ * @param {Object} errors - Validation errors object
+ * @returns {Object} - Remaining validation errors
+ */
+export function getMaxQuantityErrors(errors) {
+  return Object.fromEntries(
+    Object.entries(errors).filter(([key]) => !/^pipe\d+QuantityInMeters$/.test(key) && !/^(box|freight|exchangeRate)/.test(key))
+  );
+}
+
+/**
+ * Errors that block the fleet-mix planning
+ * Every transportation type brings its own dimensions, so the volume input and boxes
+ * are not used.
+ * @param {Object} errors - Validation errors object
+ * @returns {Object} - Remaining validation errors
+ */
+export function getFleetErrors(errors) {
+  return Object.fromEntries(
+    Object.entries(errors).filter(([key]) => !/^(volume|box)/.test(key))
+  );
+}
+
 /**
  * Get error message for a specific field
  * @param {Object} errors - Validation errors object
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateInputs } from './validation.js';
+import { TRANSPORTATION_TYPES } from '../constants/defaults.js';
+
+const dv20 = TRANSPORTATION_TYPES.containerDV20;
+const volume = {
+  transportationType: dv20.id,
+  length: dv20.length,
+  width: dv20.width,
+  height: dv20.height,
+  weightCapacity: 26000
+};
+
+// A pipe as ADD_PIPE creates it
+const newPipe = {
+  id: 'a',
+  externalDiameter: 0,
+  internalDiameter: 0,
+  standardLength: 0,
+  quantityInMeters: 0,
+  wallThickness: 0,
+  weightPerMeter: 0,
+  socketDiameter: 0,
+  socketLength: 0,
+  bundleShape: 'none',
+  piecesPerBundle: 0,
+  priority: 'mandatory',
+  dropSequence: 1
+};
+
+test('a new pipe with no external diameter reports errors instead of throwing', () => {
+  const errors = validateInputs(volume, [newPipe], [], {}, null);
+  assert.match(errors.pipe0ExternalDiameter, /External diameter must be a positive number/);
+  assert.equal(errors.pipe0DoorOpening, undefined);
+});
+
+test('a bad socket diameter is reported on the socket field', () => {
+  const pipe = { ...newPipe, externalDiameter: 500, socketDiameter: -1 };
+  const errors = validateInputs(volume, [pipe], [], {}, null);
+  assert.match(errors.pipe0SocketDiameter, /Socket diameter must be non-negative/);
+});
+
+test('the door opening check keeps the field errors', () => {
+  const pipe = {
+    ...newPipe,
+    externalDiameter: 2300,
+    internalDiameter: 2200,
+    wallThickness: 50,
+    socketDiameter: 2500,
+    socketLength: -5,
+    standardLength: 600,
+    quantityInMeters: 12,
+    weightPerMeter: 100
+  };
+  const errors = validateInputs(volume, [pipe], [], {}, null);
+  assert.match(errors.pipe0SocketLength, /Socket length must be a positive number/);
+  assert.match(errors.pipe0DoorOpening, /does not pass the .* door opening/);
+});
@@ -0,0 +1,185 @@
+/**
+ * Verified Gross Mass
+ * Gross mass of every planned unit and the SOLAS VGM declaration
+ *
+ * Key concepts:
+ * - Gross mass = cargo + dunnage + packaging + tare of the unit; the cargo alone is what
+ *   the planner holds to weightCapacity, so the gross mass is checked separately against
+ *   the unit's maximum gross weight
+ * - Packaging is counted per piece (end caps, bevel protectors) and per bundle (straps)
+ * - Tare and maximum gross weight come from the preset of each unit; the custom volume
+ *   takes them as entered (0 = unknown, not checked)
+ * - The declaration lists every unit of the plan with its container number, and is
+ *   exported as a printable document or CSV; SOLAS states the VGM in kg, so the
+ *   declaration always uses kg whatever the unit system
+ *
+ * Units follow calculations.js: weights in kg
+ */
+
+import { TRANSPORTATION_TYPES, VGM_METHODS } from '../constants/defaults.js';
+import { rowsToCsv, escapeHtml } from './documents.js';
+
+/**
+ * Tare and maximum gross weight of a transportation type
+ * @param {string} transportationType - Transportation type id of the unit
+ * @param {Object} volume - Volume with tareWeight and maxGrossWeight, for the custom volume
+ * @returns {Object} - { tareWeight, maxGrossWeight } (kg)
+ */
+export function getUnitWeights(transportationType, volume = {}) {
+  const preset = TRANSPORTATION_TYPES[transportationType];
+  if (preset && preset.id !== 'custom') {
+    return { tareWeight: preset.tareWeight || 0, maxGrossWeight: preset.maxGrossWeight || 0 };
+  }
+  return { tareWeight: volume.tareWeight || 0, maxGrossWeight: volume.maxGrossWeight || 0 };
+}
+
+/**
+ * Gross mass of a planned unit
+ * @param {Object} container - Planned container (see planMixedLoad)
+ * @param {Object} volume - Volume of the plan (transportationType, custom tare and max gross)
+ * @param {Object} config - Configuration (packagingPerPiece, packagingPerBundle)
+ * @returns {Object} - { cargoWeight, dunnageWeight, packagingWeight, tareWeight, grossMass,
+ *   maxGrossWeight, margin, overweight } (kg); margin is null without a max gross weight
+ */
+export function calculateGrossMass(container, volume, config = {}) {
+  const { tareWeight, maxGrossWeight } = getUnitWeights(container.transportationType || volume.transportationType, volume);
+  const dunnageWeight = container.dunnageWeight || 0;
+  const cargoWeight = container.totalWeight - dunnageWeight;
+  const packagingWeight = container.totalPipes * (config.packagingPerPiece || 0) +
+    (container.totalBundles || 0) * (config.packagingPerBundle || 0);
+  const grossMass = cargoWeight + dunnageWeight + packagingWeight + tareWeight;
+  const margin = maxGrossWeight > 0 ? maxGrossWeight - grossMass : null;
+
+  return {
+    cargoWeight,
+    dunnageWeight,
+    packagingWeight,
+    tareWeight,
+    grossMass,
+    maxGrossWeight,
+    margin,
+    overweight: margin !== null && margin < 0
+  };
+}
+
+/**
+ * VGM declaration for a calculation result
+ * @param {Object} results - Results from calculateResults (containers carry grossMass)
+ * @param {Object} vgm - Declaration details (see DEFAULT_VGM)
+ * @param {Date} date - Date of the declaration
+ * @returns {Object} - Header fields and one entry per planned unit
+ */
+export function buildVgmDeclaration(results, vgm, date = new Date()) {
+  const containerPlan = results?.volumesNeeded?.containerPlan || [];
+
+  return {
+    shipper: vgm.shipper,
+    signatory: vgm.signatory,
+    bookingReference: vgm.bookingReference,
+    method: VGM_METHODS[vgm.method]?.label || vgm.method,
+    date: date.toISOString().slice(0, 10),
+    containers: containerPlan.map(container => ({
+      containerNumber: container.containerNumber,
+      containerId: vgm.containerIds[container.containerNumber] || '',
+      transportationType: TRANSPORTATION_TYPES[container.transportationType]?.label ||
+        container.transportationLabel || results.transportationType,
+      pieces: container.totalPipes,
+      ...container.grossMass
+    }))
+  };
+}
+
+/**
+ * VGM declaration as CSV, one row per unit
+ * @param {Object} declaration - Declaration from buildVgmDeclaration
+ * @returns {string} - CSV text with a header row
+ */
+export function vgmToCsv(declaration) {
+  const header = [
+    'Unit', 'Container Number', 'Type', 'Pieces', 'Cargo (kg)', 'Dunnage (kg)', 'Packaging (kg)',
+    'Tare (kg)', 'VGM (kg)', 'Max Gross (kg)', 'Status', 'Method', 'Shipper', 'Booking', 'Signatory', 'Date'
+  ];
+  const rows = declaration.containers.map(container => [
+    container.containerNumber,
+    container.containerId,
+    container.transportationType,
+    container.pieces,
+    Math.round(container.cargoWeight),
+    Math.round(container.dunnageWeight),
+    Math.round(container.packagingWeight),
+    Math.round(container.tareWeight),
+    Math.round(container.grossMass),
+    container.maxGrossWeight > 0 ? Math.round(container.maxGrossWeight) : '',
+    vgmStatus(container),
+    declaration.method,
+    declaration.shipper,
+    declaration.bookingReference,
+    declaration.signatory,
+    declaration.date
+  ]);
+
+  return rowsToCsv([header, ...rows]);
+}
+
+/**
+ * VGM declaration as a printable HTML document, one section per unit
+ * @param {Object} declaration - Declaration from buildVgmDeclaration
+ * @returns {string} - Complete HTML document
+ */
+export function vgmToHtml(declaration) {
+  const kg = (value) => `${Math.round(value).toLocaleString('en-US')} kg`;
+  const field = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value || '–')}</td></tr>`;
+
+  const sections = declaration.containers.map(container => `
+    <section>
+      <h2>Verified Gross Mass – Unit ${container.containerNumber}</h2>
+      <table>
+        ${field('Container number', container.containerId)}
+        ${field('Type', container.transportationType)}
+        ${field('Booking reference', declaration.bookingReference)}
+        ${field('Shipper', declaration.shipper)}
+        ${field('Method', declaration.method)}
+        ${field('Pieces', String(container.pieces))}
+        ${field('Cargo', kg(container.cargoWeight))}
+        ${field('Dunnage', kg(container.dunnageWeight))}
+        ${field('Packaging', kg(container.packagingWeight))}
+        ${field('Tare', kg(container.tareWeight))}
+        <tr class="total"><th>Verified gross mass</th><td>${kg(container.grossMass)}</td></tr>
+        ${field('Maximum gross weight', container.maxGrossWeight > 0 ? kg(container.maxGrossWeight) : '')}
+        ${field('Status', vgmStatus(container))}
+      </table>
+      <p class="signature">Authorized signatory: ${escapeHtml(declaration.signatory || '')}<span>Date: ${declaration.date}</span></p>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>VGM Declaration${declaration.bookingReference ? ` – ${escapeHtml(declaration.bookingReference)}` : ''}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #4C5C65; margin: 24px; }
+  section { page-break-after: always; margin-bottom: 32px; }
+  section:last-child { page-break-after: auto; }
+  h2 { font-size: 18px; border-bottom: 2px solid #4C5C65; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; max-width: 560px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #E7EBED; }
+  th { width: 45%; font-weight: normal; color: #7E7E7E; }
+  tr.total th, tr.total td { font-weight: bold; color: #4C5C65; }
+  .signature { margin-top: 40px; border-top: 1px solid #4C5C65; padding-top: 4px; max-width: 560px; }
+  .signature span { float: right; }
+</style>
+</head>
+<body>${sections}
+</body>
+</html>`;
+}
+
+/**
+ * Status of a unit against its maximum gross weight
+ * @param {Object} container - Declaration entry
+ * @returns {string} - 'Overweight', 'OK' or 'Not checked'
+ */
+function vgmStatus(container) {
+  if (!(container.maxGrossWeight > 0)) return 'Not checked';
+  return container.overweight ? 'Overweight' : 'OK';
+}